@@ -0,0 +1,9 @@
+import { IORedisClient, IORedisCluster } from './ioredis';
+import { NodeRedisClient } from './nodeRedis';
+import { RedisAdapter } from './types';
+export * from './types';
+export { IORedisAdapter, IORedisClient, IORedisCluster } from './ioredis';
+export { NodeRedisAdapter, NodeRedisClient } from './nodeRedis';
+export { MemoryAdapter, MemoryFault, MemoryFaultOptions, MemoryStore, MemoryStoreOptions } from './memory';
+export type RedisClient = RedisAdapter | NodeRedisClient | IORedisClient | IORedisCluster;
+export declare function toAdapter(client: RedisClient): RedisAdapter;
@@ -0,0 +1,45 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __exportStar = (this && this.__exportStar) || function(m, exports) {
+    for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toAdapter = exports.MemoryStore = exports.MemoryAdapter = exports.NodeRedisAdapter = exports.IORedisAdapter = void 0;
+const ioredis_1 = require("./ioredis");
+const nodeRedis_1 = require("./nodeRedis");
+__exportStar(require("./types"), exports);
+var ioredis_2 = require("./ioredis");
+Object.defineProperty(exports, "IORedisAdapter", { enumerable: true, get: function () { return ioredis_2.IORedisAdapter; } });
+var nodeRedis_2 = require("./nodeRedis");
+Object.defineProperty(exports, "NodeRedisAdapter", { enumerable: true, get: function () { return nodeRedis_2.NodeRedisAdapter; } });
+var memory_1 = require("./memory");
+Object.defineProperty(exports, "MemoryAdapter", { enumerable: true, get: function () { return memory_1.MemoryAdapter; } });
+Object.defineProperty(exports, "MemoryStore", { enumerable: true, get: function () { return memory_1.MemoryStore; } });
+function isAdapter(client) {
+    return typeof client.delIfEquals === 'function';
+}
+// wraps a node-redis or ioredis client in the matching adapter. adapters are
+// passed through untouched
+function toAdapter(client) {
+    if (isAdapter(client)) {
+        return client;
+    }
+    else if ((0, nodeRedis_1.isNodeRedisClient)(client)) {
+        return new nodeRedis_1.NodeRedisAdapter(client);
+    }
+    else if ((0, ioredis_1.isIORedisClient)(client)) {
+        return new ioredis_1.IORedisAdapter(client);
+    }
+    throw new TypeError('unsupported redis client, pass a node-redis or ioredis client or a RedisAdapter');
+}
+exports.toAdapter = toAdapter;
@@ -0,0 +1,68 @@
+/// <reference types="node" />
+import { ExpireEntry, HashRead, HashWrite, RedisAdapter, RedisHash, RedisValue, ReadOptions, SetAdd, SetEntry } from './types';
+export interface IORedisPipeline {
+    set(key: string, value: RedisValue, ...args: (string | number)[]): IORedisPipeline;
+    hset(key: string, values: RedisHash): IORedisPipeline;
+    del(key: string): IORedisPipeline;
+    expire(key: string, seconds: number): IORedisPipeline;
+    exec(): Promise<[Error | null, unknown][] | null>;
+}
+export interface IORedisClient {
+    mget(keys: string[]): Promise<(string | null)[]>;
+    mgetBuffer(keys: string[]): Promise<(Buffer | null)[]>;
+    hmget(key: string, ...fields: string[]): Promise<(string | null)[]>;
+    hmgetBuffer(key: string, ...fields: string[]): Promise<(Buffer | null)[]>;
+    hgetall(key: string): Promise<{
+        [field: string]: string;
+    }>;
+    hgetallBuffer(key: string): Promise<{
+        [field: string]: Buffer;
+    }>;
+    pipeline(): IORedisPipeline;
+    multi(): IORedisPipeline;
+    unlink(keys: string[]): Promise<number>;
+    pttl(key: string): Promise<number>;
+    scanStream(options: {
+        match: string;
+        count: number;
+    }): AsyncIterable<string[]>;
+    eval(script: string, numKeys: number, ...args: RedisValue[]): Promise<unknown>;
+    publish(channel: string, message: string): Promise<number>;
+    subscribe(channel: string): Promise<unknown>;
+    unsubscribe(channel: string): Promise<unknown>;
+    on(event: 'message', listener: (channel: string, message: string) => void): unknown;
+    off(event: 'message', listener: (channel: string, message: string) => void): unknown;
+    duplicate(): IORedisClient;
+    info(section?: string): Promise<string>;
+    quit(): Promise<unknown>;
+}
+export interface IORedisCluster extends Omit<IORedisClient, 'scanStream' | 'info'> {
+    isCluster: true;
+    nodes(role: 'master'): IORedisClient[];
+}
+export declare function isIORedisClient(client: any): client is IORedisClient | IORedisCluster;
+export declare class IORedisAdapter implements RedisAdapter {
+    private client;
+    private subscriptions;
+    constructor(client: IORedisClient | IORedisCluster);
+    mget(keys: string[], options?: ReadOptions): Promise<(RedisValue | null)[]>;
+    set(entries: SetEntry[]): Promise<boolean[]>;
+    hmget(reads: HashRead[], options?: ReadOptions): Promise<(RedisValue | null)[][]>;
+    hgetall(keys: string[], options?: ReadOptions): Promise<RedisHash[]>;
+    hset(writes: HashWrite[]): Promise<void>;
+    del(keys: string[]): Promise<void>;
+    expire(entries: ExpireEntry[]): Promise<void>;
+    pttl(keys: string[]): Promise<number[]>;
+    sadd(adds: SetAdd[]): Promise<void>;
+    takeSet(key: string): Promise<string[]>;
+    scan(match: string): AsyncGenerator<string, void, undefined>;
+    delIfEquals(key: string, value: string): Promise<boolean>;
+    setIfEquals(entry: SetEntry, expected: RedisValue | null): Promise<boolean>;
+    publish(channel: string, message: string): Promise<void>;
+    subscribe(channel: string, listener: (message: string) => void): Promise<void>;
+    unsubscribe(channel: string): Promise<void>;
+    duplicate(): IORedisAdapter;
+    quit(): Promise<void>;
+    info(section?: string): Promise<string>;
+    private inSlots;
+}
@@ -0,0 +1,150 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IORedisAdapter = exports.isIORedisClient = void 0;
+const cluster_1 = require("../cluster");
+const scripts_1 = require("./scripts");
+function isIORedisClient(client) {
+    return typeof client.mgetBuffer === 'function' && typeof client.pipeline === 'function';
+}
+exports.isIORedisClient = isIORedisClient;
+function isCluster(client) {
+    return client.isCluster === true;
+}
+// ioredis, as a `Redis` or a `Cluster`
+class IORedisAdapter {
+    constructor(client) {
+        this.client = client;
+        // the message listeners added by `subscribe`, to be removed by `unsubscribe`
+        this.subscriptions = [];
+    }
+    mget(keys, options = {}) {
+        return this.inSlots(keys, (indexes) => {
+            const slotKeys = indexes.map((i) => keys[i]);
+            return options.buffers ? this.client.mgetBuffer(slotKeys) : this.client.mget(slotKeys);
+        });
+    }
+    set(entries) {
+        const keys = entries.map((entry) => entry.key);
+        return this.inSlots(keys, async (indexes) => {
+            const pipeline = this.client.pipeline();
+            for (const i of indexes) {
+                const { key, value, expire, expireMs, onlyIfMissing } = entries[i];
+                const args = expireMs ? ['PX', expireMs] : expire ? ['EX', expire] : [];
+                if (onlyIfMissing) {
+                    args.push('NX');
+                }
+                pipeline.set(key, value, ...args);
+            }
+            const replies = (await pipeline.exec()) || [];
+            return replies.map(([err, reply]) => {
+                if (err) {
+                    throw err;
+                }
+                return reply === 'OK';
+            });
+        });
+    }
+    hmget(reads, options = {}) {
+        return Promise.all(reads.map(({ key, fields }) => options.buffers
+            ? this.client.hmgetBuffer(key, ...fields)
+            : this.client.hmget(key, ...fields)));
+    }
+    hgetall(keys, options = {}) {
+        return Promise.all(keys.map((key) => options.buffers
+            ? this.client.hgetallBuffer(key)
+            : this.client.hgetall(key)));
+    }
+    async hset(writes) {
+        await Promise.all(writes.map(async ({ key, values, expire, replace }) => {
+            const multi = this.client.multi();
+            if (replace) {
+                multi.del(key);
+            }
+            multi.hset(key, values);
+            if (expire) {
+                multi.expire(key, expire);
+            }
+            const replies = (await multi.exec()) || [];
+            const failed = replies.find(([err]) => err);
+            if (failed) {
+                throw failed[0];
+            }
+        }));
+    }
+    async del(keys) {
+        if (keys.length > 0) {
+            await this.inSlots(keys, (indexes) => this.client.unlink(indexes.map((i) => keys[i])).then(() => []));
+        }
+    }
+    async expire(entries) {
+        const keys = entries.map((entry) => entry.key);
+        await this.inSlots(keys, async (indexes) => {
+            const pipeline = this.client.pipeline();
+            for (const i of indexes) {
+                pipeline.expire(entries[i].key, entries[i].expire);
+            }
+            const replies = (await pipeline.exec()) || [];
+            const failed = replies.find(([err]) => err);
+            if (failed) {
+                throw failed[0];
+            }
+            return [];
+        });
+    }
+    pttl(keys) {
+        return Promise.all(keys.map((key) => this.client.pttl(key)));
+    }
+    async sadd(adds) {
+        await Promise.all(adds.map(({ key, members, expire }) => this.client.eval(scripts_1.SADD_SCRIPT, 1, key, String(expire || 0), ...members)));
+    }
+    async takeSet(key) {
+        return await this.client.eval(scripts_1.TAKE_SET_SCRIPT, 1, key);
+    }
+    async *scan(match) {
+        const nodes = isCluster(this.client) ? this.client.nodes('master') : [this.client];
+        for (const node of nodes) {
+            for await (const keys of node.scanStream({ match, count: 500 })) {
+                yield* keys;
+            }
+        }
+    }
+    async delIfEquals(key, value) {
+        const deleted = await this.client.eval(scripts_1.DEL_IF_EQUALS_SCRIPT, 1, key, value);
+        return deleted === 1;
+    }
+    async setIfEquals(entry, expected) {
+        const written = await this.client.eval(scripts_1.SET_IF_EQUALS_SCRIPT, 1, entry.key, ...(0, scripts_1.setIfEqualsArgs)(entry, expected));
+        return written === 1;
+    }
+    async publish(channel, message) {
+        await this.client.publish(channel, message);
+    }
+    async subscribe(channel, listener) {
+        const onMessage = (received, message) => received === channel && listener(message);
+        this.subscriptions.push({ channel, onMessage });
+        this.client.on('message', onMessage);
+        await this.client.subscribe(channel);
+    }
+    async unsubscribe(channel) {
+        this.subscriptions
+            .filter((subscription) => subscription.channel === channel)
+            .forEach(({ onMessage }) => this.client.off('message', onMessage));
+        this.subscriptions = this.subscriptions.filter((subscription) => subscription.channel !== channel);
+        await this.client.unsubscribe(channel);
+    }
+    duplicate() {
+        return new IORedisAdapter(this.client.duplicate());
+    }
+    async quit() {
+        await this.client.quit();
+    }
+    info(section) {
+        const client = isCluster(this.client) ? this.client.nodes('master')[0] : this.client;
+        return client.info(section);
+    }
+    // ioredis rejects commands and pipelines spanning hash slots on a cluster
+    inSlots(keys, fn) {
+        return isCluster(this.client) ? (0, cluster_1.perSlot)(keys, fn) : fn(keys.map((k, i) => i));
+    }
+}
+exports.IORedisAdapter = IORedisAdapter;
@@ -0,0 +1,61 @@
+/// <reference types="node" />
+import { ExpireEntry, HashRead, HashWrite, RedisAdapter, RedisHash, RedisValue, ReadOptions, SetAdd, SetEntry } from './types';
+type MemoryValue = Buffer | Map<string, Buffer> | Set<string>;
+export interface MemoryStoreOptions {
+    now?: () => number;
+}
+export type MemoryFault = 'loading' | 'disconnect' | 'timeout' | Error;
+export interface MemoryFaultOptions {
+    commands?: (keyof RedisAdapter)[];
+    times?: number;
+}
+export declare class MemoryStore {
+    private entries;
+    private channels;
+    private clock;
+    private offset;
+    constructor(options?: MemoryStoreOptions);
+    now(): number;
+    advance(ms: number): void;
+    get(key: string): MemoryValue | null;
+    set(key: string, value: MemoryValue, ttl?: number): void;
+    expire(key: string, ttl: number): void;
+    ttl(key: string): number;
+    delete(key: string): boolean;
+    keys(): string[];
+    publish(channel: string, message: string): void;
+    subscribe(channel: string, listener: (message: string) => void): void;
+    unsubscribe(channel: string, listener: (message: string) => void): void;
+}
+export declare class MemoryAdapter implements RedisAdapter {
+    readonly store: MemoryStore;
+    private faults;
+    private hung;
+    private subscriptions;
+    constructor(store?: MemoryStore);
+    fail(fault: MemoryFault, options?: MemoryFaultOptions): void;
+    heal(): void;
+    mget(keys: string[], options?: ReadOptions): Promise<(string | Buffer | null)[]>;
+    set(entries: SetEntry[]): Promise<boolean[]>;
+    hmget(reads: HashRead[], options?: ReadOptions): Promise<(string | Buffer | null)[][]>;
+    hgetall(keys: string[], options?: ReadOptions): Promise<RedisHash[]>;
+    hset(writes: HashWrite[]): Promise<void>;
+    del(keys: string[]): Promise<void>;
+    expire(entries: ExpireEntry[]): Promise<void>;
+    pttl(keys: string[]): Promise<number[]>;
+    sadd(adds: SetAdd[]): Promise<void>;
+    takeSet(key: string): Promise<string[]>;
+    scan(match: string): AsyncGenerator<string, void, undefined>;
+    delIfEquals(key: string, value: string): Promise<boolean>;
+    setIfEquals(entry: SetEntry, expected: RedisValue | null): Promise<boolean>;
+    publish(channel: string, message: string): Promise<void>;
+    subscribe(channel: string, listener: (message: string) => void): Promise<void>;
+    unsubscribe(channel: string): Promise<void>;
+    duplicate(): MemoryAdapter;
+    info(): Promise<string>;
+    quit(): Promise<void>;
+    private check;
+    private write;
+    private hash;
+}
+export {};
@@ -0,0 +1,296 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MemoryAdapter = exports.MemoryStore = void 0;
+const events_1 = require("events");
+const lodash_1 = __importDefault(require("lodash"));
+function faultError(fault) {
+    if (fault === 'loading') {
+        return new Error('LOADING Redis is loading the dataset in memory');
+    }
+    else if (fault === 'disconnect') {
+        return new Error('The client is closed');
+    }
+    return fault;
+}
+// a redis glob, as used by SCAN's MATCH, as a regular expression
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '\\' && i + 1 < glob.length) {
+            source += lodash_1.default.escapeRegExp(glob[++i]);
+        }
+        else if (c === '*') {
+            source += '.*';
+        }
+        else if (c === '?') {
+            source += '.';
+        }
+        else if (c === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            }
+            else {
+                const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+                source += body.startsWith('^') ? `[^${body.slice(1)}]` : `[${body}]`;
+                i = close;
+            }
+        }
+        else {
+            source += lodash_1.default.escapeRegExp(c);
+        }
+    }
+    return new RegExp(`^${source}$`, 's');
+}
+function toReply(value, options) {
+    return options.buffers ? Buffer.from(value) : value.toString();
+}
+// the keys and pub/sub channels behind memory adapters. adapters sharing a
+// store see the same data, like connections to the same server
+class MemoryStore {
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.channels = new events_1.EventEmitter();
+        this.offset = 0;
+        this.clock = options.now || Date.now;
+        this.channels.setMaxListeners(0);
+    }
+    now() {
+        return this.clock() + this.offset;
+    }
+    // moves the clock forward, expiring the keys whose ttl runs out
+    advance(ms) {
+        this.offset += ms;
+    }
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry ? entry.value : null;
+    }
+    // `ttl` is in milliseconds
+    set(key, value, ttl) {
+        this.entries.set(key, { value, expiresAt: ttl ? this.now() + ttl : Infinity });
+    }
+    expire(key, ttl) {
+        const entry = this.get(key) && this.entries.get(key);
+        if (entry) {
+            entry.expiresAt = this.now() + ttl;
+        }
+    }
+    // milliseconds until `key` expires, -1 when it doesn't and -2 when it doesn't exist
+    ttl(key) {
+        const entry = this.get(key) && this.entries.get(key);
+        if (!entry) {
+            return -2;
+        }
+        return entry.expiresAt === Infinity ? -1 : entry.expiresAt - this.now();
+    }
+    delete(key) {
+        return this.entries.delete(key);
+    }
+    keys() {
+        return Array.from(this.entries.keys()).filter((key) => this.get(key) !== null);
+    }
+    publish(channel, message) {
+        // delivered asynchronously, as it would be over a connection
+        setImmediate(() => this.channels.emit(channel, message));
+    }
+    subscribe(channel, listener) {
+        this.channels.on(channel, listener);
+    }
+    unsubscribe(channel, listener) {
+        this.channels.off(channel, listener);
+    }
+}
+exports.MemoryStore = MemoryStore;
+// keeps everything in this process. useful for tests and local development,
+// or to share a store between adapters standing in for a primary and replica
+class MemoryAdapter {
+    constructor(store = new MemoryStore()) {
+        this.store = store;
+        this.faults = [];
+        this.hung = new Set();
+        this.subscriptions = [];
+    }
+    // fails this adapter's commands, but not those of its duplicates, with
+    // `fault`. faults are used in the order they were added
+    fail(fault, options = {}) {
+        const { commands, times = Infinity } = options;
+        this.faults.push({ fault, commands, times });
+    }
+    // clears every fault. commands waiting on a 'timeout' reject
+    heal() {
+        this.faults = [];
+        this.hung.forEach((reject) => reject(new Error('command timed out')));
+        this.hung.clear();
+    }
+    async mget(keys, options = {}) {
+        await this.check('mget');
+        return keys.map((key) => {
+            const value = this.store.get(key);
+            // like MGET, a key holding a hash reads as missing
+            return Buffer.isBuffer(value) ? toReply(value, options) : null;
+        });
+    }
+    async set(entries) {
+        await this.check('set');
+        return entries.map((entry) => this.write(entry));
+    }
+    async hmget(reads, options = {}) {
+        await this.check('hmget');
+        return reads.map(({ key, fields }) => {
+            const hash = this.hash(key);
+            return fields.map((field) => {
+                const value = hash && hash.get(field);
+                return value ? toReply(value, options) : null;
+            });
+        });
+    }
+    async hgetall(keys, options = {}) {
+        await this.check('hgetall');
+        return keys.map((key) => {
+            const out = {};
+            const hash = this.hash(key);
+            if (hash) {
+                hash.forEach((value, field) => {
+                    out[field] = toReply(value, options);
+                });
+            }
+            return out;
+        });
+    }
+    async hset(writes) {
+        await this.check('hset');
+        writes.forEach(({ key, values, expire, replace }) => {
+            let hash = replace ? null : this.hash(key);
+            if (!hash) {
+                hash = new Map();
+                this.store.set(key, hash);
+            }
+            for (const field of Object.keys(values)) {
+                hash.set(field, Buffer.from(values[field]));
+            }
+            if (expire) {
+                this.store.expire(key, expire * 1000);
+            }
+        });
+    }
+    async del(keys) {
+        await this.check('del');
+        keys.forEach((key) => this.store.delete(key));
+    }
+    async expire(entries) {
+        await this.check('expire');
+        entries.forEach(({ key, expire }) => this.store.expire(key, expire * 1000));
+    }
+    async pttl(keys) {
+        await this.check('pttl');
+        return keys.map((key) => this.store.ttl(key));
+    }
+    async sadd(adds) {
+        await this.check('sadd');
+        adds.forEach(({ key, members, expire }) => {
+            const current = this.store.get(key);
+            const ttl = this.store.ttl(key);
+            const set = current instanceof Set ? current : new Set();
+            members.forEach((member) => set.add(member));
+            // like SADD_SCRIPT, only ever extend the ttl
+            if (!expire) {
+                this.store.set(key, set);
+            }
+            else if (ttl === -2 || (ttl >= 0 && ttl < expire * 1000)) {
+                this.store.set(key, set, expire * 1000);
+            }
+        });
+    }
+    async takeSet(key) {
+        await this.check('takeSet');
+        const set = this.store.get(key);
+        if (!(set instanceof Set)) {
+            return [];
+        }
+        this.store.delete(key);
+        return Array.from(set);
+    }
+    async *scan(match) {
+        await this.check('scan');
+        const pattern = globToRegExp(match);
+        yield* this.store.keys().filter((key) => pattern.test(key));
+    }
+    async delIfEquals(key, value) {
+        await this.check('delIfEquals');
+        const current = this.store.get(key);
+        return Buffer.isBuffer(current) && current.toString() === value && this.store.delete(key);
+    }
+    async setIfEquals(entry, expected) {
+        await this.check('setIfEquals');
+        const current = this.store.get(entry.key);
+        const matches = expected === null
+            ? current === null
+            : Buffer.isBuffer(current) && current.equals(Buffer.from(expected));
+        if (!matches) {
+            return false;
+        }
+        return this.write(entry);
+    }
+    async publish(channel, message) {
+        await this.check('publish');
+        this.store.publish(channel, message);
+    }
+    async subscribe(channel, listener) {
+        await this.check('subscribe');
+        this.subscriptions.push({ channel, listener });
+        this.store.subscribe(channel, listener);
+    }
+    async unsubscribe(channel) {
+        await this.check('unsubscribe');
+        this.subscriptions
+            .filter((subscription) => subscription.channel === channel)
+            .forEach(({ listener }) => this.store.unsubscribe(channel, listener));
+        this.subscriptions = this.subscriptions.filter((subscription) => subscription.channel !== channel);
+    }
+    duplicate() {
+        return new MemoryAdapter(this.store);
+    }
+    async info() {
+        await this.check('info');
+        return '# Replication\r\nrole:master\r\nconnected_slaves:0\r\n';
+    }
+    // drops this adapter's subscriptions. the store and its keys are kept
+    async quit() {
+        this.subscriptions.forEach(({ channel, listener }) => this.store.unsubscribe(channel, listener));
+        this.subscriptions = [];
+    }
+    async check(command) {
+        const active = this.faults.find(({ commands }) => !commands || commands.includes(command));
+        if (!active) {
+            return;
+        }
+        if (--active.times <= 0) {
+            lodash_1.default.pull(this.faults, active);
+        }
+        if (active.fault === 'timeout') {
+            await new Promise((resolve, reject) => this.hung.add(reject));
+        }
+        throw faultError(active.fault);
+    }
+    write({ key, value, expire, expireMs, onlyIfMissing }) {
+        if (onlyIfMissing && this.store.get(key) !== null) {
+            return false;
+        }
+        this.store.set(key, Buffer.from(value), expireMs || (expire ? expire * 1000 : undefined));
+        return true;
+    }
+    hash(key) {
+        const value = this.store.get(key);
+        return value instanceof Map ? value : null;
+    }
+}
+exports.MemoryAdapter = MemoryAdapter;
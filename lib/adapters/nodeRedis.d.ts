@@ -0,0 +1,30 @@
+import { RedisClientType, RedisClusterType } from 'redis';
+import { ExpireEntry, HashRead, HashWrite, RedisAdapter, RedisHash, RedisValue, ReadOptions, SetAdd, SetEntry } from './types';
+export type NodeRedisClient = RedisClientType<any, any, any> | RedisClusterType<any, any, any>;
+export declare function isNodeRedisClient(client: any): client is NodeRedisClient;
+export declare class NodeRedisAdapter implements RedisAdapter {
+    private client;
+    private redis;
+    constructor(client: NodeRedisClient);
+    mget(keys: string[], options?: ReadOptions): Promise<(RedisValue | null)[]>;
+    set(entries: SetEntry[]): Promise<boolean[]>;
+    hmget(reads: HashRead[], options?: ReadOptions): Promise<(RedisValue | null)[][]>;
+    hgetall(keys: string[], options?: ReadOptions): Promise<RedisHash[]>;
+    hset(writes: HashWrite[]): Promise<void>;
+    del(keys: string[]): Promise<void>;
+    expire(entries: ExpireEntry[]): Promise<void>;
+    pttl(keys: string[]): Promise<number[]>;
+    sadd(adds: SetAdd[]): Promise<void>;
+    takeSet(key: string): Promise<string[]>;
+    scan(match: string): AsyncGenerator<string, void, undefined>;
+    delIfEquals(key: string, value: string): Promise<boolean>;
+    setIfEquals(entry: SetEntry, expected: RedisValue | null): Promise<boolean>;
+    publish(channel: string, message: string): Promise<void>;
+    subscribe(channel: string, listener: (message: string) => void): Promise<void>;
+    unsubscribe(channel: string): Promise<void>;
+    duplicate(): NodeRedisAdapter;
+    quit(): Promise<void>;
+    info(section?: string): Promise<string>;
+    private multi;
+    private inSlots;
+}
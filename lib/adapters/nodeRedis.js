@@ -0,0 +1,138 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NodeRedisAdapter = exports.isNodeRedisClient = void 0;
+const redis_1 = require("redis");
+const cluster_1 = require("../cluster");
+const scripts_1 = require("./scripts");
+function isNodeRedisClient(client) {
+    return typeof client.mGet === 'function';
+}
+exports.isNodeRedisClient = isNodeRedisClient;
+function isCluster(client) {
+    return 'getSlotMaster' in client;
+}
+// node-redis v4, as a single node client or a cluster client (`createCluster`)
+class NodeRedisAdapter {
+    constructor(client) {
+        this.client = client;
+        this.redis = client;
+    }
+    mget(keys, options = {}) {
+        return this.inSlots(keys, (indexes) => this.redis.mGet((0, redis_1.commandOptions)({ returnBuffers: !!options.buffers }), indexes.map((i) => keys[i])));
+    }
+    set(entries) {
+        const keys = entries.map((entry) => entry.key);
+        return this.inSlots(keys, async (indexes) => {
+            const multi = this.multi(keys[indexes[0]]);
+            for (const i of indexes) {
+                const { key, value, expire, expireMs, onlyIfMissing } = entries[i];
+                multi.set(key, value, {
+                    ...(expireMs ? { PX: expireMs } : expire ? { EX: expire } : {}),
+                    ...(onlyIfMissing ? { NX: true } : {}),
+                });
+            }
+            const replies = await multi.execAsPipeline();
+            return replies.map((reply) => reply === 'OK');
+        });
+    }
+    // commands sent together are pipelined by node-redis, and routed to the right
+    // node on a cluster
+    hmget(reads, options = {}) {
+        return Promise.all(reads.map(({ key, fields }) => this.redis.hmGet((0, redis_1.commandOptions)({ returnBuffers: !!options.buffers }), key, fields)));
+    }
+    hgetall(keys, options = {}) {
+        return Promise.all(keys.map((key) => this.redis.hGetAll((0, redis_1.commandOptions)({ returnBuffers: !!options.buffers }), key)));
+    }
+    async hset(writes) {
+        await Promise.all(writes.map(({ key, values, expire, replace }) => {
+            const multi = this.multi(key);
+            if (replace) {
+                multi.del(key);
+            }
+            multi.hSet(key, values);
+            if (expire) {
+                multi.expire(key, expire);
+            }
+            return multi.exec();
+        }));
+    }
+    async del(keys) {
+        if (keys.length > 0) {
+            await this.inSlots(keys, (indexes) => this.redis.unlink(indexes.map((i) => keys[i])).then(() => []));
+        }
+    }
+    async expire(entries) {
+        await Promise.all(entries.map(({ key, expire }) => this.redis.expire(key, expire)));
+    }
+    pttl(keys) {
+        return Promise.all(keys.map((key) => this.redis.pTTL(key)));
+    }
+    async sadd(adds) {
+        await Promise.all(adds.map(({ key, members, expire }) => this.redis.eval(scripts_1.SADD_SCRIPT, {
+            keys: [key],
+            arguments: [String(expire || 0), ...members],
+        })));
+    }
+    async takeSet(key) {
+        return await this.redis.eval(scripts_1.TAKE_SET_SCRIPT, { keys: [key] });
+    }
+    async *scan(match) {
+        const nodes = isCluster(this.client)
+            ? await Promise.all(this.client.masters.map((master) => this.client.nodeClient(master)))
+            : [this.redis];
+        for (const node of nodes) {
+            yield* node.scanIterator({ MATCH: match, COUNT: 500 });
+        }
+    }
+    async delIfEquals(key, value) {
+        const deleted = await this.redis.eval(scripts_1.DEL_IF_EQUALS_SCRIPT, { keys: [key], arguments: [value] });
+        return deleted === 1;
+    }
+    async setIfEquals(entry, expected) {
+        const written = await this.redis.eval(scripts_1.SET_IF_EQUALS_SCRIPT, {
+            keys: [entry.key],
+            // typed as strings, but Buffers are sent as they are
+            arguments: (0, scripts_1.setIfEqualsArgs)(entry, expected),
+        });
+        return written === 1;
+    }
+    async publish(channel, message) {
+        await this.redis.publish(channel, message);
+    }
+    async subscribe(channel, listener) {
+        if (!this.client.isOpen) {
+            await this.client.connect();
+        }
+        await this.client.subscribe(channel, listener);
+    }
+    async unsubscribe(channel) {
+        if (this.client.isOpen) {
+            await this.client.unsubscribe(channel);
+        }
+    }
+    duplicate() {
+        return new NodeRedisAdapter(this.client.duplicate());
+    }
+    async quit() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+    info(section) {
+        if (isCluster(this.client)) {
+            return this.client.sendCommand(undefined, true, section ? ['INFO', section] : ['INFO']);
+        }
+        return this.client.info(section);
+    }
+    // on a cluster a pipeline is sent to the node owning `routingKey`
+    multi(routingKey) {
+        return isCluster(this.client)
+            ? this.client.multi(routingKey)
+            : this.client.multi();
+    }
+    // every key at once on a single node, one hash slot at a time on a cluster
+    inSlots(keys, fn) {
+        return isCluster(this.client) ? (0, cluster_1.perSlot)(keys, fn) : fn(keys.map((k, i) => i));
+    }
+}
+exports.NodeRedisAdapter = NodeRedisAdapter;
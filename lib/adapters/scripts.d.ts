@@ -0,0 +1,6 @@
+import { RedisValue, SetEntry } from './types';
+export declare const DEL_IF_EQUALS_SCRIPT = "\nif redis.call('get', KEYS[1]) == ARGV[1] then\n  return redis.call('del', KEYS[1])\nend\nreturn 0\n";
+export declare const SET_IF_EQUALS_SCRIPT = "\nlocal current = redis.call('get', KEYS[1])\nif ARGV[1] == '1' then\n  if current ~= ARGV[2] then\n    return 0\n  end\nelseif current then\n  return 0\nend\nif tonumber(ARGV[4]) > 0 then\n  redis.call('set', KEYS[1], ARGV[3], 'EX', ARGV[4])\nelse\n  redis.call('set', KEYS[1], ARGV[3])\nend\nreturn 1\n";
+export declare function setIfEqualsArgs({ value, expire }: SetEntry, expected: RedisValue | null): RedisValue[];
+export declare const SADD_SCRIPT = "\nlocal ttl = redis.call('ttl', KEYS[1])\nredis.call('sadd', KEYS[1], unpack(ARGV, 2))\nlocal expire = tonumber(ARGV[1])\nif expire == 0 then\n  redis.call('persist', KEYS[1])\nelseif ttl == -2 or (ttl >= 0 and ttl < expire) then\n  redis.call('expire', KEYS[1], expire)\nend\nreturn 1\n";
+export declare const TAKE_SET_SCRIPT = "\nlocal members = redis.call('smembers', KEYS[1])\nredis.call('del', KEYS[1])\nreturn members\n";
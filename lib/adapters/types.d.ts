@@ -0,0 +1,55 @@
+/// <reference types="node" />
+export type RedisValue = string | Buffer;
+export interface RedisHash {
+    [field: string]: RedisValue;
+}
+export interface ReadOptions {
+    buffers?: boolean;
+}
+export interface SetEntry {
+    key: string;
+    value: RedisValue;
+    expire?: number;
+    expireMs?: number;
+    onlyIfMissing?: boolean;
+}
+export interface ExpireEntry {
+    key: string;
+    expire: number;
+}
+export interface SetAdd {
+    key: string;
+    members: string[];
+    expire?: number;
+}
+export interface HashRead {
+    key: string;
+    fields: string[];
+}
+export interface HashWrite {
+    key: string;
+    values: RedisHash;
+    expire?: number;
+    replace?: boolean;
+}
+export interface RedisAdapter {
+    mget(keys: string[], options?: ReadOptions): Promise<(RedisValue | null)[]>;
+    set(entries: SetEntry[]): Promise<boolean[]>;
+    hmget(reads: HashRead[], options?: ReadOptions): Promise<(RedisValue | null)[][]>;
+    hgetall(keys: string[], options?: ReadOptions): Promise<RedisHash[]>;
+    hset(writes: HashWrite[]): Promise<void>;
+    del(keys: string[]): Promise<void>;
+    expire(entries: ExpireEntry[]): Promise<void>;
+    pttl(keys: string[]): Promise<number[]>;
+    sadd(adds: SetAdd[]): Promise<void>;
+    takeSet(key: string): Promise<string[]>;
+    scan(match: string): AsyncIterable<string>;
+    delIfEquals(key: string, value: string): Promise<boolean>;
+    setIfEquals(entry: SetEntry, expected: RedisValue | null): Promise<boolean>;
+    publish(channel: string, message: string): Promise<void>;
+    subscribe(channel: string, listener: (message: string) => void): Promise<void>;
+    unsubscribe(channel: string): Promise<void>;
+    duplicate(): RedisAdapter;
+    info(section?: string): Promise<string>;
+    quit(): Promise<void>;
+}
@@ -0,0 +1,17 @@
+export type CircuitState = 'closed' | 'open' | 'half-open';
+export interface CircuitBreakerOptions {
+    failureThreshold: number;
+    cooldown: number;
+}
+export declare class CircuitBreaker {
+    private options;
+    private onStateChange;
+    state: CircuitState;
+    private failures;
+    private openedAt;
+    constructor(options: CircuitBreakerOptions, onStateChange?: (state: CircuitState) => void);
+    allow(): boolean;
+    success(): void;
+    failure(): void;
+    private setState;
+}
@@ -0,0 +1,40 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CircuitBreaker = void 0;
+// counts consecutive redis failures. once `failureThreshold` is reached the
+// circuit opens and `allow()` returns false until `cooldown` has passed, after
+// which calls are let through again and the next result decides whether the
+// circuit closes or opens for another cooldown.
+class CircuitBreaker {
+    constructor(options, onStateChange = () => { }) {
+        this.options = options;
+        this.onStateChange = onStateChange;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+    }
+    allow() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.options.cooldown) {
+            this.setState('half-open');
+        }
+        return this.state !== 'open';
+    }
+    success() {
+        this.failures = 0;
+        if (this.state !== 'closed') {
+            this.setState('closed');
+        }
+    }
+    failure() {
+        this.failures++;
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.options.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.setState('open');
+        }
+    }
+    setState(state) {
+        this.state = state;
+        this.onStateChange(state);
+    }
+}
+exports.CircuitBreaker = CircuitBreaker;
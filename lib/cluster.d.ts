@@ -0,0 +1,4 @@
+export declare const HASH_SLOTS = 16384;
+export declare function hashSlot(key: string): number;
+export declare function groupBySlot(keys: string[]): Map<number, number[]>;
+export declare function perSlot<T>(keys: string[], fn: (indexes: number[]) => Promise<T[]>): Promise<T[]>;
@@ -0,0 +1,65 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.perSlot = exports.groupBySlot = exports.hashSlot = exports.HASH_SLOTS = void 0;
+// CRC16/XMODEM, as used by redis cluster to assign keys to hash slots
+const CRC16_TABLE = (() => {
+    const table = new Uint16Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+        }
+        table[i] = crc & 0xffff;
+    }
+    return table;
+})();
+function crc16(buf) {
+    let crc = 0;
+    for (let i = 0; i < buf.length; i++) {
+        crc = ((crc << 8) ^ CRC16_TABLE[((crc >> 8) ^ buf[i]) & 0xff]) & 0xffff;
+    }
+    return crc;
+}
+exports.HASH_SLOTS = 16384;
+// the hash slot for a key. only the part inside the first non-empty {...} is
+// hashed when there is one, so `{user}:1` and `{user}:2` share a slot
+function hashSlot(key) {
+    const open = key.indexOf('{');
+    if (open !== -1) {
+        const close = key.indexOf('}', open + 1);
+        if (close > open + 1) {
+            key = key.slice(open + 1, close);
+        }
+    }
+    return crc16(Buffer.from(key)) % exports.HASH_SLOTS;
+}
+exports.hashSlot = hashSlot;
+// indexes of `keys` grouped by hash slot
+function groupBySlot(keys) {
+    const groups = new Map();
+    for (let i = 0; i < keys.length; i++) {
+        const slot = hashSlot(keys[i]);
+        const group = groups.get(slot);
+        if (group) {
+            group.push(i);
+        }
+        else {
+            groups.set(slot, [i]);
+        }
+    }
+    return groups;
+}
+exports.groupBySlot = groupBySlot;
+// calls `fn` with the indexes of keys that share a hash slot, one slot at a time
+// in parallel, and merges the replies back into key order
+async function perSlot(keys, fn) {
+    const out = new Array(keys.length);
+    await Promise.all(Array.from(groupBySlot(keys).values()).map(async (indexes) => {
+        const replies = await fn(indexes);
+        indexes.forEach((i, n) => {
+            out[i] = replies[n];
+        });
+    }));
+    return out;
+}
+exports.perSlot = perSlot;
@@ -0,0 +1,25 @@
+/// <reference types="node" />
+export interface RedisDataLoaderCodec<V = any> {
+    binary?: boolean;
+    encode(val: V): string | Buffer;
+    decode(raw: string | Buffer): V;
+}
+export declare const jsonCodec: RedisDataLoaderCodec;
+export declare const typedJsonCodec: RedisDataLoaderCodec;
+export declare const msgpackCodec: RedisDataLoaderCodec;
+export interface LegacySerializeOptions {
+    serialize?: (val: any) => any;
+    deserialize?: (raw: any) => any;
+    buffer?: boolean;
+}
+export declare function codecFromSerializers(opt: LegacySerializeOptions): RedisDataLoaderCodec;
+export declare const codecs: {
+    json: RedisDataLoaderCodec<any>;
+    typedJson: RedisDataLoaderCodec<any>;
+    msgpack: RedisDataLoaderCodec<any>;
+};
+export interface RedisDataLoaderErrorCodec {
+    encode(err: Error): string;
+    decode(raw: string): Error;
+}
+export declare const jsonErrorCodec: RedisDataLoaderErrorCodec;
@@ -0,0 +1,10 @@
+/// <reference types="node" />
+export type CompressionAlgorithm = 'gzip' | 'brotli' | 'deflate';
+export interface CompressionOptions {
+    algorithm?: CompressionAlgorithm;
+    threshold?: number;
+}
+export declare function compressionOptions(option: CompressionAlgorithm | CompressionOptions): CompressionOptions;
+export declare function compress(raw: string | Buffer, options: CompressionOptions): string | Buffer;
+export declare function isCompressed(raw: string | Buffer): raw is Buffer;
+export declare function decompress(raw: Buffer): Buffer;
@@ -0,0 +1,46 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.decompress = exports.isCompressed = exports.compress = exports.compressionOptions = void 0;
+const zlib_1 = require("zlib");
+// compressed values start with a NUL byte, 'z' and a byte naming the algorithm,
+// so they can be told apart from uncompressed values whatever the current
+// settings are
+const HEADER = Buffer.from('\u0000z');
+const ALGORITHMS = {
+    gzip: { id: 0x67, compress: (buf) => (0, zlib_1.gzipSync)(buf) },
+    brotli: { id: 0x62, compress: (buf) => (0, zlib_1.brotliCompressSync)(buf) },
+    deflate: { id: 0x64, compress: (buf) => (0, zlib_1.deflateSync)(buf) },
+};
+const DECOMPRESS = {
+    [ALGORITHMS.gzip.id]: (buf) => (0, zlib_1.gunzipSync)(buf),
+    [ALGORITHMS.brotli.id]: (buf) => (0, zlib_1.brotliDecompressSync)(buf),
+    [ALGORITHMS.deflate.id]: (buf) => (0, zlib_1.inflateSync)(buf),
+};
+function compressionOptions(option) {
+    return typeof option === 'string' ? { algorithm: option } : option;
+}
+exports.compressionOptions = compressionOptions;
+// `raw` with a header, compressed, when it is over the threshold and
+// compressing it actually makes it smaller. otherwise `raw` as it is
+function compress(raw, options) {
+    const { algorithm = 'gzip', threshold = 1024 } = options;
+    const buf = Buffer.isBuffer(raw) ? raw : Buffer.from(raw);
+    if (buf.length < threshold) {
+        return raw;
+    }
+    const { id, compress: fn } = ALGORITHMS[algorithm];
+    const compressed = Buffer.concat([HEADER, Buffer.from([id]), fn(buf)]);
+    return compressed.length < buf.length ? compressed : raw;
+}
+exports.compress = compress;
+function isCompressed(raw) {
+    return Buffer.isBuffer(raw)
+        && raw.length > HEADER.length
+        && raw.subarray(0, HEADER.length).equals(HEADER)
+        && raw[HEADER.length] in DECOMPRESS;
+}
+exports.isCompressed = isCompressed;
+function decompress(raw) {
+    return DECOMPRESS[raw[HEADER.length]](raw.subarray(HEADER.length + 1));
+}
+exports.decompress = decompress;
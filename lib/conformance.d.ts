@@ -0,0 +1,11 @@
+import { RedisDataLoaderConfig } from './index';
+export interface ConformanceOptions {
+    keySpace?: string;
+    replicaWait?: number;
+}
+export interface ConformanceResult {
+    name: string;
+    passed: boolean;
+    error?: Error;
+}
+export declare function runConformance(config: RedisDataLoaderConfig, options?: ConformanceOptions): Promise<ConformanceResult[]>;
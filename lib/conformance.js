@@ -0,0 +1,175 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.runConformance = void 0;
+const lodash_1 = __importDefault(require("lodash"));
+const dataloader_1 = __importDefault(require("dataloader"));
+const adapters_1 = require("./adapters");
+const index_1 = require("./index");
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+// a batch function that counts its calls
+function counted(fn) {
+    const spy = {
+        calls: 0,
+        fn: ((...args) => {
+            spy.calls++;
+            return fn(...args);
+        }),
+    };
+    return spy;
+}
+// checks that the clients of a config behave as the loader expects: values,
+// nulls and ttls round trip, replicas see writes, and the loader falls back to
+// the primary when a replica fails. resolves with the result of each check,
+// and only rejects when the keys written can't be removed afterwards
+async function runConformance(config, options = {}) {
+    const { keySpace = 'redis-dataloader-conformance', replicaWait = 1000 } = options;
+    const redisRW = (0, adapters_1.toAdapter)(config.redisRW);
+    const replicas = lodash_1.default.castArray(config.redisRO).map(adapters_1.toAdapter);
+    // the loader factories made for the checks, closed once they're done
+    const factories = [];
+    // a loader factory for the config, without the parts that would outlive the
+    // checks or report their keys
+    function loaders(redisRO, metrics) {
+        const factory = (0, index_1.createRedisDataLoader)({
+            ...config,
+            redisRO,
+            replicas: { ...config.replicas, healthCheckInterval: undefined },
+            circuitBreaker: undefined,
+            invalidation: undefined,
+            metrics,
+            tracer: undefined,
+        });
+        factories.push(factory);
+        return factory;
+    }
+    const checks = [
+        {
+            name: 'reads missing keys as null',
+            run: async (keys) => {
+                const values = await redisRW.mget([keys('missing')]);
+                assert(values.length === 1 && values[0] === null, `expected [null], got ${JSON.stringify(values)}`);
+            },
+        },
+        {
+            name: 'round trips binary values',
+            run: async (keys) => {
+                const value = Buffer.from([0, 0xff, 0xfe, 0x80, 0x0a]);
+                await redisRW.set([{ key: keys('binary'), value }]);
+                const [read] = await redisRW.mget([keys('binary')], { buffers: true });
+                assert(Buffer.isBuffer(read) && read.equals(value), 'a binary value changed on the way through redis');
+            },
+        },
+        {
+            name: 'expires keys',
+            run: async (keys) => {
+                await redisRW.set([{ key: keys('short'), value: '1', expireMs: 50 }, { key: keys('long'), value: '1' }]);
+                await redisRW.expire([{ key: keys('long'), expire: 30 }]);
+                const [short, long] = await redisRW.pttl([keys('short'), keys('long')]);
+                assert(short > 0 && short <= 50, `expected a ttl of at most 50ms, got ${short}`);
+                assert(long > 0 && long <= 30000, `expected a ttl of at most 30s after expire, got ${long}`);
+                await sleep(100);
+                const [value] = await redisRW.mget([keys('short')]);
+                assert(value === null, 'a key was still readable after its ttl ran out');
+            },
+        },
+        {
+            name: 'caches values and nulls with a ttl',
+            run: async (keys) => {
+                const batch = counted(async (ids) => ids.map((id) => (id === 'present' ? { id } : null)));
+                // read from the primary, so replication lag can't fail the check
+                const RedisDataLoader = loaders([]);
+                const load = () => new RedisDataLoader(keySpace, new dataloader_1.default(batch.fn, { cache: false }), {
+                    expire: 30,
+                    negativeCache: true,
+                }).loadMany(['present', 'absent']);
+                await redisRW.del([keys('present'), keys('absent')]);
+                const first = await load();
+                const second = await load();
+                assert(lodash_1.default.isEqual(first, [{ id: 'present' }, null]), `unexpected first load ${JSON.stringify(first)}`);
+                assert(lodash_1.default.isEqual(second, first), `unexpected cached load ${JSON.stringify(second)}`);
+                assert(batch.calls === 1, `expected one call to the batch function, got ${batch.calls}`);
+                const [ttl] = await redisRW.pttl([keys('absent')]);
+                assert(ttl > 0 && ttl <= 30000, `expected the cached null to expire within 30s, got ${ttl}`);
+            },
+        },
+        {
+            name: 'compares and sets atomically',
+            run: async (keys) => {
+                await redisRW.set([{ key: keys('cas'), value: 'a' }]);
+                assert(!(await redisRW.setIfEquals({ key: keys('cas'), value: 'c' }, 'b')), 'setIfEquals wrote over another value');
+                assert(await redisRW.setIfEquals({ key: keys('cas'), value: 'c' }, 'a'), 'setIfEquals did not write over the expected value');
+                assert(!(await redisRW.delIfEquals(keys('cas'), 'a')), 'delIfEquals deleted another value');
+                assert(await redisRW.delIfEquals(keys('cas'), 'c'), 'delIfEquals did not delete the expected value');
+            },
+        },
+        {
+            name: 'reads writes from every replica',
+            run: async (keys) => {
+                await redisRW.set([{ key: keys('replicated'), value: 'yes' }]);
+                const deadline = Date.now() + replicaWait;
+                for (const [index, replica] of replicas.entries()) {
+                    const read = async () => (await replica.mget([keys('replicated')]))[0];
+                    let value = await read();
+                    while (value !== 'yes' && Date.now() < deadline) {
+                        await sleep(20);
+                        value = await read();
+                    }
+                    assert(value === 'yes', `replica ${index} did not see a write within ${replicaWait}ms`);
+                }
+            },
+        },
+        {
+            name: 'falls back to the primary when a replica fails',
+            run: async (keys) => {
+                const failing = replicas.map((replica) => Object.create(replica, {
+                    mget: { value: () => Promise.reject(new Error('LOADING Redis is loading the dataset in memory')) },
+                }));
+                let fallbacks = 0;
+                const batch = counted(async (ids) => ids.map(() => 'from the batch function'));
+                const RedisDataLoader = loaders(failing, { replicaFallback: () => fallbacks++ });
+                const loader = new RedisDataLoader(keySpace, new dataloader_1.default(batch.fn, { cache: false }), { expire: 30 });
+                await redisRW.set([{ key: keys('fallback'), value: JSON.stringify('from the primary') }]);
+                const value = await loader.load('fallback');
+                assert(value === 'from the primary', `expected the value in the primary, got ${JSON.stringify(value)}`);
+                assert(batch.calls === 0, 'the batch function was called rather than reading the primary');
+                assert(fallbacks > 0, 'no replicaFallback was reported');
+            },
+        },
+    ];
+    const written = new Set();
+    const keys = (name) => {
+        const key = `${keySpace}:${name}`;
+        written.add(key);
+        return key;
+    };
+    const results = [];
+    try {
+        for (const { name, run } of checks) {
+            try {
+                await run(keys);
+                results.push({ name, passed: true });
+            }
+            catch (ex) {
+                results.push({ name, passed: false, error: ex instanceof Error ? ex : new Error(String(ex)) });
+            }
+        }
+    }
+    finally {
+        await Promise.all(factories.map((factory) => factory.close()));
+        if (written.size) {
+            await redisRW.del(Array.from(written));
+        }
+    }
+    return results;
+}
+exports.runConformance = runConformance;
@@ -0,0 +1,8 @@
+export declare class InFlightMap<K, V> {
+    private promises;
+    get size(): number;
+    get(key: K): Promise<V> | undefined;
+    set(key: K, promise: Promise<V>): void;
+    delete(key: K): void;
+    clear(): void;
+}
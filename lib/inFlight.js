@@ -0,0 +1,33 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.InFlightMap = void 0;
+// a DataLoader cacheMap that only holds promises until they settle, so loads
+// of a key made while one is already running share it, and nothing is cached
+// after that
+class InFlightMap {
+    constructor() {
+        this.promises = new Map();
+    }
+    get size() {
+        return this.promises.size;
+    }
+    get(key) {
+        return this.promises.get(key);
+    }
+    set(key, promise) {
+        this.promises.set(key, promise);
+        const settle = () => {
+            if (this.promises.get(key) === promise) {
+                this.promises.delete(key);
+            }
+        };
+        promise.then(settle, settle);
+    }
+    delete(key) {
+        this.promises.delete(key);
+    }
+    clear() {
+        this.promises.clear();
+    }
+}
+exports.InFlightMap = InFlightMap;
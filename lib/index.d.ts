@@ -1,33 +1,133 @@
-import { RedisClientType } from 'redis';
+/// <reference types="node" />
 import DataLoader from 'dataloader';
+import { RedisDataLoaderCodec, RedisDataLoaderErrorCodec } from './codecs';
+import { CircuitBreakerOptions, CircuitState } from './circuitBreaker';
+import { CompressionAlgorithm, CompressionOptions } from './compression';
+import { LocalCacheOptions } from './localCache';
+import { RedisDataLoaderMetrics, Tracer } from './instrumentation';
+import { RedisClient } from './adapters';
+import { ReplicaPoolOptions } from './replicaPool';
+import { InvalidationMessage, InvalidationOptions } from './invalidationBus';
+export * from './codecs';
+export * from './adapters';
+export { CircuitBreakerOptions, CircuitState } from './circuitBreaker';
+export { CompressionAlgorithm, CompressionOptions } from './compression';
+export { InvalidationOptions, InvalidationMessage } from './invalidationBus';
+export { LocalCache, LocalCacheOptions } from './localCache';
+export * from './instrumentation';
+export { hashSlot } from './cluster';
+export { ReplicaPoolOptions, ReplicaStrategy } from './replicaPool';
+export { SnapshotEntry } from './snapshot';
+export { LoaderContext, LoaderDefinition, LoaderDefinitions, LoaderOf, LoaderRegistry, createLoaderRegistry } from './registry';
+export { ConformanceOptions, ConformanceResult, runConformance } from './conformance';
+export interface RedisErrorInfo {
+    operation: 'read' | 'write';
+    keySpace: string;
+}
 export interface RedisDataLoaderConfig {
-    redisRW: RedisClientType<any, any, any>;
-    redisRO: RedisClientType<any, any, any>;
+    redisRW: RedisClient;
+    redisRO: RedisClient | RedisClient[];
+    replicas?: ReplicaPoolOptions;
+    readTimeout?: number;
+    circuitBreaker?: CircuitBreakerOptions;
+    onRedisError?: (err: Error, info: RedisErrorInfo) => void;
+    onCircuitStateChange?: (state: CircuitState) => void;
+    invalidation?: InvalidationOptions;
+    metrics?: RedisDataLoaderMetrics;
+    tracer?: Tracer;
+}
+export interface RedisDataLoaderOptions<K = any, V = any, C = K> extends DataLoader.Options<K, V, C> {
+    expire: number | ((key: K, value: V | null) => number);
+    jitter?: number;
+    slidingExpire?: boolean;
+    codec?: RedisDataLoaderCodec<V>;
+    serialize?: (val: V) => any;
+    deserialize?: (raw: any) => V;
+    buffer?: boolean;
+    negativeCache?: boolean;
+    negativeExpire?: number;
+    errorExpire?: number;
+    errorCodec?: RedisDataLoaderErrorCodec;
+    failOpen?: boolean;
+    softExpire?: number;
+    stampedeLock?: StampedeLockOptions;
+    hashTag?: boolean;
+    readYourWrites?: number;
+    shareReads?: boolean;
+    localCache?: LocalCacheOptions;
+    storage?: 'string' | 'hash';
+    compression?: CompressionAlgorithm | CompressionOptions;
+    version?: number;
+    migrate?: (value: any, fromVersion: number) => V;
+    writeThrough?: (entries: CacheEntry<K, V>[]) => unknown;
+    writeBehind?: (entries: CacheEntry<K, V>[]) => unknown;
+    tags?: (key: K, value: V) => string[];
+}
+export interface CacheEntry<K = any, V = any> {
+    key: K;
+    value: V | null;
+}
+export interface WarmOptions {
+    concurrency?: number;
+    batchSize?: number;
+}
+export interface LoadOptions<F extends string = string> {
+    fields?: F[];
 }
-export interface RedisDataLoaderOptions extends DataLoader.Options<any, any> {
-    expire: number;
+export type FieldOf<V> = keyof NonNullable<V> & string;
+export interface StampedeLockOptions {
+    lease: number;
+    pollInterval?: number;
 }
-export interface IRedisDataLoader {
-    options?: RedisDataLoaderOptions;
+export interface IRedisDataLoader<K = any, V = any, C = K> {
+    options?: RedisDataLoaderOptions<K, V, C>;
     keySpace: string;
-    loader: DataLoader<any, any>;
-    load<T>(key: string): Promise<T>;
-    loadMany<T>(keys: string[]): Promise<T[]>;
-    prime(key: string, val: object | null | undefined): Promise<void>;
-    clear(key: string): Promise<DataLoader<any, any, any>>;
-    clearAllLocal(): Promise<DataLoader<any, any, any>>;
-    clearLocal(key: string): Promise<DataLoader<any, any, any>>;
+    loader: DataLoader<K, V, C>;
+    load(key: K): Promise<V>;
+    load<F extends FieldOf<V>>(key: K, options: LoadOptions<F>): Promise<Pick<NonNullable<V>, F> | null>;
+    loadMany(keys: readonly K[]): Promise<V[]>;
+    loadMany<F extends FieldOf<V>>(keys: readonly K[], options: LoadOptions<F>): Promise<(Pick<NonNullable<V>, F> | null)[]>;
+    prime(key: K, val: V | null): Promise<void>;
+    primeMany(entries: CacheEntry<K, V>[]): Promise<void>;
+    update(key: K, mutator: (value: V | null) => V | null | Promise<V | null>): Promise<V | null>;
+    warm(keys: Iterable<K> | AsyncIterable<K>, options?: WarmOptions): Promise<number>;
+    dump(): AsyncIterable<string>;
+    restore(source: Iterable<string | Buffer> | AsyncIterable<string | Buffer>): Promise<number>;
+    patch(key: K, values: Partial<NonNullable<V>>): Promise<void>;
+    invalidateTag(tag: string): Promise<number>;
+    clear(key: K): Promise<DataLoader<K, V, C>>;
+    clearAll(): Promise<DataLoader<K, V, C>>;
+    clearMatching(pattern: string): Promise<DataLoader<K, V, C>>;
+    clearAllLocal(): Promise<DataLoader<K, V, C>>;
+    clearLocal(key: K): Promise<DataLoader<K, V, C>>;
+    dispose(): void;
 }
 export declare function createRedisDataLoader(config: RedisDataLoaderConfig): {
-    new (ks: string, userLoader: DataLoader<any, any>, opt?: RedisDataLoaderOptions): {
-        options: RedisDataLoaderOptions;
+    new <K = any, V = any, C = K>(ks: string, userLoader: DataLoader<K, V, C>, opt?: RedisDataLoaderOptions<K, V, C> | undefined): {
+        options: RedisDataLoaderOptions<K, V, C>;
         keySpace: string;
-        loader: DataLoader<any, any>;
-        load<T>(key: string): Promise<T>;
-        loadMany<T_1>(keys: string[]): Promise<T_1[]>;
-        prime(key: string, val: object | null | undefined): Promise<void>;
-        clear(key: string): Promise<DataLoader<any, any, any>>;
-        clearAllLocal(): Promise<DataLoader<any, any, any>>;
-        clearLocal(key: string): Promise<DataLoader<any, any, any>>;
+        loader: DataLoader<K, V, C>;
+        id: number;
+        onInvalidate(message: InvalidationMessage): void;
+        load(key: K): Promise<V>;
+        load<F extends FieldOf<V>>(key: K, options: LoadOptions<F>): Promise<Pick<NonNullable<V>, F> | null>;
+        loadMany(keys: readonly K[]): Promise<V[]>;
+        loadMany<F_1 extends FieldOf<V>>(keys: readonly K[], options: LoadOptions<F_1>): Promise<(Pick<NonNullable<V>, F_1> | null)[]>;
+        prime(key: K, val: V | null): Promise<void>;
+        primeMany(entries: CacheEntry<K, V>[]): Promise<void>;
+        update(key: K, mutator: (value: V | null) => V | Promise<V | null> | null): Promise<V | null>;
+        patch(key: K, values: Partial<NonNullable<V>>): Promise<void>;
+        warm(keys: Iterable<K> | AsyncIterable<K>, options?: WarmOptions): Promise<number>;
+        dump(): AsyncIterable<string>;
+        restore(source: Iterable<string | Buffer> | AsyncIterable<string | Buffer>): Promise<number>;
+        invalidateTag(tag: string): Promise<number>;
+        clear(key: K): Promise<DataLoader<K, V, C>>;
+        clearAll(): Promise<DataLoader<K, V, C>>;
+        clearMatching(pattern: string): Promise<DataLoader<K, V, C>>;
+        clearAllLocal(): Promise<DataLoader<K, V, C>>;
+        clearLocal(key: K): Promise<DataLoader<K, V, C>>;
+        dispose(): void;
     };
+    close(): Promise<void>;
 };
+export type RedisDataLoaderClass = ReturnType<typeof createRedisDataLoader>;
@@ -1,174 +1,1173 @@
 "use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __exportStar = (this && this.__exportStar) || function(m, exports) {
+    for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
+};
 var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.createRedisDataLoader = void 0;
+exports.createRedisDataLoader = exports.runConformance = exports.createLoaderRegistry = exports.hashSlot = exports.LocalCache = void 0;
 const lodash_1 = __importDefault(require("lodash"));
 const dataloader_1 = __importDefault(require("dataloader"));
+const crypto_1 = require("crypto");
 const json_stable_stringify_1 = __importDefault(require("json-stable-stringify"));
 const debug_1 = __importDefault(require("debug"));
+const codecs_1 = require("./codecs");
+const circuitBreaker_1 = require("./circuitBreaker");
+const compression_1 = require("./compression");
+const inFlight_1 = require("./inFlight");
+const localCache_1 = require("./localCache");
+const instrumentation_1 = require("./instrumentation");
+const adapters_1 = require("./adapters");
+const replicaPool_1 = require("./replicaPool");
+const invalidationBus_1 = require("./invalidationBus");
+const snapshot_1 = require("./snapshot");
+__exportStar(require("./codecs"), exports);
+__exportStar(require("./adapters"), exports);
+var localCache_2 = require("./localCache");
+Object.defineProperty(exports, "LocalCache", { enumerable: true, get: function () { return localCache_2.LocalCache; } });
+__exportStar(require("./instrumentation"), exports);
+var cluster_1 = require("./cluster");
+Object.defineProperty(exports, "hashSlot", { enumerable: true, get: function () { return cluster_1.hashSlot; } });
+var registry_1 = require("./registry");
+Object.defineProperty(exports, "createLoaderRegistry", { enumerable: true, get: function () { return registry_1.createLoaderRegistry; } });
+var conformance_1 = require("./conformance");
+Object.defineProperty(exports, "runConformance", { enumerable: true, get: function () { return conformance_1.runConformance; } });
 const d = (0, debug_1.default)('redis-dataloader');
+const LOADER_ONLY_OPTIONS = [
+    'expire',
+    'jitter',
+    'slidingExpire',
+    'codec',
+    'serialize',
+    'deserialize',
+    'buffer',
+    'negativeCache',
+    'negativeExpire',
+    'errorExpire',
+    'errorCodec',
+    'failOpen',
+    'softExpire',
+    'stampedeLock',
+    'localCache',
+    'hashTag',
+    'readYourWrites',
+    'shareReads',
+    'storage',
+    'compression',
+    'version',
+    'migrate',
+    'writeThrough',
+    'writeBehind',
+    'tags',
+];
+// marks a key that is not in redis at all, as opposed to a cached null
+const MISSING = Symbol('missing');
+// cached errors are stored behind this prefix. no codec output starts with a
+// NUL byte followed by more data, so it can't be confused with a value
+const ERROR_PREFIX = '\u0000err:';
+const ERROR_PREFIX_BUFFER = Buffer.from(ERROR_PREFIX);
+// with `softExpire` values are stored as `<prefix><ms since epoch>:<value>`
+const TIMESTAMP_PREFIX = '\u0000ts:';
+// with `version` values are stored as `<prefix><version>:<value>`, inside the
+// timestamp if there is one. values without it are version 0
+const VERSION_PREFIX = '\u0000v:';
+// a cached value written by a newer version of the loader than this one
+const NEWER_VERSION = Symbol('newer version');
+// keys the loader keeps for itself live under this prefix, which no keySpace
+// may overlap, so clearing a keySpace can't remove them
+const NAMESPACE = 'redis-dataloader:';
+// a stampede lock is stored under this prefix and the full key it guards
+const LOCK_PREFIX = `${NAMESPACE}lock:`;
+// the set of keys tagged with a tag is stored under this prefix and the tag
+const TAG_PREFIX = `${NAMESPACE}tag:`;
+// how many times update reads and mutates a key that keeps being written by
+// someone else before it gives up
+const MAX_UPDATE_ATTEMPTS = 10;
+// with hash storage each property is encoded into its own field. this field is
+// written alongside them and holds what a string entry would for nulls, errors
+// and softExpire timestamps, or ENTITY_MARKER for a value. a hash without it,
+// such as one that has only been patched, is a cache miss
+const HASH_MARKER = '\u0000';
+const ENTITY_MARKER = '1';
+function isHash(val) {
+    return typeof val === 'object' && val !== null && !Buffer.isBuffer(val);
+}
+// a cached value past its soft ttl
+class StaleValue {
+    constructor(value) {
+        this.value = value;
+    }
+}
+// objects and arrays are serialized with their properties in a stable order,
+// everything else is used as it is
+function defaultCacheKeyFn(key) {
+    return lodash_1.default.isObject(key) ? (0, json_stable_stringify_1.default)(key) : key;
+}
 function getErrorMessage(error) {
     if (error instanceof Error)
         return error.message;
     return String(error);
 }
+// escapes the characters SCAN's MATCH treats as a glob
+function escapeGlob(str) {
+    return str.replace(/[*?[\]\\]/g, (c) => `\\${c}`);
+}
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+// resolves with what `fn` resolves with, reporting how many milliseconds it took
+async function timed(fn, report) {
+    const start = Date.now();
+    try {
+        return await fn();
+    }
+    finally {
+        report(Date.now() - start);
+    }
+}
+function toError(error) {
+    return error instanceof Error ? error : new Error(getErrorMessage(error));
+}
+function isErrorEntry(val) {
+    return typeof val === 'string'
+        ? val.startsWith(ERROR_PREFIX)
+        : val.subarray(0, ERROR_PREFIX_BUFFER.length).equals(ERROR_PREFIX_BUFFER);
+}
+// shortens `ttl` by a random amount of up to `jitter` of it
+function withJitter(ttl, jitter) {
+    return ttl && jitter ? Math.max(1, Math.round(ttl * (1 - Math.random() * jitter))) : ttl;
+}
+function addHeader(prefix, n, val) {
+    const header = `${prefix}${n}:`;
+    return typeof val === 'string' ? header + val : Buffer.concat([Buffer.from(header), val]);
+}
+// splits the number in a header written by addHeader off `val`, or null when
+// `val` doesn't have that header
+function splitHeader(prefix, val) {
+    if (typeof val === 'string') {
+        if (!val.startsWith(prefix)) {
+            return null;
+        }
+        const end = val.indexOf(':', prefix.length);
+        return { n: Number(val.slice(prefix.length, end)), rest: val.slice(end + 1) };
+    }
+    if (val.subarray(0, prefix.length).toString('latin1') !== prefix) {
+        return null;
+    }
+    const end = val.indexOf(':', prefix.length);
+    return { n: Number(val.subarray(prefix.length, end).toString()), rest: val.subarray(end + 1) };
+}
+function addTimestamp(val) {
+    return addHeader(TIMESTAMP_PREFIX, Date.now(), val);
+}
+function splitTimestamp(val) {
+    const split = splitHeader(TIMESTAMP_PREFIX, val);
+    return split && { storedAt: split.n, rest: split.rest };
+}
+function splitVersion(val) {
+    return splitHeader(VERSION_PREFIX, val) || { n: 0, rest: val };
+}
 function createRedisDataLoader(config) {
-    const redisRW = config.redisRW;
-    const redisRO = config.redisRO;
+    const redisRW = (0, adapters_1.toAdapter)(config.redisRW);
+    const replicaPool = new replicaPool_1.ReplicaPool(lodash_1.default.castArray(config.redisRO).map(adapters_1.toAdapter), config.replicas);
+    const instrumentation = new instrumentation_1.Instrumentation(config.metrics, config.tracer);
+    const bus = config.invalidation ? new invalidationBus_1.InvalidationBus(redisRW, config.invalidation) : null;
+    let loaderCount = 0;
+    // the key prefixes of the loaders made from this config. keys are matched by
+    // prefix to clear or dump a keySpace, which would also reach the keys of any
+    // keySpace nested in it
+    const prefixes = new Set();
+    function checkPrefix(prefix) {
+        const others = [NAMESPACE, ...Array.from(prefixes).filter((p) => p !== prefix)];
+        const other = others.find((p) => prefix.startsWith(p) || p.startsWith(prefix));
+        if (other) {
+            throw new TypeError(`the keys of keySpace prefix ${prefix} overlap those of ${other}`);
+        }
+    }
+    // tells every other loader on this keySpace to drop `key` (or everything
+    // when no key is given) from its local cache
+    function announce(keySpace, loaderId, key) {
+        if (!bus) {
+            return;
+        }
+        bus
+            .publish({ keySpace, loader: loaderId, key: key === undefined ? undefined : (0, json_stable_stringify_1.default)(key) })
+            .catch((reason) => d('publishing invalidation failed', reason));
+    }
+    const breaker = config.circuitBreaker
+        ? new circuitBreaker_1.CircuitBreaker(config.circuitBreaker, (state) => {
+            d('redis circuit breaker', state);
+            if (config.onCircuitStateChange) {
+                config.onCircuitStateChange(state);
+            }
+        })
+        : null;
+    function withTimeout(promise, ms) {
+        if (!ms) {
+            return promise;
+        }
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`redis read timed out after ${ms}ms`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+    // runs a batch read or write through the circuit breaker and reports failures
+    async function guard(info, fn) {
+        if (breaker && !breaker.allow()) {
+            throw new Error('redis circuit breaker is open');
+        }
+        try {
+            const result = await fn();
+            if (breaker) {
+                breaker.success();
+            }
+            return result;
+        }
+        catch (ex) {
+            if (breaker) {
+                breaker.failure();
+            }
+            if (config.onRedisError) {
+                config.onRedisError(toError(ex), info);
+            }
+            throw ex;
+        }
+    }
     function isReplicaLoadingDataError(exception) {
         const errorMessage = getErrorMessage(exception);
         return errorMessage.includes('LOADING');
     }
-    function parse(resp) {
-        if (resp === '' || resp === null) {
+    function getCodec(opt) {
+        return opt.codec || codecs_1.jsonCodec;
+    }
+    function parse(resp, opt) {
+        if (isHash(resp)) {
+            return parseHash(resp, opt);
+        }
+        const stamped = (typeof resp === 'string' || Buffer.isBuffer(resp)) && splitTimestamp(resp);
+        if (stamped) {
+            resp = stamped.rest;
+        }
+        if (resp === '' || resp === null || resp === undefined || (Buffer.isBuffer(resp) && resp.length === 0)) {
             return null;
         }
-        else if (Buffer.isBuffer(resp)) {
-            return resp.toString();
+        else if ((typeof resp === 'string' || Buffer.isBuffer(resp)) && isErrorEntry(resp)) {
+            return (opt.errorCodec || codecs_1.jsonErrorCodec).decode(resp.toString().slice(ERROR_PREFIX.length));
         }
-        else if (typeof resp === 'string') {
-            return JSON.parse(resp);
+        else if (typeof resp === 'string' || Buffer.isBuffer(resp)) {
+            const { n: version, rest } = splitVersion(resp);
+            return checkVersion(version, opt, () => decode(rest, opt));
         }
         else {
             return null;
         }
     }
-    function toString(val) {
-        if (lodash_1.default.isObject(val)) {
-            return JSON.stringify(val);
+    function decode(raw, opt) {
+        const codec = getCodec(opt);
+        if (Buffer.isBuffer(raw)) {
+            const buf = (0, compression_1.isCompressed)(raw) ? (0, compression_1.decompress)(raw) : raw;
+            return buf.length === 0 ? null : codec.decode(codec.binary ? buf : buf.toString());
         }
-        else {
+        return raw === '' ? null : codec.decode(codec.binary ? Buffer.from(raw, 'binary') : raw);
+    }
+    // hands back values cached with a different version than the loader's as
+    // MISSING, NEWER_VERSION or migrated. only the current version and values to
+    // migrate are decoded, as a newer version may use a codec this one can't read
+    function checkVersion(version, opt, decodeValue) {
+        const current = opt.version || 0;
+        if (version === current) {
+            return decodeValue();
+        }
+        else if (version > current) {
+            return NEWER_VERSION;
+        }
+        else if (!opt.migrate) {
+            return MISSING;
+        }
+        try {
+            return opt.migrate(decodeValue(), version);
+        }
+        catch (ex) {
+            d('migrating cached value failed', ex);
+            return MISSING;
+        }
+    }
+    // the version, and the rest of the marker field, of a value in hash storage
+    function splitMarker(marker) {
+        const stamped = splitTimestamp(marker);
+        return splitVersion(stamped ? stamped.rest : marker);
+    }
+    function parseHash(hash, opt) {
+        const { n: version, rest } = splitMarker(hash[HASH_MARKER]);
+        if (rest.toString() !== ENTITY_MARKER) {
+            // a cached null or error
+            return parse(rest, opt);
+        }
+        return checkVersion(version, opt, () => lodash_1.default.mapValues(lodash_1.default.omit(hash, HASH_MARKER), (val) => decode(val, opt)));
+    }
+    function addVersion(val, opt) {
+        return opt.version ? addHeader(VERSION_PREFIX, opt.version, val) : val;
+    }
+    function toStored(val, opt) {
+        if (val === null || val === undefined) {
             return '';
         }
+        else if (opt.storage === 'hash') {
+            return toHash(val, opt);
+        }
+        const encoded = addVersion(encode(val, opt), opt);
+        return opt.softExpire ? addTimestamp(encoded) : encoded;
     }
-    function makeKey(keySpace, key, cacheKeyFn = (k) => (lodash_1.default.isObject(k) ? (0, json_stable_stringify_1.default)(k) : k)) {
-        return `${keySpace ? keySpace + ':' : ''}${cacheKeyFn(key)}`;
+    function toHash(val, opt) {
+        if (!lodash_1.default.isObject(val) || Array.isArray(val)) {
+            throw new TypeError('hash storage can only hold objects');
+        }
+        const hash = encodeFields(val, opt);
+        const marker = addVersion(ENTITY_MARKER, opt);
+        hash[HASH_MARKER] = opt.softExpire ? addTimestamp(marker) : marker;
+        return hash;
     }
-    async function rSetAndGet(keySpace, key, rawVal, opt) {
-        const val = toString(rawVal);
-        const fullKey = makeKey(keySpace, key, opt.cacheKeyFn);
-        const multiRW = redisRW.multi();
-        multiRW.set(fullKey, val);
-        if (opt.expire) {
-            multiRW.expire(fullKey, opt.expire);
-        }
-        await multiRW.exec();
-        try {
-            const multiRO = redisRO.multi();
-            multiRO.get(fullKey);
-            const replies = await multiRO.exec();
-            const lastReply = lodash_1.default.last(replies);
-            return parse(lastReply);
+    function encodeFields(values, opt) {
+        const hash = {};
+        lodash_1.default.forEach(values, (val, field) => {
+            if (val !== undefined) {
+                hash[field] = val === null ? '' : encode(val, opt);
+            }
+        });
+        return hash;
+    }
+    function encode(val, opt) {
+        const encoded = getCodec(opt).encode(val);
+        return opt.compression ? (0, compression_1.compress)(encoded, (0, compression_1.compressionOptions)(opt.compression)) : encoded;
+    }
+    // like parse, but flags values that are past their soft ttl
+    function parseEntry(resp, opt) {
+        const value = parse(resp, opt);
+        const stamp = isHash(resp) ? resp[HASH_MARKER] : resp;
+        if (typeof value === 'symbol') {
+            return value;
         }
-        catch (ex) {
-            if (isReplicaLoadingDataError(ex)) {
-                // this replica is reloading from disc and not ready for work. retry
-                // loading these keys from the primary instead.
-                multiRW.get(fullKey);
-                const replies = await multiRW.exec();
-                const lastReply = lodash_1.default.last(replies);
-                return parse(lastReply);
+        else if (opt.softExpire && (typeof stamp === 'string' || Buffer.isBuffer(stamp))) {
+            const stamped = splitTimestamp(stamp);
+            if (stamped && Date.now() - stamped.storedAt >= opt.softExpire * 1000) {
+                return new StaleValue(value);
             }
-            throw ex;
         }
+        return value;
+    }
+    function toErrorEntry(err, opt) {
+        return ERROR_PREFIX + (opt.errorCodec || codecs_1.jsonErrorCodec).encode(err);
+    }
+    // seconds `key` is kept in redis while it holds `value`, as parse returns it
+    function ttlFor(key, value, opt) {
+        let ttl;
+        if (value === null && opt.negativeExpire) {
+            ttl = opt.negativeExpire;
+        }
+        else if (value instanceof Error && opt.errorExpire) {
+            ttl = opt.errorExpire;
+        }
+        else {
+            ttl = typeof opt.expire === 'function' ? opt.expire(key, value) : opt.expire;
+        }
+        return withJitter(ttl, opt.jitter);
+    }
+    // ttlFor a value about to be written, only decoding it when the ttl depends on it
+    function expireFor(key, stored, opt) {
+        const val = isHash(stored) ? stored[HASH_MARKER] : stored;
+        if (val === '') {
+            return ttlFor(key, null, opt);
+        }
+        else if (typeof opt.expire === 'function' || isErrorEntry(val)) {
+            return ttlFor(key, parse(stored, opt), opt);
+        }
+        return withJitter(opt.expire, opt.jitter);
+    }
+    // ask the client for Buffers when the codec needs raw bytes, or values may be
+    // compressed
+    function readOptions(opt) {
+        return { buffers: !!getCodec(opt).binary || !!opt.compression };
+    }
+    function keyPrefix(keySpace, opt) {
+        if (!keySpace) {
+            return '';
+        }
+        return opt.hashTag ? `{${keySpace}}:` : `${keySpace}:`;
+    }
+    function makeKey(keySpace, key, opt) {
+        const cacheKeyFn = opt.cacheKeyFn || defaultCacheKeyFn;
+        return `${keyPrefix(keySpace, opt)}${cacheKeyFn(key)}`;
+    }
+    async function rSetAndGet(keySpace, key, rawVal, opt) {
+        const val = toStored(rawVal, opt);
+        await rPipelineSet(keySpace, [{ key, val }], opt);
+        const [reply] = await rRead(keySpace, [key], opt, !!opt.readYourWrites);
+        const parsed = parse(reply, opt);
+        // overwritten by another version of the loader in the meantime
+        return typeof parsed === 'symbol' ? parse(val, opt) : parsed;
     }
-    function rPipelineSet(keySpace, data, opt) {
-        const multiRW = redisRW.multi();
-        for (let i = 0; i < data.length; i++) {
-            const item = data[i];
-            const val = toString(item.rawVal);
-            const fullKey = makeKey(keySpace, item.key, opt.cacheKeyFn);
-            if (opt.expire) {
-                d('setting redis data', fullKey, `for ${opt.expire}ms`);
-                multiRW.set(fullKey, val, { EX: opt.expire });
+    async function rPipelineSet(keySpace, data, opt) {
+        const entries = data.map(({ key, val }) => {
+            const fullKey = makeKey(keySpace, key, opt);
+            const expire = expireFor(key, val, opt);
+            if (expire) {
+                d('setting redis data', fullKey, `for ${expire}s`);
             }
             else {
                 d('setting redis data', fullKey);
-                multiRW.set(fullKey, val);
             }
+            return { key: fullKey, val, expire };
+        });
+        if (opt.tags) {
+            await rTag(keySpace, data.map(({ key, val }, i) => ({ key, fullKey: entries[i].key, val, expire: entries[i].expire })), opt);
+        }
+        if (opt.storage === 'hash') {
+            // nulls and errors are stored as a hash holding just the marker field
+            await redisRW.hset(entries.map(({ key, val, expire }) => ({
+                key,
+                values: isHash(val) ? val : { [HASH_MARKER]: val },
+                expire,
+                replace: true,
+            })));
+        }
+        else {
+            await redisRW.set(entries.map(({ key, val, expire }) => ({ key, value: val, expire })));
+        }
+    }
+    // adds the full key of each value to the sets of the tags `opt.tags` gives it.
+    // members carry the keySpace and key too, for invalidating local caches
+    async function rTag(keySpace, entries, opt) {
+        const adds = new Map();
+        entries.forEach(({ key, fullKey, val, expire }) => {
+            const value = parse(val, opt);
+            if (value === null || value instanceof Error) {
+                return;
+            }
+            const member = (0, json_stable_stringify_1.default)([keySpace, key, fullKey]);
+            for (const tag of opt.tags(key, value)) {
+                const add = adds.get(tag);
+                if (add) {
+                    add.members.push(member);
+                    // the set lives as long as its longest lived member
+                    add.expire = add.expire && expire && Math.max(add.expire, expire);
+                }
+                else {
+                    adds.set(tag, { key: `${TAG_PREFIX}${tag}`, members: [member], expire });
+                }
+            }
+        });
+        if (adds.size > 0) {
+            await redisRW.sadd(Array.from(adds.values()));
+        }
+    }
+    // removes every key tagged with `tag`, resolving with their keySpaces and
+    // keys, and how many of them still existed. members aren't removed when a key
+    // is cleared, overwritten or expires, so some may be long gone
+    async function rInvalidateTag(tag) {
+        const members = await redisRW.takeSet(`${TAG_PREFIX}${tag}`);
+        const tagged = members.map((member) => {
+            const [keySpace, key, fullKey] = JSON.parse(member);
+            return { keySpace: keySpace, key, fullKey: fullKey };
+        });
+        let removed = 0;
+        for (const batch of lodash_1.default.chunk(lodash_1.default.uniq(tagged.map(({ fullKey }) => fullKey)), 500)) {
+            const ttls = await redisRW.pttl(batch);
+            removed += ttls.filter((ttl) => ttl !== -2).length;
+            await redisRW.del(batch);
         }
-        return multiRW.execAsPipeline();
+        return { tagged, removed };
     }
-    // const rGet = async (keySpace: string, key: string, opt: RedisDataLoaderOptions) => {
-    //   const result = await redisRO.get(makeKey(keySpace, key, opt.cacheKeyFn))
-    //   return parse(result)
-    // }
-    async function rMGet(keySpace, keys, opt) {
-        const cacheKeys = lodash_1.default.map(keys, (k) => makeKey(keySpace, k, opt.cacheKeyFn));
+    // writes single fields of a value in hash storage, leaving the rest alone
+    async function rPatch(keySpace, key, values, opt) {
+        const fields = encodeFields(values, opt);
+        if (lodash_1.default.isEmpty(fields)) {
+            return;
+        }
+        // a ttl that depends on the whole value is left as it is
+        const expire = typeof opt.expire === 'function' ? undefined : withJitter(opt.expire, opt.jitter);
+        await redisRW.hset([{ key: makeKey(keySpace, key, opt), values: fields, expire }]);
+    }
+    // runs a read on a replica from the pool, or on the primary when `fromPrimary`
+    // is set, no replica is healthy or the replica read fails. each attempt gets
+    // its own readTimeout, so a replica that hangs counts as failing too
+    async function read(keySpace, fn, fromPrimary = false) {
+        const attempt = (client) => withTimeout(fn(client), config.readTimeout);
+        const replica = fromPrimary ? null : replicaPool.pick();
+        if (!replica) {
+            return attempt(redisRW);
+        }
+        const start = Date.now();
         try {
-            const results = await redisRO.mGet(cacheKeys);
-            return results.map((result) => parse(result));
+            const result = await attempt(replica);
+            replicaPool.success(replica, Date.now() - start);
+            return result;
         }
         catch (ex) {
+            replicaPool.failure(replica);
             if (isReplicaLoadingDataError(ex)) {
-                // this replica is reloading from disc and not ready for work. retry
-                // loading these keys from the primary instead.
-                const results = await redisRW.mGet(cacheKeys);
-                return results.map((result) => parse(result));
+                // this replica is reloading from disc and not ready for work.
+                d('replica is loading, reading from the primary instead');
             }
-            throw ex;
+            else {
+                d('replica read failed, reading from the primary instead', ex);
+            }
+            instrumentation.emit('replicaFallback', { keySpace });
+            return attempt(redisRW);
+        }
+    }
+    // what each key holds in redis, or null when it holds nothing
+    function rRead(keySpace, keys, opt, fromPrimary = false) {
+        const cacheKeys = lodash_1.default.map(keys, (k) => makeKey(keySpace, k, opt));
+        if (opt.storage === 'hash') {
+            return read(keySpace, (client) => client.hgetall(cacheKeys, readOptions(opt)), fromPrimary)
+                .then((hashes) => hashes.map((hash) => (HASH_MARKER in hash ? hash : null)));
+        }
+        if (opt.shareReads) {
+            return sharedMGet(cacheKeys, readOptions(opt).buffers, fromPrimary);
+        }
+        return read(keySpace, (client) => client.mget(cacheKeys, readOptions(opt)), fromPrimary);
+    }
+    // a DataLoader of full keys for each kind of read, batching the reads of every
+    // loader using shareReads
+    const sharedReaders = new Map();
+    function sharedMGet(keys, buffers, fromPrimary) {
+        const kind = `${buffers}:${fromPrimary}`;
+        let reader = sharedReaders.get(kind);
+        if (!reader) {
+            // a batch spans keySpaces, so replica fallbacks are reported without one
+            reader = new dataloader_1.default((batch) => read('', (client) => client.mget([...batch], { buffers }), fromPrimary), { cacheMap: new inFlight_1.InFlightMap() });
+            sharedReaders.set(kind, reader);
+        }
+        return Promise.all(keys.map((key) => reader.load(key)));
+    }
+    // what each key holds, parsed. a value that can't be decoded is a miss for
+    // that key alone, so it is loaded again and overwritten
+    async function rMGet(keySpace, keys, opt, fromPrimary = false) {
+        const results = await rRead(keySpace, keys, opt, fromPrimary);
+        return results.map((result, i) => {
+            if (result === null) {
+                return MISSING;
+            }
+            try {
+                return parseEntry(result, opt);
+            }
+            catch (ex) {
+                d('decoding a cached value failed, treating it as a miss', keys[i], ex);
+                return MISSING;
+            }
+        });
+    }
+    function lockKey(keySpace, key, opt) {
+        return `${LOCK_PREFIX}${makeKey(keySpace, key, opt)}`;
+    }
+    // tries to take the stampede lock for each key. `held` is false for keys
+    // another caller is already loading
+    async function acquireLocks(keySpace, keys, opt) {
+        const token = (0, crypto_1.randomBytes)(16).toString('hex');
+        const lockKeys = keys.map((key) => lockKey(keySpace, key, opt));
+        const held = await redisRW.set(lockKeys.map((key) => ({
+            key,
+            value: token,
+            expireMs: opt.stampedeLock.lease,
+            onlyIfMissing: true,
+        })));
+        return { token, held };
+    }
+    function releaseLocks(keySpace, keys, token, opt) {
+        return Promise.all(keys.map((key) => redisRW.delIfEquals(lockKey(keySpace, key, opt), token))).catch((reason) => {
+            // the locks will still lapse when their lease runs out
+            d('releasing stampede locks failed', reason);
+        });
+    }
+    // polls redis for the values of keys locked by another caller. keys that are
+    // still MISSING when the lock is released or lapses are left for the caller
+    // to load itself
+    async function waitForValues(keySpace, keys, opt) {
+        const { lease, pollInterval = 50 } = opt.stampedeLock;
+        const deadline = Date.now() + lease;
+        const found = keys.map(() => MISSING);
+        let pending = keys.map((k, i) => i);
+        while (pending.length > 0 && Date.now() < deadline) {
+            await sleep(pollInterval);
+            try {
+                const values = await rMGet(keySpace, pending.map((i) => keys[i]), opt);
+                const lockKeys = pending.map((i) => lockKey(keySpace, keys[i], opt));
+                const locks = await redisRW.mget(lockKeys);
+                pending = pending.filter((i, n) => {
+                    const value = values[n];
+                    if (value !== MISSING) {
+                        found[i] = value instanceof StaleValue ? value.value : value;
+                        return false;
+                    }
+                    // a released lock without a value means the holder had nothing to store
+                    return locks[n] !== null;
+                });
+            }
+            catch (ex) {
+                d('waiting for stampede lock failed', ex);
+                break;
+            }
+        }
+        return found;
+    }
+    // keys with a background refresh in flight, shared by every loader on this config
+    const refreshing = new Set();
+    // reloads a stale key from the user loader in the background. concurrent
+    // refreshes of the same key are collapsed into one
+    function refreshInBackground(keySpace, key, userLoader, opt, onRefreshed) {
+        const fullKey = makeKey(keySpace, key, opt);
+        if (refreshing.has(fullKey)) {
+            return;
+        }
+        refreshing.add(fullKey);
+        userLoader
+            .load(key)
+            .then((resp) => {
+            const val = toStored(resp, opt);
+            return guard({ operation: 'write', keySpace }, () => rPipelineSet(keySpace, [{ key, val }], opt)).then(() => onRefreshed(parse(val, opt)));
+        })
+            .catch((reason) => {
+            // the stale value stays in place until the next attempt
+            d('background refresh failed', key, reason);
+        })
+            .finally(() => refreshing.delete(fullKey));
+    }
+    async function rExpire(keySpace, entries, opt) {
+        const expires = entries
+            .map(({ key, value }) => ({ key: makeKey(keySpace, key, opt), expire: ttlFor(key, value, opt) }))
+            .filter(({ expire }) => expire);
+        if (expires.length > 0) {
+            await redisRW.expire(expires);
         }
     }
     async function rDel(keySpace, key, opt) {
-        const cacheKey = makeKey(keySpace, key, opt.cacheKeyFn);
-        await redisRW.del(cacheKey);
+        await redisRW.del([makeKey(keySpace, key, opt)]);
+    }
+    // a local cache never keeps values longer than a fixed `expire` keeps them in redis
+    function createLocalCache(opt) {
+        const { localCache = {} } = opt;
+        const expire = typeof opt.expire === 'function' ? undefined : opt.expire;
+        const ttl = expire && localCache.ttl ? Math.min(expire, localCache.ttl) : expire || localCache.ttl;
+        return new localCache_1.LocalCache({ ...localCache, ttl });
+    }
+    // the built in local cache of each loader, when it has one
+    const localCaches = new WeakMap();
+    // caches `value` locally, to expire no later than a key written to redis
+    // with it would. the ttl can depend on the key and value, and on jitter
+    function primeLocal(loader, key, value) {
+        loader.loader.clear(key).prime(key, value);
+        expireLocal(loader, key, value);
+    }
+    function expireLocal(loader, key, value) {
+        const cache = localCaches.get(loader);
+        const opt = loader.options;
+        const ttl = cache && ttlFor(key, value, opt);
+        if (cache && ttl) {
+            cache.expire(opt.cacheKeyFn(key), ttl);
+        }
+    }
+    // reports a localHit for every load the cacheMap answers
+    function countLocalHits(keySpace, cacheMap) {
+        if (!instrumentation.enabled) {
+            return cacheMap;
+        }
+        return {
+            get: (key) => {
+                const value = cacheMap.get(key);
+                if (value !== undefined) {
+                    instrumentation.emit('localHit', { keySpace });
+                }
+                return value;
+            },
+            set: (key, value) => cacheMap.set(key, value),
+            delete: (key) => cacheMap.delete(key),
+            clear: () => cacheMap.clear(),
+        };
+    }
+    // for each loader, the full keys it wrote mapped to when reads of them may go
+    // back to the replicas
+    const recentWrites = new WeakMap();
+    function noteWrite(loader, key) {
+        const opt = loader.options;
+        if (!opt.readYourWrites) {
+            return;
+        }
+        let writes = recentWrites.get(loader);
+        if (!writes) {
+            writes = new Map();
+            recentWrites.set(loader, writes);
+        }
+        writes.set(makeKey(loader.keySpace, key, opt), Date.now() + opt.readYourWrites);
+    }
+    function wroteRecently(loader, keys) {
+        const writes = recentWrites.get(loader);
+        if (!writes || writes.size === 0) {
+            return false;
+        }
+        const now = Date.now();
+        writes.forEach((until, fullKey) => until <= now && writes.delete(fullKey));
+        return keys.some((key) => writes.has(makeKey(loader.keySpace, key, loader.options)));
+    }
+    // walks the keys matching `pattern` with SCAN and removes them in batches with
+    // UNLINK, so neither blocks redis the way KEYS or a large DEL would
+    async function rDelMatching(keySpace, pattern, opt) {
+        const match = `${escapeGlob(keyPrefix(keySpace, opt))}${pattern}`;
+        let batch = [];
+        for await (const key of redisRW.scan(match)) {
+            batch.push(key);
+            if (batch.length >= 500) {
+                await redisRW.del(batch);
+                batch = [];
+            }
+        }
+        await redisRW.del(batch);
+    }
+    async function writeThrough(entries, opt) {
+        if (opt.writeThrough) {
+            await opt.writeThrough(entries);
+        }
+    }
+    function writeBehind(entries, opt) {
+        if (opt.writeBehind) {
+            Promise.resolve()
+                .then(() => opt.writeBehind(entries))
+                .catch((reason) => d('writeBehind failed', reason));
+        }
+    }
+    // writes every entry in one round trip. resolves with the values as a read
+    // from redis would produce them
+    async function rPrimeMany(keySpace, entries, opt) {
+        await writeThrough(entries, opt);
+        const data = entries.map(({ key, value }) => ({ key, val: toStored(value, opt) }));
+        await rPipelineSet(keySpace, data, opt);
+        writeBehind(entries, opt);
+        return data.map(({ val }) => parse(val, opt));
+    }
+    // the user loader behind each loader, for update to fill keys redis doesn't have
+    const userLoaders = new WeakMap();
+    // reads the value of `key` from the primary, or the user loader when it isn't
+    // cached, and writes back what `mutator` makes of it. the write only lands if
+    // the key hasn't changed since the read, otherwise it is all tried again.
+    // writeThrough only sees the value that landed, and when it rejects the key
+    // is removed so the cache doesn't keep a value the datastore never got
+    async function rUpdate(loader, key, mutator) {
+        const { keySpace } = loader;
+        const opt = loader.options;
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const [current] = await rRead(keySpace, [key], opt, true);
+            let value = current === null ? MISSING : parse(current, opt);
+            if (value === NEWER_VERSION) {
+                throw new Error(`${key} is cached by a newer version of the loader`);
+            }
+            else if (value instanceof Error) {
+                throw value;
+            }
+            else if (value === MISSING) {
+                value = await userLoaders.get(loader).load(key);
+            }
+            const next = await mutator(value === '' || value === undefined ? null : value);
+            const val = toStored(next, opt);
+            // runs again with the new value when the key changed in the meantime
+            await writeThrough([{ key, value: next }], opt);
+            const fullKey = makeKey(keySpace, key, opt);
+            const expire = expireFor(key, val, opt);
+            const written = await redisRW.setIfEquals({ key: fullKey, value: val, expire }, current);
+            if (written) {
+                if (opt.tags) {
+                    await rTag(keySpace, [{ key, fullKey, val, expire }], opt);
+                }
+                writeBehind([{ key, value: next }], opt);
+                return parse(val, opt);
+            }
+            d('key changed during update, trying again', key);
+        }
+        throw new Error(`${key} kept changing during update`);
+    }
+    // loads `keys` from the user loader in batches and writes them to redis,
+    // with up to `concurrency` batches in flight. resolves with how many keys
+    // were written. keys the user loader fails are skipped
+    async function rWarm(keySpace, userLoader, keys, options, opt) {
+        const { concurrency = 4, batchSize = 100 } = options;
+        const inFlight = new Set();
+        let written = 0;
+        let failure = null;
+        const warmBatch = async (batch) => {
+            const values = await userLoader.loadMany(batch);
+            const data = [];
+            values.forEach((value, i) => {
+                if (value instanceof Error) {
+                    d('warming failed', batch[i], value);
+                }
+                else if ((value !== null && value !== undefined && value !== '') || opt.negativeCache) {
+                    data.push({ key: batch[i], val: toStored(value, opt) });
+                }
+            });
+            await rPipelineSet(keySpace, data, opt);
+            written += data.length;
+        };
+        const start = (batch) => {
+            const warming = warmBatch(batch)
+                .catch((ex) => {
+                failure = failure || ex;
+            })
+                .finally(() => inFlight.delete(warming));
+            inFlight.add(warming);
+        };
+        let batch = [];
+        for await (const key of keys) {
+            batch.push(key);
+            if (batch.length >= batchSize) {
+                start(batch);
+                batch = [];
+                if (inFlight.size >= concurrency) {
+                    await Promise.race(inFlight);
+                }
+            }
+            if (failure) {
+                break;
+            }
+        }
+        if (batch.length > 0 && !failure) {
+            start(batch);
+        }
+        await Promise.all(inFlight);
+        if (failure) {
+            throw failure;
+        }
+        return written;
+    }
+    // every key in the keySpace as an NDJSON line, with its ttl
+    async function* rDump(keySpace, opt) {
+        const prefix = keyPrefix(keySpace, opt);
+        const dumpBatch = async (keys) => {
+            const [values, ttls] = await Promise.all([
+                opt.storage === 'hash'
+                    ? redisRW.hgetall(keys, { buffers: true }).then((hashes) => hashes.map((hash) => (lodash_1.default.isEmpty(hash) ? null : hash)))
+                    : redisRW.mget(keys, { buffers: true }),
+                redisRW.pttl(keys),
+            ]);
+            // keys can expire or be removed between the scan and the read
+            return keys
+                .map((key, i) => (values[i] === null || ttls[i] === -2 ? '' : (0, snapshot_1.toSnapshotLine)(key.slice(prefix.length), values[i], ttls[i])))
+                .filter((line) => line);
+        };
+        let batch = [];
+        for await (const key of redisRW.scan(`${escapeGlob(prefix)}*`)) {
+            batch.push(key);
+            if (batch.length >= 500) {
+                yield* await dumpBatch(batch);
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            yield* await dumpBatch(batch);
+        }
+    }
+    // writes the entries of a dump to the keySpace, 500 at a time. resolves with
+    // how many were written
+    async function rRestore(keySpace, source, opt) {
+        let restored = 0;
+        const prefix = keyPrefix(keySpace, opt);
+        const restoreBatch = async (entries) => {
+            const sets = [];
+            const hsets = [];
+            entries.forEach((entry) => {
+                // dumped keys have been through cacheKeyFn already
+                const key = `${prefix}${entry.key}`;
+                const value = (0, snapshot_1.fromSnapshotValue)(entry);
+                if (isHash(value)) {
+                    hsets.push({ key, values: value, expire: entry.ttl && Math.ceil(entry.ttl / 1000), replace: true });
+                }
+                else {
+                    sets.push({ key, value, expireMs: entry.ttl });
+                }
+            });
+            if (sets.length > 0) {
+                await redisRW.set(sets);
+            }
+            if (hsets.length > 0) {
+                await redisRW.hset(hsets);
+            }
+            restored += entries.length;
+        };
+        let batch = [];
+        for await (const entry of (0, snapshot_1.readSnapshot)(source)) {
+            batch.push(entry);
+            if (batch.length >= 500) {
+                await restoreBatch(batch);
+                batch = [];
+            }
+        }
+        await restoreBatch(batch);
+        return restored;
+    }
+    // for each loader in hash storage, a DataLoader batching its field loads.
+    // these skip the local cache, which only holds whole values
+    const fieldLoaders = new WeakMap();
+    function loadFields(loader, key, fields) {
+        let fieldLoader = fieldLoaders.get(loader);
+        if (!fieldLoader) {
+            fieldLoader = new dataloader_1.default((reads) => batchLoadFields(loader, reads), { cache: false });
+            fieldLoaders.set(loader, fieldLoader);
+        }
+        return fieldLoader.load({ key, fields });
+    }
+    // just `fields` of the value of `key`
+    function loadPicked(loader, key, fields) {
+        if (loader.options.storage === 'hash') {
+            return loadFields(loader, key, fields);
+        }
+        return Promise.resolve(loader.loader.load(key)).then((val) => (val === null ? val : lodash_1.default.pick(val, fields)));
+    }
+    async function batchLoadFields(loader, reads) {
+        const { keySpace } = loader;
+        const opt = loader.options;
+        let replies;
+        try {
+            const hashReads = reads.map(({ key, fields }) => ({ key: makeKey(keySpace, key, opt), fields: [HASH_MARKER, ...fields] }));
+            replies = await guard({ operation: 'read', keySpace }, () => read(keySpace, (client) => client.hmget(hashReads, readOptions(opt)), wroteRecently(loader, reads.map((r) => r.key))));
+        }
+        catch (ex) {
+            if (opt.failOpen === false) {
+                const err = toError(ex);
+                return reads.map(() => err);
+            }
+            d('redis read failed, loading whole values instead', ex);
+            replies = reads.map(() => [null]);
+        }
+        return Promise.all(reads.map(({ key, fields }, i) => {
+            const [marker, ...values] = replies[i];
+            if (marker === null || splitMarker(marker).n !== (opt.version || 0)) {
+                // not in redis yet, or cached by another version. loading the whole
+                // value stores or migrates it
+                return loader.loader
+                    .load(key)
+                    .then((val) => (val === null ? null : lodash_1.default.pick(val, fields)), toError);
+            }
+            const hash = { [HASH_MARKER]: marker };
+            fields.forEach((field, n) => {
+                const val = values[n];
+                if (val !== null) {
+                    hash[field] = val;
+                }
+            });
+            return parseHash(hash, opt);
+        }));
     }
     return class RedisDataLoader {
         constructor(ks, userLoader, opt) {
+            this.id = ++loaderCount;
             this.options = opt || {};
-            this.options.cacheKeyFn = this.options.cacheKeyFn || ((k) => (lodash_1.default.isObject(k) ? (0, json_stable_stringify_1.default)(k) : k));
+            this.options.cacheKeyFn = this.options.cacheKeyFn || defaultCacheKeyFn;
+            if (!this.options.codec && (this.options.serialize || this.options.deserialize)) {
+                this.options.codec = (0, codecs_1.codecFromSerializers)(this.options);
+            }
             this.keySpace = ks;
-            this.loader = new dataloader_1.default(async (keys) => {
-                const results = await rMGet(this.keySpace, keys, this.options);
+            if (ks) {
+                prefixes.add(keyPrefix(ks, this.options));
+            }
+            userLoaders.set(this, userLoader);
+            const batchLoad = async (keys, span) => {
+                let results;
+                let readFailed = false;
+                try {
+                    results = await guard({ operation: 'read', keySpace: this.keySpace }, () => timed(() => rMGet(this.keySpace, keys, this.options, wroteRecently(this, keys)), (duration) => instrumentation.emit('redisLatency', { keySpace: this.keySpace, operation: 'read', duration })));
+                }
+                catch (ex) {
+                    if (this.options.failOpen === false) {
+                        const err = toError(ex);
+                        return keys.map(() => err);
+                    }
+                    // the user loader can still serve every key, so treat them all as
+                    // cache misses rather than failing the batch
+                    d('redis read failed, falling back to user loader', ex);
+                    results = keys.map(() => MISSING);
+                    readFailed = true;
+                }
                 const dataToStore = [];
+                // values cached by a newer version of the loader are loaded without
+                // being stored, so they aren't overwritten with an older format
+                const fromUserLoader = (index, store = true) => timed(() => userLoader.load(keys[index]), (duration) => instrumentation.emit('loaderLatency', { keySpace: this.keySpace, duration }))
+                    .then((resp) => {
+                    d('found in user loader', keys[index]);
+                    if (resp !== '' && !lodash_1.default.isUndefined(resp) && !lodash_1.default.isNull(resp)) {
+                        const val = toStored(resp, this.options);
+                        if (store) {
+                            dataToStore.push({ key: keys[index], val });
+                        }
+                        // hand back what a later read from redis would produce so
+                        // the first load looks the same as every one after it
+                        return parse(val, this.options);
+                    }
+                    else if (this.options.negativeCache && store) {
+                        dataToStore.push({ key: keys[index], val: '' });
+                    }
+                    return resp;
+                })
+                    .then((r) => {
+                    return Promise.resolve(r === '' || lodash_1.default.isUndefined(r) ? null : r);
+                })
+                    .catch((ex) => {
+                    // resolving with an Error rejects this key only, the rest of
+                    // the batch is unaffected
+                    const err = toError(ex);
+                    d('user loader failed', keys[index], err);
+                    if (this.options.errorExpire && store) {
+                        dataToStore.push({ key: keys[index], val: toErrorEntry(err, this.options) });
+                    }
+                    return err;
+                });
+                const missing = [];
+                results.forEach((result, index) => result === MISSING && missing.push(index));
+                // indexes of missing keys that another caller holds the lock for
+                const waiting = [];
+                const lockedKeys = [];
+                let lockToken = null;
+                if (this.options.stampedeLock && missing.length > 0 && !readFailed) {
+                    try {
+                        const locks = await acquireLocks(this.keySpace, missing.map((i) => keys[i]), this.options);
+                        lockToken = locks.token;
+                        missing.forEach((index, n) => (locks.held[n] ? lockedKeys.push(keys[index]) : waiting.push(index)));
+                    }
+                    catch (ex) {
+                        d('acquiring stampede locks failed', ex);
+                    }
+                }
+                const waited = waiting.length > 0
+                    ? waitForValues(this.keySpace, waiting.map((i) => keys[i]), this.options)
+                    : Promise.resolve([]);
                 const fetches = [];
+                const counts = { redisHit: 0, negativeHit: 0, errorHit: 0, staleHit: 0, miss: 0 };
+                // keys found holding values in redis, to reset the ttl of with
+                // slidingExpire. cached nulls and errors keep their short ttls
+                const hits = [];
                 for (let index = 0; index < results.length; index++) {
-                    const result = results[index];
-                    if (result === '') {
+                    let result = results[index];
+                    if (result instanceof StaleValue) {
+                        d('found stale in redis', keys[index]);
+                        counts.staleHit++;
+                        refreshInBackground(this.keySpace, keys[index], userLoader, this.options, (val) => {
+                            primeLocal(this, keys[index], val);
+                        });
+                        result = result.value;
+                    }
+                    if (result === null) {
                         d('found -NULL- in redis', keys[index]);
+                        counts.negativeHit++;
                         fetches.push(Promise.resolve(null));
                     }
-                    else if (result === null) {
-                        fetches.push(userLoader
-                            .load(keys[index])
-                            .then((resp) => {
-                            d('found in user loader', keys[index]);
-                            if (resp !== '' && !lodash_1.default.isUndefined(resp) && !lodash_1.default.isNull(resp)) {
-                                dataToStore.push({ key: keys[index], rawVal: resp });
+                    else if (result instanceof Error) {
+                        d('found error in redis', keys[index]);
+                        counts.errorHit++;
+                        fetches.push(Promise.resolve(result));
+                    }
+                    else if (result === MISSING && waiting.includes(index)) {
+                        counts.miss++;
+                        const n = waiting.indexOf(index);
+                        fetches.push(waited.then((found) => {
+                            if (found[n] === MISSING || found[n] === NEWER_VERSION) {
+                                return fromUserLoader(index, found[n] === MISSING);
                             }
-                            return resp;
-                        })
-                            .then((r) => {
-                            return Promise.resolve(r === '' || lodash_1.default.isUndefined(r) ? null : r);
+                            d('found in redis after waiting for lock', keys[index]);
+                            return found[n];
                         }));
                     }
+                    else if (result === MISSING) {
+                        counts.miss++;
+                        fetches.push(fromUserLoader(index));
+                    }
+                    else if (result === NEWER_VERSION) {
+                        d('found newer version in redis', keys[index]);
+                        counts.miss++;
+                        fetches.push(fromUserLoader(index, false));
+                    }
                     else {
                         d('found in redis', keys[index]);
+                        counts.redisHit++;
+                        hits.push({ key: keys[index], value: result });
                         fetches.push(Promise.resolve(result));
                     }
                 }
+                lodash_1.default.forEach(counts, (count, name) => {
+                    instrumentation.count(name, this.keySpace, count);
+                    span.setAttribute(`redis_dataloader.${lodash_1.default.snakeCase(name)}`, count);
+                });
                 const response = await Promise.all(fetches);
+                response.forEach((value, i) => expireLocal(this, keys[i], value));
+                let written = Promise.resolve();
                 if (dataToStore.length > 0) {
                     // set all data in redis at once without waiting for response from redis
-                    rPipelineSet(this.keySpace, dataToStore, this.options).catch((reason) => {
+                    written = guard({ operation: 'write', keySpace: this.keySpace }, () => timed(() => rPipelineSet(this.keySpace, dataToStore, this.options), (duration) => instrumentation.emit('redisLatency', { keySpace: this.keySpace, operation: 'write', duration }))).catch((reason) => {
                         // we are catching and not throwing the failure
                         // because we don't want downstream services to
                         // fail if redis does
                         d('redis pipeline setting failed', reason);
+                        instrumentation.emit('writeError', { keySpace: this.keySpace, error: toError(reason) });
                     });
                 }
+                if (this.options.slidingExpire && hits.length > 0) {
+                    guard({ operation: 'write', keySpace: this.keySpace }, () => rExpire(this.keySpace, hits, this.options)).catch((reason) => d('resetting ttls failed', reason));
+                }
+                if (lockToken && lockedKeys.length > 0) {
+                    // release once the values are in redis so waiting callers find them
+                    const token = lockToken;
+                    written.then(() => releaseLocks(this.keySpace, lockedKeys, token, this.options));
+                }
                 return response;
-            }, lodash_1.default.omit(this.options, ['expire', 'buffer']));
+            };
+            let cacheMap = this.options.cacheMap;
+            if (!cacheMap) {
+                const localCache = createLocalCache(this.options);
+                localCaches.set(this, localCache);
+                cacheMap = localCache;
+            }
+            this.loader = new dataloader_1.default((keys) => instrumentation.span('redis-dataloader batch', { 'redis_dataloader.key_space': this.keySpace || '', 'redis_dataloader.batch_size': keys.length }, (span) => batchLoad(keys, span)), {
+                ...lodash_1.default.omit(this.options, LOADER_ONLY_OPTIONS),
+                cacheMap: countLocalHits(this.keySpace, cacheMap),
+            });
+            // without a local cache there is nothing to invalidate
+            if (bus && this.options.cache !== false) {
+                bus.listen(this);
+            }
         }
-        load(key) {
-            return key ? Promise.resolve(this.loader.load(key)) : Promise.reject(new TypeError('key parameter is required'));
+        onInvalidate(message) {
+            if (bus && message.source === bus.source && message.loader === this.id) {
+                return;
+            }
+            if (message.key === undefined) {
+                this.loader.clearAll();
+            }
+            else {
+                this.loader.clear(JSON.parse(message.key));
+            }
         }
-        loadMany(keys) {
-            return keys
-                ? Promise.resolve(Promise.all(keys.map((k) => this.loader.load(k))))
-                : Promise.reject(new TypeError('keys parameter is required'));
+        load(key, options = {}) {
+            if (!key) {
+                return Promise.reject(new TypeError('key parameter is required'));
+            }
+            else if (!options.fields) {
+                return Promise.resolve(this.loader.load(key));
+            }
+            return loadPicked(this, key, options.fields);
+        }
+        loadMany(keys, options) {
+            if (!keys) {
+                return Promise.reject(new TypeError('keys parameter is required'));
+            }
+            return Promise.all(keys.map((k) => (options && options.fields ? loadPicked(this, k, options.fields) : this.loader.load(k))));
         }
         prime(key, val) {
             if (!key) {
@@ -178,22 +1177,173 @@ function createRedisDataLoader(config) {
                 return Promise.reject(new TypeError('value parameter is required'));
             }
             else {
-                return rSetAndGet(this.keySpace, key, val, this.options).then((r) => {
-                    this.loader.clear(key).prime(key, r === '' ? null : r);
+                return writeThrough([{ key, value: val }], this.options)
+                    .then(() => rSetAndGet(this.keySpace, key, val, this.options))
+                    .then((r) => {
+                    primeLocal(this, key, r === '' ? null : r);
+                    noteWrite(this, key);
+                    announce(this.keySpace, this.id, key);
+                    writeBehind([{ key, value: val }], this.options);
+                });
+            }
+        }
+        // like prime for many keys at once, written to redis in one round trip
+        primeMany(entries) {
+            if (!Array.isArray(entries)) {
+                return Promise.reject(new TypeError('entries parameter is required'));
+            }
+            else if (entries.some(({ key, value }) => !key || value === undefined)) {
+                return Promise.reject(new TypeError('every entry needs a key and a value'));
+            }
+            return rPrimeMany(this.keySpace, entries, this.options).then((values) => {
+                entries.forEach(({ key }, i) => {
+                    primeLocal(this, key, values[i]);
+                    noteWrite(this, key);
+                    announce(this.keySpace, this.id, key);
                 });
+            });
+        }
+        // replaces the value of `key` with what `mutator` returns for it, without
+        // losing writes made to the key at the same time. resolves with the new value
+        update(key, mutator) {
+            if (!key) {
+                return Promise.reject(new TypeError('key parameter is required'));
+            }
+            else if (typeof mutator !== 'function') {
+                return Promise.reject(new TypeError('mutator parameter is required'));
+            }
+            else if (this.options.storage === 'hash') {
+                return Promise.reject(new TypeError('update needs string storage, use patch with hash storage'));
+            }
+            return rUpdate(this, key, mutator).then((r) => {
+                primeLocal(this, key, r);
+                noteWrite(this, key);
+                announce(this.keySpace, this.id, key);
+                return r;
+            });
+        }
+        // writes just the given properties of a value kept in hash storage. a key
+        // that isn't cached yet stays a miss until the whole value is loaded
+        patch(key, values) {
+            if (!key) {
+                return Promise.reject(new TypeError('key parameter is required'));
+            }
+            else if (!lodash_1.default.isObject(values)) {
+                return Promise.reject(new TypeError('values parameter is required'));
+            }
+            else if (this.options.storage !== 'hash') {
+                return Promise.reject(new TypeError('patch needs hash storage'));
+            }
+            return rPatch(this.keySpace, key, values, this.options).then(() => {
+                // the local cache only holds whole values, so this one has to go
+                this.loader.clear(key);
+                noteWrite(this, key);
+                announce(this.keySpace, this.id, key);
+            });
+        }
+        // loads `keys` from the user loader and writes them to redis, such as to
+        // fill a cold cache before traffic reaches it
+        warm(keys, options = {}) {
+            if (!keys) {
+                return Promise.reject(new TypeError('keys parameter is required'));
+            }
+            return rWarm(this.keySpace, userLoaders.get(this), keys, options, this.options).then((written) => {
+                announce(this.keySpace, this.id);
+                this.loader.clearAll();
+                return written;
+            });
+        }
+        // the keySpace's entries as NDJSON lines, to be passed to restore later
+        dump() {
+            if (!this.keySpace) {
+                throw new TypeError('a keySpace is required to dump');
             }
+            checkPrefix(keyPrefix(this.keySpace, this.options));
+            return rDump(this.keySpace, this.options);
+        }
+        // writes the entries from a dump, as lines or as chunks of NDJSON text such
+        // as a file stream, to this keySpace. resolves with how many were written
+        restore(source) {
+            if (!source) {
+                return Promise.reject(new TypeError('source parameter is required'));
+            }
+            return rRestore(this.keySpace, source, this.options).then((restored) => {
+                announce(this.keySpace, this.id);
+                this.loader.clearAll();
+                return restored;
+            });
+        }
+        // removes every key tagged with `tag` by the `tags` option of any loader
+        // sharing this config. resolves with how many keys were removed
+        invalidateTag(tag) {
+            if (!tag) {
+                return Promise.reject(new TypeError('tag parameter is required'));
+            }
+            return rInvalidateTag(tag).then(({ tagged, removed }) => {
+                tagged.forEach(({ keySpace, key }) => {
+                    announce(keySpace, this.id, key);
+                    if (keySpace === this.keySpace) {
+                        this.loader.clear(key);
+                    }
+                });
+                return removed;
+            });
         }
         clear(key) {
             return key
-                ? rDel(this.keySpace, key, this.options).then(() => this.loader.clear(key))
+                ? rDel(this.keySpace, key, this.options).then(() => {
+                    noteWrite(this, key);
+                    announce(this.keySpace, this.id, key);
+                    return this.loader.clear(key);
+                })
                 : Promise.reject(new TypeError('key parameter is required'));
         }
+        clearAll() {
+            return this.clearMatching('*');
+        }
+        // `pattern` is a redis glob matched against keys within this keySpace
+        clearMatching(pattern) {
+            if (!this.keySpace) {
+                return Promise.reject(new TypeError('a keySpace is required to clear more than one key'));
+            }
+            else if (!pattern) {
+                return Promise.reject(new TypeError('pattern parameter is required'));
+            }
+            try {
+                checkPrefix(keyPrefix(this.keySpace, this.options));
+            }
+            catch (ex) {
+                return Promise.reject(ex);
+            }
+            // the local cache can't be searched, so all of it goes
+            return rDelMatching(this.keySpace, pattern, this.options).then(() => {
+                announce(this.keySpace, this.id);
+                return this.loader.clearAll();
+            });
+        }
         clearAllLocal() {
             return Promise.resolve(this.loader.clearAll());
         }
         clearLocal(key) {
             return Promise.resolve(this.loader.clear(key));
         }
+        // stops listening for invalidations and drops the local cache. call this
+        // when a loader built with `invalidation` enabled is no longer needed
+        dispose() {
+            if (bus) {
+                bus.unlisten(this);
+            }
+            this.loader.clearAll();
+        }
+        // stops the replica health checks and closes the connection this config
+        // opened to listen for invalidations. the clients passed in are left open.
+        // loaders no longer hear of changes made elsewhere until a new one is created
+        static async close() {
+            replicaPool.stop();
+            if (bus) {
+                await bus.close();
+            }
+        }
     };
 }
 exports.createRedisDataLoader = createRedisDataLoader;
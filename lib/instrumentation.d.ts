@@ -0,0 +1,55 @@
+export interface KeySpaceEvent {
+    keySpace: string;
+}
+export interface CountEvent extends KeySpaceEvent {
+    count: number;
+}
+export interface RedisLatencyEvent extends KeySpaceEvent {
+    operation: 'read' | 'write';
+    duration: number;
+}
+export interface LoaderLatencyEvent extends KeySpaceEvent {
+    duration: number;
+}
+export interface WriteErrorEvent extends KeySpaceEvent {
+    error: Error;
+}
+export interface RedisDataLoaderMetrics {
+    localHit?(event: KeySpaceEvent): void;
+    redisHit?(event: CountEvent): void;
+    negativeHit?(event: CountEvent): void;
+    errorHit?(event: CountEvent): void;
+    staleHit?(event: CountEvent): void;
+    miss?(event: CountEvent): void;
+    writeError?(event: WriteErrorEvent): void;
+    replicaFallback?(event: KeySpaceEvent): void;
+    redisLatency?(event: RedisLatencyEvent): void;
+    loaderLatency?(event: LoaderLatencyEvent): void;
+}
+export interface Span {
+    setAttribute(key: string, value: string | number | boolean): unknown;
+    recordException(exception: Error): unknown;
+    setStatus(status: {
+        code: number;
+        message?: string;
+    }): unknown;
+    end(): void;
+}
+export interface Tracer {
+    startSpan(name: string, options?: {
+        attributes?: {
+            [key: string]: string | number | boolean;
+        };
+    }): Span;
+}
+export declare class Instrumentation {
+    private metrics;
+    private tracer?;
+    constructor(metrics?: RedisDataLoaderMetrics, tracer?: Tracer | undefined);
+    get enabled(): boolean;
+    emit<K extends keyof RedisDataLoaderMetrics>(name: K, event: Parameters<NonNullable<RedisDataLoaderMetrics[K]>>[0]): void;
+    count(name: 'redisHit' | 'negativeHit' | 'errorHit' | 'staleHit' | 'miss', keySpace: string, count: number): void;
+    span<T>(name: string, attributes: {
+        [key: string]: string | number | boolean;
+    }, fn: (span: Span) => Promise<T>): Promise<T>;
+}
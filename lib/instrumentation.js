@@ -0,0 +1,60 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Instrumentation = void 0;
+const debug_1 = __importDefault(require("debug"));
+const d = (0, debug_1.default)('redis-dataloader');
+// matches SpanStatusCode.ERROR
+const SPAN_STATUS_ERROR = 2;
+const noopSpan = {
+    setAttribute: () => noopSpan,
+    recordException: () => undefined,
+    setStatus: () => noopSpan,
+    end: () => undefined,
+};
+class Instrumentation {
+    constructor(metrics = {}, tracer) {
+        this.metrics = metrics;
+        this.tracer = tracer;
+    }
+    get enabled() {
+        return Object.keys(this.metrics).length > 0;
+    }
+    emit(name, event) {
+        const hook = this.metrics[name];
+        if (!hook) {
+            return;
+        }
+        try {
+            hook.call(this.metrics, event);
+        }
+        catch (ex) {
+            d(`metrics hook ${name} failed`, ex);
+        }
+    }
+    count(name, keySpace, count) {
+        if (count > 0) {
+            this.emit(name, { keySpace, count });
+        }
+    }
+    // runs `fn` inside a span, recording how it went
+    async span(name, attributes, fn) {
+        const span = this.tracer ? this.tracer.startSpan(name, { attributes }) : noopSpan;
+        try {
+            return await fn(span);
+        }
+        catch (ex) {
+            if (ex instanceof Error) {
+                span.recordException(ex);
+            }
+            span.setStatus({ code: SPAN_STATUS_ERROR, message: ex instanceof Error ? ex.message : String(ex) });
+            throw ex;
+        }
+        finally {
+            span.end();
+        }
+    }
+}
+exports.Instrumentation = Instrumentation;
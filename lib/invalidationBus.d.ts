@@ -0,0 +1,31 @@
+import { RedisAdapter, RedisClient } from './adapters';
+export interface InvalidationOptions {
+    channel?: string;
+    subscriber?: RedisClient;
+}
+export interface InvalidationMessage {
+    keySpace: string;
+    key?: string;
+    source: string;
+    loader: number;
+}
+export interface InvalidationListener {
+    keySpace: string;
+    onInvalidate(message: InvalidationMessage): void;
+}
+export declare const DEFAULT_INVALIDATION_CHANNEL = "redis-dataloader:invalidate";
+export declare class InvalidationBus {
+    private publisher;
+    private options;
+    readonly source: string;
+    private listeners;
+    private subscribing;
+    private channel;
+    constructor(publisher: RedisAdapter, options: InvalidationOptions);
+    listen(listener: InvalidationListener): void;
+    unlisten(listener: InvalidationListener): void;
+    publish(message: Omit<InvalidationMessage, 'source'>): Promise<void>;
+    close(): Promise<void>;
+    private subscribe;
+    private receive;
+}
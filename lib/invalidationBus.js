@@ -0,0 +1,99 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.InvalidationBus = exports.DEFAULT_INVALIDATION_CHANNEL = void 0;
+const crypto_1 = require("crypto");
+const debug_1 = __importDefault(require("debug"));
+const adapters_1 = require("./adapters");
+const d = (0, debug_1.default)('redis-dataloader');
+exports.DEFAULT_INVALIDATION_CHANNEL = 'redis-dataloader:invalidate';
+// fans invalidation messages from other loaders, in this process or any other,
+// out to the local caches of the loaders listening here
+class InvalidationBus {
+    constructor(publisher, options) {
+        this.publisher = publisher;
+        this.options = options;
+        this.source = (0, crypto_1.randomBytes)(8).toString('hex');
+        this.listeners = new Map();
+        // resolves with the subscribed connection, or null when subscribing failed
+        this.subscribing = null;
+        this.channel = options.channel || exports.DEFAULT_INVALIDATION_CHANNEL;
+    }
+    listen(listener) {
+        let set = this.listeners.get(listener.keySpace);
+        if (!set) {
+            set = new Set();
+            this.listeners.set(listener.keySpace, set);
+        }
+        set.add(listener);
+        if (!this.subscribing) {
+            const subscribing = this.subscribe().catch((reason) => {
+                d('subscribing to invalidations failed', reason);
+                if (this.subscribing === subscribing) {
+                    this.subscribing = null;
+                }
+                return null;
+            });
+            this.subscribing = subscribing;
+        }
+    }
+    unlisten(listener) {
+        const set = this.listeners.get(listener.keySpace);
+        if (set) {
+            set.delete(listener);
+            if (set.size === 0) {
+                this.listeners.delete(listener.keySpace);
+            }
+        }
+    }
+    publish(message) {
+        return this.publisher.publish(this.channel, JSON.stringify({ ...message, source: this.source }));
+    }
+    // stops listening for invalidations, and quits the subscriber when it was
+    // opened here rather than passed in. a later `listen` subscribes again
+    async close() {
+        this.listeners.clear();
+        const subscribing = this.subscribing;
+        this.subscribing = null;
+        const subscriber = subscribing && await subscribing;
+        if (subscriber) {
+            await subscriber.unsubscribe(this.channel);
+            if (!this.options.subscriber) {
+                await subscriber.quit();
+            }
+        }
+    }
+    async subscribe() {
+        if (this.options.subscriber) {
+            const subscriber = (0, adapters_1.toAdapter)(this.options.subscriber);
+            await subscriber.subscribe(this.channel, (raw) => this.receive(raw));
+            return subscriber;
+        }
+        const subscriber = this.publisher.duplicate();
+        try {
+            await subscriber.subscribe(this.channel, (raw) => this.receive(raw));
+        }
+        catch (ex) {
+            await subscriber.quit().catch((reason) => d('closing the invalidation subscriber failed', reason));
+            throw ex;
+        }
+        return subscriber;
+    }
+    receive(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        }
+        catch (ex) {
+            d('ignoring malformed invalidation message', raw);
+            return;
+        }
+        const set = this.listeners.get(message.keySpace);
+        if (set) {
+            set.forEach((listener) => listener.onInvalidate(message));
+        }
+    }
+}
+exports.InvalidationBus = InvalidationBus;
@@ -0,0 +1,19 @@
+export interface LocalCacheOptions {
+    maxEntries?: number;
+    maxBytes?: number;
+    ttl?: number;
+}
+export declare function approximateSize(value: any, seen?: Set<any>): number;
+export declare class LocalCache<K, V> {
+    private options;
+    private entries;
+    private bytes;
+    constructor(options?: LocalCacheOptions);
+    get size(): number;
+    get(key: K): V | undefined;
+    set(key: K, value: V): this;
+    expire(key: K, ttl: number): void;
+    delete(key: K): boolean;
+    clear(): void;
+    private evict;
+}
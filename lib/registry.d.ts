@@ -0,0 +1,23 @@
+import DataLoader from 'dataloader';
+import { IRedisDataLoader, RedisDataLoaderClass, RedisDataLoaderOptions } from './index';
+export interface LoaderDefinition<K = any, V = any, C = K> {
+    keySpace: string;
+    batch: DataLoader.BatchLoadFn<K, V>;
+    loaderOptions?: Omit<DataLoader.Options<K, V, C>, 'cache' | 'cacheMap'>;
+    options?: RedisDataLoaderOptions<K, V, C>;
+}
+export interface LoaderDefinitions {
+    [name: string]: LoaderDefinition;
+}
+export type LoaderOf<D> = D extends LoaderDefinition<infer K, infer V, infer C> ? IRedisDataLoader<K, V, C> : never;
+export interface LoaderContext<D extends LoaderDefinitions> {
+    readonly loaders: {
+        readonly [N in keyof D]: LoaderOf<D[N]>;
+    };
+    dispose(): void;
+}
+export interface LoaderRegistry<D extends LoaderDefinitions> {
+    readonly definitions: D;
+    context(): LoaderContext<D>;
+}
+export declare function createLoaderRegistry<D extends LoaderDefinitions>(RedisDataLoader: RedisDataLoaderClass, definitions: D): LoaderRegistry<D>;
@@ -0,0 +1,49 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createLoaderRegistry = void 0;
+const lodash_1 = __importDefault(require("lodash"));
+const dataloader_1 = __importDefault(require("dataloader"));
+const inFlight_1 = require("./inFlight");
+// declares named loaders once, to be created per request with fresh local
+// caches. every context shares one user loader per definition, so concurrent
+// misses for a key from different requests reach the batch function once
+function createLoaderRegistry(RedisDataLoader, definitions) {
+    const userLoaders = lodash_1.default.mapValues(definitions, (def) => new dataloader_1.default(def.batch, { ...def.loaderOptions, cacheMap: new inFlight_1.InFlightMap() }));
+    return {
+        definitions,
+        context() {
+            const created = new Map();
+            let disposed = false;
+            const loaders = {};
+            Object.keys(definitions).forEach((name) => {
+                Object.defineProperty(loaders, name, {
+                    enumerable: true,
+                    get: () => {
+                        if (disposed) {
+                            throw new Error(`the context of loader ${name} was disposed`);
+                        }
+                        let loader = created.get(name);
+                        if (!loader) {
+                            const { keySpace, options } = definitions[name];
+                            loader = new RedisDataLoader(keySpace, userLoaders[name], { shareReads: true, ...options });
+                            created.set(name, loader);
+                        }
+                        return loader;
+                    },
+                });
+            });
+            return {
+                loaders,
+                dispose() {
+                    disposed = true;
+                    created.forEach((loader) => loader.dispose());
+                    created.clear();
+                },
+            };
+        },
+    };
+}
+exports.createLoaderRegistry = createLoaderRegistry;
@@ -0,0 +1,25 @@
+export type ReplicaStrategy = 'round-robin' | 'least-latency';
+export interface ReplicaPoolOptions {
+    strategy?: ReplicaStrategy;
+    failureThreshold?: number;
+    cooldown?: number;
+    healthCheckInterval?: number;
+    maxLag?: number;
+}
+export interface ReplicaClient {
+    info(section?: string): Promise<string>;
+}
+export declare class ReplicaPool<C extends ReplicaClient> {
+    private options;
+    private replicas;
+    private next;
+    private timer;
+    constructor(clients: C[], options?: ReplicaPoolOptions);
+    pick(): C | null;
+    success(client: C, duration: number): void;
+    failure(client: C): void;
+    stop(): void;
+    private find;
+    private skip;
+    private checkHealth;
+}
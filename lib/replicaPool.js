@@ -0,0 +1,85 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ReplicaPool = void 0;
+const lodash_1 = __importDefault(require("lodash"));
+const debug_1 = __importDefault(require("debug"));
+const d = (0, debug_1.default)('redis-dataloader');
+// chooses which read replica serves each read, skipping replicas that have
+// been failing or are lagging behind their primary
+class ReplicaPool {
+    constructor(clients, options = {}) {
+        this.options = options;
+        this.next = 0;
+        this.timer = null;
+        this.replicas = clients.map((client) => ({ client, failures: 0, skipUntil: 0, latency: 0 }));
+        if (options.healthCheckInterval) {
+            this.timer = setInterval(() => this.checkHealth(), options.healthCheckInterval);
+            this.timer.unref();
+        }
+    }
+    // a healthy replica, or null when none are
+    pick() {
+        const now = Date.now();
+        const healthy = this.replicas.filter((replica) => replica.skipUntil <= now);
+        if (healthy.length === 0) {
+            return null;
+        }
+        if (this.options.strategy === 'least-latency') {
+            return lodash_1.default.minBy(healthy, (replica) => replica.latency).client;
+        }
+        this.next = (this.next + 1) % healthy.length;
+        return healthy[this.next].client;
+    }
+    success(client, duration) {
+        const replica = this.find(client);
+        if (replica) {
+            replica.failures = 0;
+            replica.latency = replica.latency ? replica.latency * 0.8 + duration * 0.2 : duration;
+        }
+    }
+    failure(client) {
+        const replica = this.find(client);
+        if (replica && ++replica.failures >= (this.options.failureThreshold || 1)) {
+            this.skip(replica);
+        }
+    }
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    find(client) {
+        return this.replicas.find((replica) => replica.client === client);
+    }
+    skip(replica) {
+        replica.skipUntil = Date.now() + (this.options.cooldown || 5000);
+    }
+    checkHealth() {
+        this.replicas.forEach((replica) => {
+            const start = Date.now();
+            replica.client
+                .info('replication')
+                .then((info) => {
+                const lag = /master_last_io_seconds_ago:(-?\d+)/.exec(info);
+                const linkDown = /master_link_status:down/.test(info);
+                if (linkDown || (this.options.maxLag !== undefined && lag && Number(lag[1]) > this.options.maxLag)) {
+                    d('replica is lagging, skipping it', lag && lag[1]);
+                    this.skip(replica);
+                }
+                else {
+                    replica.skipUntil = 0;
+                    this.success(replica.client, Date.now() - start);
+                }
+            })
+                .catch((reason) => {
+                d('replica health check failed', reason);
+                this.skip(replica);
+            });
+        });
+    }
+}
+exports.ReplicaPool = ReplicaPool;
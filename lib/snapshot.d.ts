@@ -0,0 +1,13 @@
+/// <reference types="node" />
+import { RedisHash, RedisValue } from './adapters';
+export interface SnapshotEntry {
+    key: string;
+    value?: string;
+    hash?: {
+        [field: string]: string;
+    };
+    ttl?: number;
+}
+export declare function toSnapshotLine(key: string, value: RedisValue | RedisHash, ttl: number): string;
+export declare function fromSnapshotValue(entry: SnapshotEntry): RedisValue | RedisHash;
+export declare function readSnapshot(source: AsyncIterable<string | Buffer> | Iterable<string | Buffer>): AsyncGenerator<SnapshotEntry>;
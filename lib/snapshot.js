@@ -0,0 +1,51 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.readSnapshot = exports.fromSnapshotValue = exports.toSnapshotLine = void 0;
+const string_decoder_1 = require("string_decoder");
+const lodash_1 = __importDefault(require("lodash"));
+function base64(value) {
+    return (Buffer.isBuffer(value) ? value : Buffer.from(value)).toString('base64');
+}
+function toSnapshotLine(key, value, ttl) {
+    const entry = Buffer.isBuffer(value) || typeof value === 'string'
+        ? { key, value: base64(value) }
+        : { key, hash: lodash_1.default.mapValues(value, base64) };
+    if (ttl > 0) {
+        entry.ttl = ttl;
+    }
+    return `${JSON.stringify(entry)}\n`;
+}
+exports.toSnapshotLine = toSnapshotLine;
+function fromSnapshotValue(entry) {
+    if (entry.hash) {
+        return lodash_1.default.mapValues(entry.hash, (field) => Buffer.from(field, 'base64'));
+    }
+    else if (typeof entry.value === 'string') {
+        return Buffer.from(entry.value, 'base64');
+    }
+    throw new TypeError(`snapshot entry for ${entry.key} has no value`);
+}
+exports.fromSnapshotValue = fromSnapshotValue;
+// the entries in NDJSON text, which may be split into chunks anywhere, such as
+// the chunks of a file stream
+async function* readSnapshot(source) {
+    const decoder = new string_decoder_1.StringDecoder('utf8');
+    let rest = '';
+    for await (const chunk of source) {
+        const lines = (rest + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) {
+                yield JSON.parse(line);
+            }
+        }
+    }
+    rest += decoder.end();
+    if (rest.trim()) {
+        yield JSON.parse(rest);
+    }
+}
+exports.readSnapshot = readSnapshot;
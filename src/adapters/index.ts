@@ -0,0 +1,28 @@
+import { IORedisAdapter, IORedisClient, IORedisCluster, isIORedisClient } from './ioredis'
+import { NodeRedisAdapter, NodeRedisClient, isNodeRedisClient } from './nodeRedis'
+import { RedisAdapter } from './types'
+
+export * from './types'
+export { IORedisAdapter, IORedisClient, IORedisCluster } from './ioredis'
+export { NodeRedisAdapter, NodeRedisClient } from './nodeRedis'
+export { MemoryAdapter, MemoryFault, MemoryFaultOptions, MemoryStore, MemoryStoreOptions } from './memory'
+
+// anything that can be passed as a redis connection
+export type RedisClient = RedisAdapter | NodeRedisClient | IORedisClient | IORedisCluster
+
+function isAdapter(client: any): client is RedisAdapter {
+  return typeof client.delIfEquals === 'function'
+}
+
+// wraps a node-redis or ioredis client in the matching adapter. adapters are
+// passed through untouched
+export function toAdapter(client: RedisClient): RedisAdapter {
+  if (isAdapter(client)) {
+    return client
+  } else if (isNodeRedisClient(client)) {
+    return new NodeRedisAdapter(client)
+  } else if (isIORedisClient(client)) {
+    return new IORedisAdapter(client)
+  }
+  throw new TypeError('unsupported redis client, pass a node-redis or ioredis client or a RedisAdapter')
+}
@@ -0,0 +1,210 @@
+import { perSlot } from '../cluster'
+import { DEL_IF_EQUALS_SCRIPT, SADD_SCRIPT, SET_IF_EQUALS_SCRIPT, TAKE_SET_SCRIPT, setIfEqualsArgs } from './scripts'
+import { ExpireEntry, HashRead, HashWrite, RedisAdapter, RedisHash, RedisValue, ReadOptions, SetAdd, SetEntry } from './types'
+
+// the parts of the ioredis api used here, so this package doesn't depend on it
+export interface IORedisPipeline {
+  set(key: string, value: RedisValue, ...args: (string | number)[]): IORedisPipeline
+  hset(key: string, values: RedisHash): IORedisPipeline
+  del(key: string): IORedisPipeline
+  expire(key: string, seconds: number): IORedisPipeline
+  exec(): Promise<[Error | null, unknown][] | null>
+}
+
+export interface IORedisClient {
+  mget(keys: string[]): Promise<(string | null)[]>
+  mgetBuffer(keys: string[]): Promise<(Buffer | null)[]>
+  hmget(key: string, ...fields: string[]): Promise<(string | null)[]>
+  hmgetBuffer(key: string, ...fields: string[]): Promise<(Buffer | null)[]>
+  hgetall(key: string): Promise<{ [field: string]: string }>
+  hgetallBuffer(key: string): Promise<{ [field: string]: Buffer }>
+  pipeline(): IORedisPipeline
+  multi(): IORedisPipeline
+  unlink(keys: string[]): Promise<number>
+  pttl(key: string): Promise<number>
+  scanStream(options: { match: string; count: number }): AsyncIterable<string[]>
+  eval(script: string, numKeys: number, ...args: RedisValue[]): Promise<unknown>
+  publish(channel: string, message: string): Promise<number>
+  subscribe(channel: string): Promise<unknown>
+  unsubscribe(channel: string): Promise<unknown>
+  on(event: 'message', listener: (channel: string, message: string) => void): unknown
+  off(event: 'message', listener: (channel: string, message: string) => void): unknown
+  duplicate(): IORedisClient
+  info(section?: string): Promise<string>
+  quit(): Promise<unknown>
+}
+
+export interface IORedisCluster extends Omit<IORedisClient, 'scanStream' | 'info'> {
+  isCluster: true
+  nodes(role: 'master'): IORedisClient[]
+}
+
+export function isIORedisClient(client: any): client is IORedisClient | IORedisCluster {
+  return typeof client.mgetBuffer === 'function' && typeof client.pipeline === 'function'
+}
+
+function isCluster(client: IORedisClient | IORedisCluster): client is IORedisCluster {
+  return (client as IORedisCluster).isCluster === true
+}
+
+// ioredis, as a `Redis` or a `Cluster`
+export class IORedisAdapter implements RedisAdapter {
+  // the message listeners added by `subscribe`, to be removed by `unsubscribe`
+  private subscriptions: { channel: string; onMessage: (channel: string, message: string) => void }[] = []
+
+  constructor(private client: IORedisClient | IORedisCluster) {}
+
+  mget(keys: string[], options: ReadOptions = {}) {
+    return this.inSlots<RedisValue | null>(keys, (indexes) => {
+      const slotKeys = indexes.map((i) => keys[i])
+      return options.buffers ? this.client.mgetBuffer(slotKeys) : this.client.mget(slotKeys)
+    })
+  }
+
+  set(entries: SetEntry[]) {
+    const keys = entries.map((entry) => entry.key)
+
+    return this.inSlots(keys, async (indexes) => {
+      const pipeline = this.client.pipeline()
+
+      for (const i of indexes) {
+        const { key, value, expire, expireMs, onlyIfMissing } = entries[i]
+        const args: (string | number)[] = expireMs ? ['PX', expireMs] : expire ? ['EX', expire] : []
+        if (onlyIfMissing) {
+          args.push('NX')
+        }
+        pipeline.set(key, value, ...args)
+      }
+
+      const replies = (await pipeline.exec()) || []
+      return replies.map(([err, reply]) => {
+        if (err) {
+          throw err
+        }
+        return reply === 'OK'
+      })
+    })
+  }
+
+  hmget(reads: HashRead[], options: ReadOptions = {}) {
+    return Promise.all(reads.map(({ key, fields }): Promise<(RedisValue | null)[]> => options.buffers
+      ? this.client.hmgetBuffer(key, ...fields)
+      : this.client.hmget(key, ...fields)))
+  }
+
+  hgetall(keys: string[], options: ReadOptions = {}) {
+    return Promise.all(keys.map((key): Promise<RedisHash> => options.buffers
+      ? this.client.hgetallBuffer(key)
+      : this.client.hgetall(key)))
+  }
+
+  async hset(writes: HashWrite[]) {
+    await Promise.all(writes.map(async ({ key, values, expire, replace }) => {
+      const multi = this.client.multi()
+      if (replace) {
+        multi.del(key)
+      }
+      multi.hset(key, values)
+      if (expire) {
+        multi.expire(key, expire)
+      }
+      const replies = (await multi.exec()) || []
+      const failed = replies.find(([err]) => err)
+      if (failed) {
+        throw failed[0]
+      }
+    }))
+  }
+
+  async del(keys: string[]) {
+    if (keys.length > 0) {
+      await this.inSlots(keys, (indexes) => this.client.unlink(indexes.map((i) => keys[i])).then(() => []))
+    }
+  }
+
+  async expire(entries: ExpireEntry[]) {
+    const keys = entries.map((entry) => entry.key)
+
+    await this.inSlots(keys, async (indexes) => {
+      const pipeline = this.client.pipeline()
+      for (const i of indexes) {
+        pipeline.expire(entries[i].key, entries[i].expire)
+      }
+      const replies = (await pipeline.exec()) || []
+      const failed = replies.find(([err]) => err)
+      if (failed) {
+        throw failed[0]
+      }
+      return []
+    })
+  }
+
+  pttl(keys: string[]) {
+    return Promise.all(keys.map((key) => this.client.pttl(key)))
+  }
+
+  async sadd(adds: SetAdd[]) {
+    await Promise.all(adds.map(({ key, members, expire }) => this.client.eval(SADD_SCRIPT, 1, key, String(expire || 0), ...members)))
+  }
+
+  async takeSet(key: string) {
+    return await this.client.eval(TAKE_SET_SCRIPT, 1, key) as string[]
+  }
+
+  async *scan(match: string) {
+    const nodes = isCluster(this.client) ? this.client.nodes('master') : [this.client]
+
+    for (const node of nodes) {
+      for await (const keys of node.scanStream({ match, count: 500 })) {
+        yield* keys
+      }
+    }
+  }
+
+  async delIfEquals(key: string, value: string) {
+    const deleted = await this.client.eval(DEL_IF_EQUALS_SCRIPT, 1, key, value)
+    return deleted === 1
+  }
+
+  async setIfEquals(entry: SetEntry, expected: RedisValue | null) {
+    const written = await this.client.eval(SET_IF_EQUALS_SCRIPT, 1, entry.key, ...setIfEqualsArgs(entry, expected))
+    return written === 1
+  }
+
+  async publish(channel: string, message: string) {
+    await this.client.publish(channel, message)
+  }
+
+  async subscribe(channel: string, listener: (message: string) => void) {
+    const onMessage = (received: string, message: string) => received === channel && listener(message)
+    this.subscriptions.push({ channel, onMessage })
+    this.client.on('message', onMessage)
+    await this.client.subscribe(channel)
+  }
+
+  async unsubscribe(channel: string) {
+    this.subscriptions
+      .filter((subscription) => subscription.channel === channel)
+      .forEach(({ onMessage }) => this.client.off('message', onMessage))
+    this.subscriptions = this.subscriptions.filter((subscription) => subscription.channel !== channel)
+    await this.client.unsubscribe(channel)
+  }
+
+  duplicate() {
+    return new IORedisAdapter(this.client.duplicate())
+  }
+
+  async quit() {
+    await this.client.quit()
+  }
+
+  info(section?: string) {
+    const client = isCluster(this.client) ? this.client.nodes('master')[0] : this.client
+    return client.info(section)
+  }
+
+  // ioredis rejects commands and pipelines spanning hash slots on a cluster
+  private inSlots<T>(keys: string[], fn: (indexes: number[]) => Promise<T[]>) {
+    return isCluster(this.client) ? perSlot(keys, fn) : fn(keys.map((k, i) => i))
+  }
+}
@@ -0,0 +1,357 @@
+import { EventEmitter } from 'events'
+
+import _ from 'lodash'
+
+import { ExpireEntry, HashRead, HashWrite, RedisAdapter, RedisHash, RedisValue, ReadOptions, SetAdd, SetEntry } from './types'
+
+// a string, a hash or a set
+type MemoryValue = Buffer | Map<string, Buffer> | Set<string>
+
+interface MemoryEntry {
+  value: MemoryValue
+  expiresAt: number
+}
+
+export interface MemoryStoreOptions {
+  // the clock keys expire by, in milliseconds. defaults to Date.now
+  now?: () => number
+}
+
+// an error for a memory adapter's commands to fail with. 'loading' is the error
+// of a server still loading its dataset, 'disconnect' that of a closed
+// connection, and with 'timeout' commands never get a reply
+export type MemoryFault = 'loading' | 'disconnect' | 'timeout' | Error
+
+export interface MemoryFaultOptions {
+  // the commands to fail, such as 'mget'. defaults to every command
+  commands?: (keyof RedisAdapter)[]
+  // how many commands fail before the fault clears. defaults to every one
+  // until heal() is called
+  times?: number
+}
+
+interface ActiveFault {
+  fault: MemoryFault
+  commands?: string[]
+  times: number
+}
+
+function faultError(fault: Exclude<MemoryFault, 'timeout'>) {
+  if (fault === 'loading') {
+    return new Error('LOADING Redis is loading the dataset in memory')
+  } else if (fault === 'disconnect') {
+    return new Error('The client is closed')
+  }
+  return fault
+}
+
+// a redis glob, as used by SCAN's MATCH, as a regular expression
+function globToRegExp(glob: string) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+    if (c === '\\' && i + 1 < glob.length) {
+      source += _.escapeRegExp(glob[++i])
+    } else if (c === '*') {
+      source += '.*'
+    } else if (c === '?') {
+      source += '.'
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 1)
+      if (close === -1) {
+        source += '\\['
+      } else {
+        const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\')
+        source += body.startsWith('^') ? `[^${body.slice(1)}]` : `[${body}]`
+        i = close
+      }
+    } else {
+      source += _.escapeRegExp(c)
+    }
+  }
+  return new RegExp(`^${source}$`, 's')
+}
+
+function toReply(value: Buffer, options: ReadOptions) {
+  return options.buffers ? Buffer.from(value) : value.toString()
+}
+
+// the keys and pub/sub channels behind memory adapters. adapters sharing a
+// store see the same data, like connections to the same server
+export class MemoryStore {
+  private entries = new Map<string, MemoryEntry>()
+  private channels = new EventEmitter()
+  private clock: () => number
+  private offset = 0
+
+  constructor(options: MemoryStoreOptions = {}) {
+    this.clock = options.now || Date.now
+    this.channels.setMaxListeners(0)
+  }
+
+  now() {
+    return this.clock() + this.offset
+  }
+
+  // moves the clock forward, expiring the keys whose ttl runs out
+  advance(ms: number) {
+    this.offset += ms
+  }
+
+  get(key: string) {
+    const entry = this.entries.get(key)
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry ? entry.value : null
+  }
+
+  // `ttl` is in milliseconds
+  set(key: string, value: MemoryValue, ttl?: number) {
+    this.entries.set(key, { value, expiresAt: ttl ? this.now() + ttl : Infinity })
+  }
+
+  expire(key: string, ttl: number) {
+    const entry = this.get(key) && this.entries.get(key)
+    if (entry) {
+      entry.expiresAt = this.now() + ttl
+    }
+  }
+
+  // milliseconds until `key` expires, -1 when it doesn't and -2 when it doesn't exist
+  ttl(key: string) {
+    const entry = this.get(key) && this.entries.get(key)
+    if (!entry) {
+      return -2
+    }
+    return entry.expiresAt === Infinity ? -1 : entry.expiresAt - this.now()
+  }
+
+  delete(key: string) {
+    return this.entries.delete(key)
+  }
+
+  keys() {
+    return Array.from(this.entries.keys()).filter((key) => this.get(key) !== null)
+  }
+
+  publish(channel: string, message: string) {
+    // delivered asynchronously, as it would be over a connection
+    setImmediate(() => this.channels.emit(channel, message))
+  }
+
+  subscribe(channel: string, listener: (message: string) => void) {
+    this.channels.on(channel, listener)
+  }
+
+  unsubscribe(channel: string, listener: (message: string) => void) {
+    this.channels.off(channel, listener)
+  }
+}
+
+// keeps everything in this process. useful for tests and local development,
+// or to share a store between adapters standing in for a primary and replica
+export class MemoryAdapter implements RedisAdapter {
+  private faults: ActiveFault[] = []
+  private hung = new Set<(err: Error) => void>()
+  private subscriptions: { channel: string; listener: (message: string) => void }[] = []
+
+  constructor(readonly store = new MemoryStore()) {}
+
+  // fails this adapter's commands, but not those of its duplicates, with
+  // `fault`. faults are used in the order they were added
+  fail(fault: MemoryFault, options: MemoryFaultOptions = {}) {
+    const { commands, times = Infinity } = options
+    this.faults.push({ fault, commands, times })
+  }
+
+  // clears every fault. commands waiting on a 'timeout' reject
+  heal() {
+    this.faults = []
+    this.hung.forEach((reject) => reject(new Error('command timed out')))
+    this.hung.clear()
+  }
+
+  async mget(keys: string[], options: ReadOptions = {}) {
+    await this.check('mget')
+    return keys.map((key) => {
+      const value = this.store.get(key)
+      // like MGET, a key holding a hash reads as missing
+      return Buffer.isBuffer(value) ? toReply(value, options) : null
+    })
+  }
+
+  async set(entries: SetEntry[]) {
+    await this.check('set')
+    return entries.map((entry) => this.write(entry))
+  }
+
+  async hmget(reads: HashRead[], options: ReadOptions = {}) {
+    await this.check('hmget')
+    return reads.map(({ key, fields }) => {
+      const hash = this.hash(key)
+      return fields.map((field) => {
+        const value = hash && hash.get(field)
+        return value ? toReply(value, options) : null
+      })
+    })
+  }
+
+  async hgetall(keys: string[], options: ReadOptions = {}) {
+    await this.check('hgetall')
+    return keys.map((key) => {
+      const out: RedisHash = {}
+      const hash = this.hash(key)
+      if (hash) {
+        hash.forEach((value, field) => {
+          out[field] = toReply(value, options)
+        })
+      }
+      return out
+    })
+  }
+
+  async hset(writes: HashWrite[]) {
+    await this.check('hset')
+    writes.forEach(({ key, values, expire, replace }) => {
+      let hash = replace ? null : this.hash(key)
+      if (!hash) {
+        hash = new Map()
+        this.store.set(key, hash)
+      }
+      for (const field of Object.keys(values)) {
+        hash.set(field, Buffer.from(values[field]))
+      }
+      if (expire) {
+        this.store.expire(key, expire * 1000)
+      }
+    })
+  }
+
+  async del(keys: string[]) {
+    await this.check('del')
+    keys.forEach((key) => this.store.delete(key))
+  }
+
+  async expire(entries: ExpireEntry[]) {
+    await this.check('expire')
+    entries.forEach(({ key, expire }) => this.store.expire(key, expire * 1000))
+  }
+
+  async pttl(keys: string[]) {
+    await this.check('pttl')
+    return keys.map((key) => this.store.ttl(key))
+  }
+
+  async sadd(adds: SetAdd[]) {
+    await this.check('sadd')
+    adds.forEach(({ key, members, expire }) => {
+      const current = this.store.get(key)
+      const ttl = this.store.ttl(key)
+      const set = current instanceof Set ? current : new Set<string>()
+      members.forEach((member) => set.add(member))
+      // like SADD_SCRIPT, only ever extend the ttl
+      if (!expire) {
+        this.store.set(key, set)
+      } else if (ttl === -2 || (ttl >= 0 && ttl < expire * 1000)) {
+        this.store.set(key, set, expire * 1000)
+      }
+    })
+  }
+
+  async takeSet(key: string) {
+    await this.check('takeSet')
+    const set = this.store.get(key)
+    if (!(set instanceof Set)) {
+      return []
+    }
+    this.store.delete(key)
+    return Array.from(set)
+  }
+
+  async *scan(match: string) {
+    await this.check('scan')
+    const pattern = globToRegExp(match)
+    yield* this.store.keys().filter((key) => pattern.test(key))
+  }
+
+  async delIfEquals(key: string, value: string) {
+    await this.check('delIfEquals')
+    const current = this.store.get(key)
+    return Buffer.isBuffer(current) && current.toString() === value && this.store.delete(key)
+  }
+
+  async setIfEquals(entry: SetEntry, expected: RedisValue | null) {
+    await this.check('setIfEquals')
+    const current = this.store.get(entry.key)
+    const matches = expected === null
+      ? current === null
+      : Buffer.isBuffer(current) && current.equals(Buffer.from(expected))
+    if (!matches) {
+      return false
+    }
+    return this.write(entry)
+  }
+
+  async publish(channel: string, message: string) {
+    await this.check('publish')
+    this.store.publish(channel, message)
+  }
+
+  async subscribe(channel: string, listener: (message: string) => void) {
+    await this.check('subscribe')
+    this.subscriptions.push({ channel, listener })
+    this.store.subscribe(channel, listener)
+  }
+
+  async unsubscribe(channel: string) {
+    await this.check('unsubscribe')
+    this.subscriptions
+      .filter((subscription) => subscription.channel === channel)
+      .forEach(({ listener }) => this.store.unsubscribe(channel, listener))
+    this.subscriptions = this.subscriptions.filter((subscription) => subscription.channel !== channel)
+  }
+
+  duplicate() {
+    return new MemoryAdapter(this.store)
+  }
+
+  async info() {
+    await this.check('info')
+    return '# Replication\r\nrole:master\r\nconnected_slaves:0\r\n'
+  }
+
+  // drops this adapter's subscriptions. the store and its keys are kept
+  async quit() {
+    this.subscriptions.forEach(({ channel, listener }) => this.store.unsubscribe(channel, listener))
+    this.subscriptions = []
+  }
+
+  private async check(command: keyof RedisAdapter) {
+    const active = this.faults.find(({ commands }) => !commands || commands.includes(command))
+    if (!active) {
+      return
+    }
+    if (--active.times <= 0) {
+      _.pull(this.faults, active)
+    }
+    if (active.fault === 'timeout') {
+      await new Promise<never>((resolve, reject) => this.hung.add(reject))
+    }
+    throw faultError(active.fault as Exclude<MemoryFault, 'timeout'>)
+  }
+
+  private write({ key, value, expire, expireMs, onlyIfMissing }: SetEntry) {
+    if (onlyIfMissing && this.store.get(key) !== null) {
+      return false
+    }
+    this.store.set(key, Buffer.from(value), expireMs || (expire ? expire * 1000 : undefined))
+    return true
+  }
+
+  private hash(key: string) {
+    const value = this.store.get(key)
+    return value instanceof Map ? value : null
+  }
+}
@@ -0,0 +1,178 @@
+import { RedisClientType, RedisClusterType, commandOptions } from 'redis'
+
+import { perSlot } from '../cluster'
+import { DEL_IF_EQUALS_SCRIPT, SADD_SCRIPT, SET_IF_EQUALS_SCRIPT, TAKE_SET_SCRIPT, setIfEqualsArgs } from './scripts'
+import { ExpireEntry, HashRead, HashWrite, RedisAdapter, RedisHash, RedisValue, ReadOptions, SetAdd, SetEntry } from './types'
+
+export type NodeRedisClient = RedisClientType<any, any, any> | RedisClusterType<any, any, any>
+
+export function isNodeRedisClient(client: any): client is NodeRedisClient {
+  return typeof client.mGet === 'function'
+}
+
+function isCluster(client: NodeRedisClient): client is RedisClusterType<any, any, any> {
+  return 'getSlotMaster' in client
+}
+
+// node-redis v4, as a single node client or a cluster client (`createCluster`)
+export class NodeRedisAdapter implements RedisAdapter {
+  // a cluster client has the same api as a single node client for every command
+  // used here apart from `multi`, `scanIterator` and `info`, which are handled below
+  private redis: RedisClientType<any, any, any>
+
+  constructor(private client: NodeRedisClient) {
+    this.redis = client as RedisClientType<any, any, any>
+  }
+
+  mget(keys: string[], options: ReadOptions = {}) {
+    return this.inSlots(keys, (indexes) => this.redis.mGet(
+      commandOptions({ returnBuffers: !!options.buffers }),
+      indexes.map((i) => keys[i]),
+    ) as Promise<(RedisValue | null)[]>)
+  }
+
+  set(entries: SetEntry[]) {
+    const keys = entries.map((entry) => entry.key)
+
+    return this.inSlots(keys, async (indexes) => {
+      const multi = this.multi(keys[indexes[0]])
+
+      for (const i of indexes) {
+        const { key, value, expire, expireMs, onlyIfMissing } = entries[i]
+        multi.set(key, value, {
+          ...(expireMs ? { PX: expireMs } : expire ? { EX: expire } : {}),
+          ...(onlyIfMissing ? { NX: true } : {}),
+        })
+      }
+
+      const replies = await multi.execAsPipeline()
+      return replies.map((reply) => reply === 'OK')
+    })
+  }
+
+  // commands sent together are pipelined by node-redis, and routed to the right
+  // node on a cluster
+  hmget(reads: HashRead[], options: ReadOptions = {}) {
+    return Promise.all(reads.map(({ key, fields }) => this.redis.hmGet(
+      commandOptions({ returnBuffers: !!options.buffers }),
+      key,
+      fields,
+    ) as Promise<(RedisValue | null)[]>))
+  }
+
+  hgetall(keys: string[], options: ReadOptions = {}) {
+    return Promise.all(keys.map((key) => this.redis.hGetAll(
+      commandOptions({ returnBuffers: !!options.buffers }),
+      key,
+    ) as Promise<RedisHash>))
+  }
+
+  async hset(writes: HashWrite[]) {
+    await Promise.all(writes.map(({ key, values, expire, replace }) => {
+      const multi = this.multi(key)
+      if (replace) {
+        multi.del(key)
+      }
+      multi.hSet(key, values)
+      if (expire) {
+        multi.expire(key, expire)
+      }
+      return multi.exec()
+    }))
+  }
+
+  async del(keys: string[]) {
+    if (keys.length > 0) {
+      await this.inSlots(keys, (indexes) => this.redis.unlink(indexes.map((i) => keys[i])).then(() => []))
+    }
+  }
+
+  async expire(entries: ExpireEntry[]) {
+    await Promise.all(entries.map(({ key, expire }) => this.redis.expire(key, expire)))
+  }
+
+  pttl(keys: string[]) {
+    return Promise.all(keys.map((key) => this.redis.pTTL(key)))
+  }
+
+  async sadd(adds: SetAdd[]) {
+    await Promise.all(adds.map(({ key, members, expire }) => this.redis.eval(SADD_SCRIPT, {
+      keys: [key],
+      arguments: [String(expire || 0), ...members],
+    })))
+  }
+
+  async takeSet(key: string) {
+    return await this.redis.eval(TAKE_SET_SCRIPT, { keys: [key] }) as string[]
+  }
+
+  async *scan(match: string) {
+    const nodes: RedisClientType<any, any, any>[] = isCluster(this.client)
+      ? await Promise.all(this.client.masters.map((master) => (this.client as RedisClusterType<any, any, any>).nodeClient(master)))
+      : [this.redis]
+
+    for (const node of nodes) {
+      yield* node.scanIterator({ MATCH: match, COUNT: 500 })
+    }
+  }
+
+  async delIfEquals(key: string, value: string) {
+    const deleted = await this.redis.eval(DEL_IF_EQUALS_SCRIPT, { keys: [key], arguments: [value] })
+    return deleted === 1
+  }
+
+  async setIfEquals(entry: SetEntry, expected: RedisValue | null) {
+    const written = await this.redis.eval(SET_IF_EQUALS_SCRIPT, {
+      keys: [entry.key],
+      // typed as strings, but Buffers are sent as they are
+      arguments: setIfEqualsArgs(entry, expected) as string[],
+    })
+    return written === 1
+  }
+
+  async publish(channel: string, message: string) {
+    await this.redis.publish(channel, message)
+  }
+
+  async subscribe(channel: string, listener: (message: string) => void) {
+    if (!this.client.isOpen) {
+      await this.client.connect()
+    }
+    await this.client.subscribe(channel, listener)
+  }
+
+  async unsubscribe(channel: string) {
+    if (this.client.isOpen) {
+      await this.client.unsubscribe(channel)
+    }
+  }
+
+  duplicate() {
+    return new NodeRedisAdapter(this.client.duplicate())
+  }
+
+  async quit() {
+    if (this.client.isOpen) {
+      await this.client.quit()
+    }
+  }
+
+  info(section?: string) {
+    if (isCluster(this.client)) {
+      return this.client.sendCommand<string>(undefined, true, section ? ['INFO', section] : ['INFO'])
+    }
+    return this.client.info(section)
+  }
+
+  // on a cluster a pipeline is sent to the node owning `routingKey`
+  private multi(routingKey: string) {
+    return isCluster(this.client)
+      ? this.client.multi(routingKey) as unknown as ReturnType<RedisClientType<any, any, any>['multi']>
+      : this.client.multi()
+  }
+
+  // every key at once on a single node, one hash slot at a time on a cluster
+  private inSlots<T>(keys: string[], fn: (indexes: number[]) => Promise<T[]>) {
+    return isCluster(this.client) ? perSlot(keys, fn) : fn(keys.map((k, i) => i))
+  }
+}
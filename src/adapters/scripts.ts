@@ -0,0 +1,54 @@
+import { RedisValue, SetEntry } from './types'
+
+// deletes a key only if it still holds the expected value
+export const DEL_IF_EQUALS_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`
+
+// sets a key only if it still holds the expected value. ARGV[1] is '1' when
+// the key is expected to exist and ARGV[2] the value it should hold, ARGV[3]
+// is the new value and ARGV[4] its ttl in seconds, or 0 for none
+export const SET_IF_EQUALS_SCRIPT = `
+local current = redis.call('get', KEYS[1])
+if ARGV[1] == '1' then
+  if current ~= ARGV[2] then
+    return 0
+  end
+elseif current then
+  return 0
+end
+if tonumber(ARGV[4]) > 0 then
+  redis.call('set', KEYS[1], ARGV[3], 'EX', ARGV[4])
+else
+  redis.call('set', KEYS[1], ARGV[3])
+end
+return 1
+`
+
+export function setIfEqualsArgs({ value, expire }: SetEntry, expected: RedisValue | null): RedisValue[] {
+  return [expected === null ? '0' : '1', expected === null ? '' : expected, value, String(expire || 0)]
+}
+
+// adds ARGV[2..] to a set, extending its ttl to ARGV[1] seconds if that is
+// longer. 0 removes the ttl, so members that don't expire keep the set alive
+export const SADD_SCRIPT = `
+local ttl = redis.call('ttl', KEYS[1])
+redis.call('sadd', KEYS[1], unpack(ARGV, 2))
+local expire = tonumber(ARGV[1])
+if expire == 0 then
+  redis.call('persist', KEYS[1])
+elseif ttl == -2 or (ttl >= 0 and ttl < expire) then
+  redis.call('expire', KEYS[1], expire)
+end
+return 1
+`
+
+// deletes a set, returning its members
+export const TAKE_SET_SCRIPT = `
+local members = redis.call('smembers', KEYS[1])
+redis.call('del', KEYS[1])
+return members
+`
@@ -0,0 +1,94 @@
+export type RedisValue = string | Buffer
+
+// the fields of a redis hash
+export interface RedisHash {
+  [field: string]: RedisValue
+}
+
+export interface ReadOptions {
+  // return Buffers rather than utf8 strings
+  buffers?: boolean
+}
+
+export interface SetEntry {
+  key: string
+  value: RedisValue
+  // seconds until the key expires
+  expire?: number
+  // milliseconds until the key expires, used instead of `expire`
+  expireMs?: number
+  // only set the key when it doesn't exist yet (SET NX)
+  onlyIfMissing?: boolean
+}
+
+export interface ExpireEntry {
+  key: string
+  // seconds until the key expires
+  expire: number
+}
+
+export interface SetAdd {
+  key: string
+  members: string[]
+  // seconds until the set expires. a set's ttl is only ever extended, and an
+  // add without `expire` leaves the set without one
+  expire?: number
+}
+
+export interface HashRead {
+  key: string
+  fields: string[]
+}
+
+export interface HashWrite {
+  key: string
+  values: RedisHash
+  // seconds until the key expires
+  expire?: number
+  // remove fields not in `values` rather than keeping them
+  replace?: boolean
+}
+
+// the commands the loader needs from a redis connection. every method works
+// across hash slots, so adapters for cluster clients split keys up as needed
+export interface RedisAdapter {
+  // null for keys that don't exist
+  mget(keys: string[], options?: ReadOptions): Promise<(RedisValue | null)[]>
+  // sets every entry in one round trip, though not atomically. resolves with
+  // whether each entry was written, which is only ever false for `onlyIfMissing`
+  set(entries: SetEntry[]): Promise<boolean[]>
+  // for each read, the value of each field, or null for fields that don't exist
+  hmget(reads: HashRead[], options?: ReadOptions): Promise<(RedisValue | null)[][]>
+  // for each key every field, or an empty object when the key doesn't exist
+  hgetall(keys: string[], options?: ReadOptions): Promise<RedisHash[]>
+  // each write is atomic, though writes to different keys are not
+  hset(writes: HashWrite[]): Promise<void>
+  // removes keys without blocking redis (UNLINK)
+  del(keys: string[]): Promise<void>
+  // resets the ttl of each entry's key, if it exists, in one round trip
+  expire(entries: ExpireEntry[]): Promise<void>
+  // milliseconds until each key expires, -1 for keys without a ttl and -2 for
+  // keys that don't exist
+  pttl(keys: string[]): Promise<number[]>
+  // adds members to each set
+  sadd(adds: SetAdd[]): Promise<void>
+  // removes the set at `key`, resolving with the members it had
+  takeSet(key: string): Promise<string[]>
+  // every key matching the glob `match`, on every primary
+  scan(match: string): AsyncIterable<string>
+  // deletes `key` only while it still holds `value`. resolves with whether it did
+  delIfEquals(key: string, value: string): Promise<boolean>
+  // writes `entry` only while its key still holds `expected`, or doesn't exist
+  // when `expected` is null. resolves with whether it did
+  setIfEquals(entry: SetEntry, expected: RedisValue | null): Promise<boolean>
+  publish(channel: string, message: string): Promise<void>
+  // a subscribed connection can't run other commands, so subscribe on a duplicate
+  subscribe(channel: string, listener: (message: string) => void): Promise<void>
+  // stops every listener subscribed to `channel` through this adapter
+  unsubscribe(channel: string): Promise<void>
+  // an adapter over a new connection to the same server
+  duplicate(): RedisAdapter
+  info(section?: string): Promise<string>
+  // closes the connection once its pending commands are done
+  quit(): Promise<void>
+}
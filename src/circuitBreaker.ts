@@ -0,0 +1,50 @@
+export type CircuitState = 'closed' | 'open' | 'half-open'
+
+export interface CircuitBreakerOptions {
+  // consecutive failures before the circuit opens
+  failureThreshold: number
+  // milliseconds to skip redis for once the circuit opens
+  cooldown: number
+}
+
+// counts consecutive redis failures. once `failureThreshold` is reached the
+// circuit opens and `allow()` returns false until `cooldown` has passed, after
+// which calls are let through again and the next result decides whether the
+// circuit closes or opens for another cooldown.
+export class CircuitBreaker {
+  state: CircuitState = 'closed'
+  private failures = 0
+  private openedAt = 0
+
+  constructor(
+    private options: CircuitBreakerOptions,
+    private onStateChange: (state: CircuitState) => void = () => {},
+  ) {}
+
+  allow() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.options.cooldown) {
+      this.setState('half-open')
+    }
+    return this.state !== 'open'
+  }
+
+  success() {
+    this.failures = 0
+    if (this.state !== 'closed') {
+      this.setState('closed')
+    }
+  }
+
+  failure() {
+    this.failures++
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.options.failureThreshold)) {
+      this.openedAt = Date.now()
+      this.setState('open')
+    }
+  }
+
+  private setState(state: CircuitState) {
+    this.state = state
+    this.onStateChange(state)
+  }
+}
@@ -0,0 +1,401 @@
+export interface RedisDataLoaderCodec<V = any> {
+  // binary codecs produce Buffers and want Buffers back from redis
+  binary?: boolean
+  encode(val: V): string | Buffer
+  decode(raw: string | Buffer): V
+}
+
+export const jsonCodec: RedisDataLoaderCodec = {
+  encode: (val) => JSON.stringify(val),
+  decode: (raw) => JSON.parse(raw.toString()),
+}
+
+// JSON that round-trips the types plain JSON flattens. tagged values look like
+// { "$t": "Date", "v": 1577836800000 }, and plain objects that
+// happen to have a "$t" key are escaped so they can't be mistaken for a tag.
+const TAG = '$t'
+
+function typedReplacer(this: any, key: string, value: any) {
+  // Date#toJSON has already run by the time we see `value`, so look at the raw
+  // property instead
+  const raw = this[key]
+
+  if (raw instanceof Date) {
+    return { [TAG]: 'Date', v: raw.getTime() }
+  } else if (typeof raw === 'bigint') {
+    return { [TAG]: 'BigInt', v: raw.toString() }
+  } else if (raw instanceof Map) {
+    return { [TAG]: 'Map', v: Array.from(raw.entries()) }
+  } else if (raw instanceof Set) {
+    return { [TAG]: 'Set', v: Array.from(raw.values()) }
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, TAG)) {
+    return { [TAG]: 'Object', v: Object.entries(value) }
+  }
+
+  return value
+}
+
+function typedReviver(_key: string, value: any) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || typeof value[TAG] !== 'string') {
+    return value
+  }
+
+  switch (value[TAG]) {
+    case 'Date':
+      return new Date(value.v)
+    case 'BigInt':
+      return BigInt(value.v)
+    case 'Map':
+      return new Map(value.v)
+    case 'Set':
+      return new Set(value.v)
+    case 'Object':
+      return Object.fromEntries(value.v)
+    default:
+      return value
+  }
+}
+
+export const typedJsonCodec: RedisDataLoaderCodec = {
+  encode: (val) => JSON.stringify(val, typedReplacer),
+  decode: (raw) => JSON.parse(raw.toString(), typedReviver),
+}
+
+// a self contained MessagePack implementation covering nil, booleans, numbers,
+// bigints, strings, binary, arrays, maps and the timestamp extension (Dates).
+// Maps and Sets are written as msgpack maps and arrays respectively.
+
+class Writer {
+  private chunks: Buffer[] = []
+
+  bytes(...values: number[]) {
+    this.chunks.push(Buffer.from(values))
+  }
+
+  buffer(buf: Buffer) {
+    this.chunks.push(buf)
+  }
+
+  uint16(type: number, value: number) {
+    const buf = Buffer.allocUnsafe(3)
+    buf.writeUInt8(type, 0)
+    buf.writeUInt16BE(value, 1)
+    this.chunks.push(buf)
+  }
+
+  uint32(type: number, value: number) {
+    const buf = Buffer.allocUnsafe(5)
+    buf.writeUInt8(type, 0)
+    buf.writeUInt32BE(value, 1)
+    this.chunks.push(buf)
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks)
+  }
+}
+
+function writeLength(w: Writer, length: number, fix: number | null, fixMax: number, t8: number | null, t16: number, t32: number) {
+  if (fix !== null && length <= fixMax) {
+    w.bytes(fix | length)
+  } else if (t8 !== null && length <= 0xff) {
+    w.bytes(t8, length)
+  } else if (length <= 0xffff) {
+    w.uint16(t16, length)
+  } else {
+    w.uint32(t32, length)
+  }
+}
+
+function writeInt(w: Writer, value: number | bigint) {
+  const buf = Buffer.allocUnsafe(9)
+
+  if (value >= 0) {
+    if (value < 0x80) {
+      w.bytes(Number(value))
+    } else if (value <= 0xff) {
+      w.bytes(0xcc, Number(value))
+    } else if (value <= 0xffff) {
+      w.uint16(0xcd, Number(value))
+    } else if (value <= 0xffffffff) {
+      w.uint32(0xce, Number(value))
+    } else {
+      buf.writeUInt8(0xcf, 0)
+      buf.writeBigUInt64BE(BigInt(value), 1)
+      w.buffer(buf)
+    }
+  } else if (value >= -0x20) {
+    w.bytes(0xe0 | (Number(value) + 0x20))
+  } else if (value >= -0x80) {
+    buf.writeUInt8(0xd0, 0)
+    buf.writeInt8(Number(value), 1)
+    w.buffer(buf.subarray(0, 2))
+  } else if (value >= -0x8000) {
+    buf.writeUInt8(0xd1, 0)
+    buf.writeInt16BE(Number(value), 1)
+    w.buffer(buf.subarray(0, 3))
+  } else if (value >= -0x80000000) {
+    buf.writeUInt8(0xd2, 0)
+    buf.writeInt32BE(Number(value), 1)
+    w.buffer(buf.subarray(0, 5))
+  } else {
+    buf.writeUInt8(0xd3, 0)
+    buf.writeBigInt64BE(BigInt(value), 1)
+    w.buffer(buf)
+  }
+}
+
+function writeValue(w: Writer, value: any) {
+  if (value === null || value === undefined) {
+    w.bytes(0xc0)
+  } else if (value === false) {
+    w.bytes(0xc2)
+  } else if (value === true) {
+    w.bytes(0xc3)
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      writeInt(w, value)
+    } else {
+      const buf = Buffer.allocUnsafe(9)
+      buf.writeUInt8(0xcb, 0)
+      buf.writeDoubleBE(value, 1)
+      w.buffer(buf)
+    }
+  } else if (typeof value === 'bigint') {
+    if (value > BigInt('0xffffffffffffffff') || value < -BigInt('0x8000000000000000')) {
+      throw new RangeError(`bigint ${value} does not fit in 64 bits`)
+    }
+    writeInt(w, value)
+  } else if (typeof value === 'string') {
+    const buf = Buffer.from(value, 'utf8')
+    writeLength(w, buf.length, 0xa0, 31, 0xd9, 0xda, 0xdb)
+    w.buffer(buf)
+  } else if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    writeLength(w, value.length, null, 0, 0xc4, 0xc5, 0xc6)
+    w.buffer(Buffer.from(value))
+  } else if (value instanceof Date) {
+    // timestamp 96: ext 8 (12 bytes) with type -1
+    const ms = value.getTime()
+    const seconds = Math.floor(ms / 1000)
+    const buf = Buffer.allocUnsafe(15)
+    buf.writeUInt8(0xc7, 0)
+    buf.writeUInt8(12, 1)
+    buf.writeInt8(-1, 2)
+    buf.writeUInt32BE((ms - seconds * 1000) * 1e6, 3)
+    buf.writeBigInt64BE(BigInt(seconds), 7)
+    w.buffer(buf)
+  } else if (Array.isArray(value) || value instanceof Set) {
+    const items = Array.from(value)
+    writeLength(w, items.length, 0x90, 15, null, 0xdc, 0xdd)
+    items.forEach((item) => writeValue(w, item))
+  } else if (value instanceof Map) {
+    writeLength(w, value.size, 0x80, 15, null, 0xde, 0xdf)
+    value.forEach((v, k) => {
+      writeValue(w, k)
+      writeValue(w, v)
+    })
+  } else if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return writeValue(w, value.toJSON())
+    }
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined)
+    writeLength(w, entries.length, 0x80, 15, null, 0xde, 0xdf)
+    entries.forEach(([k, v]) => {
+      writeValue(w, k)
+      writeValue(w, v)
+    })
+  } else {
+    throw new TypeError(`cannot encode ${typeof value} as msgpack`)
+  }
+}
+
+class Reader {
+  offset = 0
+
+  constructor(private buf: Buffer) {}
+
+  u8() {
+    return this.buf.readUInt8(this.offset++)
+  }
+
+  take(length: number) {
+    const out = this.buf.subarray(this.offset, this.offset + length)
+    if (out.length !== length) {
+      throw new RangeError('unexpected end of msgpack data')
+    }
+    this.offset += length
+    return out
+  }
+
+  read<T>(length: number, fn: (b: Buffer) => T) {
+    return fn(this.take(length))
+  }
+}
+
+function readValue(r: Reader): any {
+  const type = r.u8()
+
+  if (type < 0x80) return type
+  if (type >= 0xe0) return type - 0x100
+  if (type >= 0xa0 && type <= 0xbf) return r.take(type & 0x1f).toString('utf8')
+  if (type >= 0x90 && type <= 0x9f) return readArray(r, type & 0x0f)
+  if (type >= 0x80 && type <= 0x8f) return readMap(r, type & 0x0f)
+
+  switch (type) {
+    case 0xc0:
+      return null
+    case 0xc2:
+      return false
+    case 0xc3:
+      return true
+    case 0xc4:
+      return Buffer.from(r.take(r.u8()))
+    case 0xc5:
+      return Buffer.from(r.take(r.read(2, (b) => b.readUInt16BE(0))))
+    case 0xc6:
+      return Buffer.from(r.take(r.read(4, (b) => b.readUInt32BE(0))))
+    case 0xc7:
+      return readExt(r, r.u8())
+    case 0xd6:
+      return readExt(r, 4)
+    case 0xd7:
+      return readExt(r, 8)
+    case 0xca:
+      return r.read(4, (b) => b.readFloatBE(0))
+    case 0xcb:
+      return r.read(8, (b) => b.readDoubleBE(0))
+    case 0xcc:
+      return r.u8()
+    case 0xcd:
+      return r.read(2, (b) => b.readUInt16BE(0))
+    case 0xce:
+      return r.read(4, (b) => b.readUInt32BE(0))
+    case 0xcf:
+      return toSafeNumber(r.read(8, (b) => b.readBigUInt64BE(0)))
+    case 0xd0:
+      return r.read(1, (b) => b.readInt8(0))
+    case 0xd1:
+      return r.read(2, (b) => b.readInt16BE(0))
+    case 0xd2:
+      return r.read(4, (b) => b.readInt32BE(0))
+    case 0xd3:
+      return toSafeNumber(r.read(8, (b) => b.readBigInt64BE(0)))
+    case 0xd9:
+      return r.take(r.u8()).toString('utf8')
+    case 0xda:
+      return r.take(r.read(2, (b) => b.readUInt16BE(0))).toString('utf8')
+    case 0xdb:
+      return r.take(r.read(4, (b) => b.readUInt32BE(0))).toString('utf8')
+    case 0xdc:
+      return readArray(r, r.read(2, (b) => b.readUInt16BE(0)))
+    case 0xdd:
+      return readArray(r, r.read(4, (b) => b.readUInt32BE(0)))
+    case 0xde:
+      return readMap(r, r.read(2, (b) => b.readUInt16BE(0)))
+    case 0xdf:
+      return readMap(r, r.read(4, (b) => b.readUInt32BE(0)))
+    default:
+      throw new TypeError(`unsupported msgpack type 0x${type.toString(16)}`)
+  }
+}
+
+function toSafeNumber(value: bigint) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value
+}
+
+function readArray(r: Reader, length: number) {
+  const out = new Array(length)
+  for (let i = 0; i < length; i++) {
+    out[i] = readValue(r)
+  }
+  return out
+}
+
+function readMap(r: Reader, length: number) {
+  const out: { [key: string]: any } = {}
+  for (let i = 0; i < length; i++) {
+    const key = readValue(r)
+    out[String(key)] = readValue(r)
+  }
+  return out
+}
+
+function readExt(r: Reader, length: number) {
+  const type = r.read(1, (b) => b.readInt8(0))
+  const data = r.take(length)
+
+  if (type !== -1) {
+    throw new TypeError(`unsupported msgpack extension type ${type}`)
+  }
+
+  if (length === 4) {
+    return new Date(data.readUInt32BE(0) * 1000)
+  } else if (length === 8) {
+    const nsec = data.readUInt32BE(0) >>> 2
+    const seconds = (data.readUInt32BE(0) & 0x03) * 0x100000000 + data.readUInt32BE(4)
+    return new Date(seconds * 1000 + Math.floor(nsec / 1e6))
+  } else {
+    const nsec = data.readUInt32BE(0)
+    const seconds = Number(data.readBigInt64BE(4))
+    return new Date(seconds * 1000 + Math.floor(nsec / 1e6))
+  }
+}
+
+export const msgpackCodec: RedisDataLoaderCodec = {
+  binary: true,
+  encode: (val) => {
+    const w = new Writer()
+    writeValue(w, val)
+    return w.toBuffer()
+  },
+  decode: (raw) => {
+    const r = new Reader(Buffer.isBuffer(raw) ? raw : Buffer.from(raw, 'binary'))
+    return readValue(r)
+  },
+}
+
+export interface LegacySerializeOptions {
+  serialize?: (val: any) => any
+  deserialize?: (raw: any) => any
+  buffer?: boolean
+}
+
+// wraps the older serialize/deserialize/buffer options in a codec
+export function codecFromSerializers(opt: LegacySerializeOptions): RedisDataLoaderCodec {
+  const serialize = opt.serialize || JSON.stringify
+  const deserialize = opt.deserialize || ((raw: any) => JSON.parse(raw.toString()))
+
+  return {
+    binary: !!opt.buffer,
+    encode: (val) => {
+      const out = serialize(val)
+      return Buffer.isBuffer(out) ? out : String(out)
+    },
+    decode: (raw) => deserialize(raw),
+  }
+}
+
+export const codecs = {
+  json: jsonCodec,
+  typedJson: typedJsonCodec,
+  msgpack: msgpackCodec,
+}
+
+export interface RedisDataLoaderErrorCodec {
+  encode(err: Error): string
+  decode(raw: string): Error
+}
+
+// keeps the name, message and code of an error. stack traces are dropped
+export const jsonErrorCodec: RedisDataLoaderErrorCodec = {
+  encode: (err) => JSON.stringify({ name: err.name, message: err.message, code: (err as any).code }),
+  decode: (raw) => {
+    const { name, message, code } = JSON.parse(raw)
+    const err = new Error(message)
+    err.name = name
+    if (code !== undefined) {
+      (err as any).code = code
+    }
+    return err
+  },
+}
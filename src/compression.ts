@@ -0,0 +1,58 @@
+import { brotliCompressSync, brotliDecompressSync, deflateSync, gunzipSync, gzipSync, inflateSync } from 'zlib'
+
+export type CompressionAlgorithm = 'gzip' | 'brotli' | 'deflate'
+
+export interface CompressionOptions {
+  // defaults to gzip
+  algorithm?: CompressionAlgorithm
+  // encoded values smaller than this many bytes are stored uncompressed.
+  // defaults to 1024
+  threshold?: number
+}
+
+// compressed values start with a NUL byte, 'z' and a byte naming the algorithm,
+// so they can be told apart from uncompressed values whatever the current
+// settings are
+const HEADER = Buffer.from('\u0000z')
+
+const ALGORITHMS: { [name in CompressionAlgorithm]: { id: number; compress: (buf: Buffer) => Buffer } } = {
+  gzip: { id: 0x67, compress: (buf) => gzipSync(buf) },
+  brotli: { id: 0x62, compress: (buf) => brotliCompressSync(buf) },
+  deflate: { id: 0x64, compress: (buf) => deflateSync(buf) },
+}
+
+const DECOMPRESS: { [id: number]: (buf: Buffer) => Buffer } = {
+  [ALGORITHMS.gzip.id]: (buf) => gunzipSync(buf),
+  [ALGORITHMS.brotli.id]: (buf) => brotliDecompressSync(buf),
+  [ALGORITHMS.deflate.id]: (buf) => inflateSync(buf),
+}
+
+export function compressionOptions(option: CompressionAlgorithm | CompressionOptions): CompressionOptions {
+  return typeof option === 'string' ? { algorithm: option } : option
+}
+
+// `raw` with a header, compressed, when it is over the threshold and
+// compressing it actually makes it smaller. otherwise `raw` as it is
+export function compress(raw: string | Buffer, options: CompressionOptions): string | Buffer {
+  const { algorithm = 'gzip', threshold = 1024 } = options
+  const buf = Buffer.isBuffer(raw) ? raw : Buffer.from(raw)
+
+  if (buf.length < threshold) {
+    return raw
+  }
+
+  const { id, compress: fn } = ALGORITHMS[algorithm]
+  const compressed = Buffer.concat([HEADER, Buffer.from([id]), fn(buf)])
+  return compressed.length < buf.length ? compressed : raw
+}
+
+export function isCompressed(raw: string | Buffer): raw is Buffer {
+  return Buffer.isBuffer(raw)
+    && raw.length > HEADER.length
+    && raw.subarray(0, HEADER.length).equals(HEADER)
+    && raw[HEADER.length] in DECOMPRESS
+}
+
+export function decompress(raw: Buffer) {
+  return DECOMPRESS[raw[HEADER.length]](raw.subarray(HEADER.length + 1))
+}
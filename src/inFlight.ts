@@ -0,0 +1,32 @@
+// a DataLoader cacheMap that only holds promises until they settle, so loads
+// of a key made while one is already running share it, and nothing is cached
+// after that
+export class InFlightMap<K, V> {
+  private promises = new Map<K, Promise<V>>()
+
+  get size() {
+    return this.promises.size
+  }
+
+  get(key: K) {
+    return this.promises.get(key)
+  }
+
+  set(key: K, promise: Promise<V>) {
+    this.promises.set(key, promise)
+    const settle = () => {
+      if (this.promises.get(key) === promise) {
+        this.promises.delete(key)
+      }
+    }
+    promise.then(settle, settle)
+  }
+
+  delete(key: K) {
+    this.promises.delete(key)
+  }
+
+  clear() {
+    this.promises.clear()
+  }
+}
@@ -1,22 +1,257 @@
-import { RedisClientType } from 'redis'
-import { RedisCommandArgument, RedisCommandRawReply } from '@redis/client/dist/lib/commands'
-
 import _ from 'lodash'
 import DataLoader from 'dataloader'
 
+import { randomBytes } from 'crypto'
+
 import stringify from 'json-stable-stringify'
 
 import debug from 'debug'
 
+import { RedisDataLoaderCodec, RedisDataLoaderErrorCodec, codecFromSerializers, jsonCodec, jsonErrorCodec } from './codecs'
+
+import { CircuitBreaker, CircuitBreakerOptions, CircuitState } from './circuitBreaker'
+import { CompressionAlgorithm, CompressionOptions, compress, compressionOptions, decompress, isCompressed } from './compression'
+import { InFlightMap } from './inFlight'
+import { LocalCache, LocalCacheOptions } from './localCache'
+import { Instrumentation, RedisDataLoaderMetrics, Span, Tracer } from './instrumentation'
+import { HashWrite, RedisAdapter, RedisClient, RedisHash, RedisValue, SetAdd, SetEntry, toAdapter } from './adapters'
+import { ReplicaPool, ReplicaPoolOptions } from './replicaPool'
+import { InvalidationBus, InvalidationListener, InvalidationMessage, InvalidationOptions } from './invalidationBus'
+import { SnapshotEntry, fromSnapshotValue, readSnapshot, toSnapshotLine } from './snapshot'
+
+export * from './codecs'
+export * from './adapters'
+export { CircuitBreakerOptions, CircuitState } from './circuitBreaker'
+export { CompressionAlgorithm, CompressionOptions } from './compression'
+export { InvalidationOptions, InvalidationMessage } from './invalidationBus'
+export { LocalCache, LocalCacheOptions } from './localCache'
+export * from './instrumentation'
+export { hashSlot } from './cluster'
+export { ReplicaPoolOptions, ReplicaStrategy } from './replicaPool'
+export { SnapshotEntry } from './snapshot'
+export { LoaderContext, LoaderDefinition, LoaderDefinitions, LoaderOf, LoaderRegistry, createLoaderRegistry } from './registry'
+export { ConformanceOptions, ConformanceResult, runConformance } from './conformance'
+
 const d = debug('redis-dataloader')
 
+export interface RedisErrorInfo {
+  operation: 'read' | 'write'
+  keySpace: string
+}
+
 export interface RedisDataLoaderConfig {
-  redisRW: RedisClientType<any, any, any>
-  redisRO: RedisClientType<any, any, any>
+  // a node-redis v4 or ioredis client, or any RedisAdapter. either can be a
+  // cluster client. pass the same cluster for both and use its replica reads
+  // (`useReplicas` in node-redis, `scaleReads` in ioredis) to read from replicas
+  redisRW: RedisClient
+  // one or more read replicas. reads that fail on a replica are retried on redisRW
+  redisRO: RedisClient | RedisClient[]
+  // how reads are spread over the replicas in redisRO and when one is skipped
+  replicas?: ReplicaPoolOptions
+  // milliseconds to wait for a read from a replica or the primary before
+  // treating it as failed. a replica read that times out is retried on redisRW
+  readTimeout?: number
+  // stop sending batch reads and writes to redis for a while after repeated failures
+  circuitBreaker?: CircuitBreakerOptions
+  // called whenever a batch read or write to redis fails
+  onRedisError?: (err: Error, info: RedisErrorInfo) => void
+  onCircuitStateChange?: (state: CircuitState) => void
+  // keep local caches in sync across processes over redis pub/sub
+  invalidation?: InvalidationOptions
+  // hooks reporting cache hits, misses and latencies
+  metrics?: RedisDataLoaderMetrics
+  // an OpenTelemetry compatible tracer. each batch gets a span
+  tracer?: Tracer
+}
+
+// K is the type of the keys, V of the values and C of the keys in the local
+// cache, as for the wrapped DataLoader
+export interface RedisDataLoaderOptions<K = any, V = any, C = K> extends DataLoader.Options<K, V, C> {
+  // seconds keys are kept in redis, or a function giving the seconds for each
+  // key and the value it holds
+  expire: number | ((key: K, value: V | null) => number)
+  // shorten each ttl by a random amount of up to this fraction of it, e.g. 0.1
+  // for up to 10%, so keys written together don't all expire together
+  jitter?: number
+  // reset the ttl of keys found in redis, so keys that keep being read stay cached
+  slidingExpire?: boolean
+  // how values are written to and read from redis. defaults to JSON. with hash
+  // storage it encodes each property of a value instead
+  codec?: RedisDataLoaderCodec<V>
+  // shorthand for a codec built from a pair of functions
+  serialize?: (val: V) => any
+  deserialize?: (raw: any) => V
+  // pass Buffers rather than strings to `deserialize`
+  buffer?: boolean
+  // also cache null/undefined results from the user loader
+  negativeCache?: boolean
+  // ttl in seconds for cached nulls. defaults to `expire`
+  negativeExpire?: number
+  // when set, errors from the user loader are cached for this many seconds
+  errorExpire?: number
+  // how cached errors are written to and read from redis
+  errorCodec?: RedisDataLoaderErrorCodec
+  // load from the user loader when redis can't be read (the default). when
+  // false a failed redis read rejects every key in the batch
+  failOpen?: boolean
+  // seconds after which a cached value is refreshed in the background. stale
+  // values are still returned until the refresh lands or `expire` is reached
+  softExpire?: number
+  // coordinate cache misses across processes so only one of them calls the
+  // user loader for a key while the others wait for its value
+  stampedeLock?: StampedeLockOptions
+  // wrap the keySpace in a redis cluster hash tag, `{keySpace}:key`, so every
+  // key in it lands in the same hash slot and batches go to a single node
+  hashTag?: boolean
+  // milliseconds after a prime or clear on this loader during which reads of
+  // that key go to the primary, so the loader sees its own write even if the
+  // replicas haven't caught up yet
+  readYourWrites?: number
+  // send reads from redis together with those of other loaders on this config
+  // made at the same time, and share reads of keys that are already in flight.
+  // has no effect with hash storage
+  shareReads?: boolean
+  // limits for the local in memory cache. its ttl defaults to, and is capped
+  // at, `expire`, and each entry expires no later than its redis key would.
+  // ignored when a `cacheMap` is passed
+  localCache?: LocalCacheOptions
+  // 'hash' keeps each value, which must be an object, as a redis hash with a
+  // field per property so single fields can be loaded and patched. defaults
+  // to 'string', a single encoded value per key
+  storage?: 'string' | 'hash'
+  // compress encoded values over a size threshold. values written with or
+  // without compression can both be read while it is set
+  compression?: CompressionAlgorithm | CompressionOptions
+  // the shape of the values this loader caches. bump it when they change so
+  // values cached by older code aren't handed to newer code
+  version?: number
+  // turns a value cached by an older version into one for this version. older
+  // values are cache misses without it
+  migrate?: (value: any, fromVersion: number) => V
+  // called with the values being written by prime, primeMany and update before
+  // they are cached. when it rejects nothing is cached and the write rejects.
+  // update calls it again for each retry, so it should be idempotent
+  writeThrough?: (entries: CacheEntry<K, V>[]) => unknown
+  // called with the values written by prime, primeMany and update once they are
+  // cached, without waiting for it. failures are only logged
+  writeBehind?: (entries: CacheEntry<K, V>[]) => unknown
+  // the tags of each value written to redis. invalidateTag on any loader
+  // sharing the config removes every key carrying the tag
+  tags?: (key: K, value: V) => string[]
+}
+
+export interface CacheEntry<K = any, V = any> {
+  key: K
+  value: V | null
+}
+
+export interface WarmOptions {
+  // how many batches are loaded and written at once. defaults to 4
+  concurrency?: number
+  // how many keys are passed to the user loader at a time. defaults to 100
+  batchSize?: number
+}
+
+export interface LoadOptions<F extends string = string> {
+  // only load these properties. with hash storage just these fields are read
+  // from redis, and the local cache is skipped
+  fields?: F[]
+}
+
+// the properties of values of type V
+export type FieldOf<V> = keyof NonNullable<V> & string
+
+export interface StampedeLockOptions {
+  // milliseconds the lock is held for. waiting callers give up and load the
+  // key themselves once it runs out
+  lease: number
+  // milliseconds between checks for the lock holder's value. defaults to 50
+  pollInterval?: number
+}
+
+const LOADER_ONLY_OPTIONS = [
+  'expire',
+  'jitter',
+  'slidingExpire',
+  'codec',
+  'serialize',
+  'deserialize',
+  'buffer',
+  'negativeCache',
+  'negativeExpire',
+  'errorExpire',
+  'errorCodec',
+  'failOpen',
+  'softExpire',
+  'stampedeLock',
+  'localCache',
+  'hashTag',
+  'readYourWrites',
+  'shareReads',
+  'storage',
+  'compression',
+  'version',
+  'migrate',
+  'writeThrough',
+  'writeBehind',
+  'tags',
+]
+
+// marks a key that is not in redis at all, as opposed to a cached null
+const MISSING = Symbol('missing')
+
+// cached errors are stored behind this prefix. no codec output starts with a
+// NUL byte followed by more data, so it can't be confused with a value
+const ERROR_PREFIX = '\u0000err:'
+const ERROR_PREFIX_BUFFER = Buffer.from(ERROR_PREFIX)
+
+// with `softExpire` values are stored as `<prefix><ms since epoch>:<value>`
+const TIMESTAMP_PREFIX = '\u0000ts:'
+
+// with `version` values are stored as `<prefix><version>:<value>`, inside the
+// timestamp if there is one. values without it are version 0
+const VERSION_PREFIX = '\u0000v:'
+
+// a cached value written by a newer version of the loader than this one
+const NEWER_VERSION = Symbol('newer version')
+
+// keys the loader keeps for itself live under this prefix, which no keySpace
+// may overlap, so clearing a keySpace can't remove them
+const NAMESPACE = 'redis-dataloader:'
+
+// a stampede lock is stored under this prefix and the full key it guards
+const LOCK_PREFIX = `${NAMESPACE}lock:`
+
+// the set of keys tagged with a tag is stored under this prefix and the tag
+const TAG_PREFIX = `${NAMESPACE}tag:`
+
+// how many times update reads and mutates a key that keeps being written by
+// someone else before it gives up
+const MAX_UPDATE_ATTEMPTS = 10
+
+// with hash storage each property is encoded into its own field. this field is
+// written alongside them and holds what a string entry would for nulls, errors
+// and softExpire timestamps, or ENTITY_MARKER for a value. a hash without it,
+// such as one that has only been patched, is a cache miss
+const HASH_MARKER = '\u0000'
+const ENTITY_MARKER = '1'
+
+// what a key holds in redis, depending on the storage option
+type StoredValue = RedisValue | RedisHash
+
+function isHash(val: StoredValue | null): val is RedisHash {
+  return typeof val === 'object' && val !== null && !Buffer.isBuffer(val)
 }
 
-export interface RedisDataLoaderOptions extends DataLoader.Options<any, any> {
-  expire: number
+// a cached value past its soft ttl
+class StaleValue {
+  constructor(public value: any) {}
+}
+
+// objects and arrays are serialized with their properties in a stable order,
+// everything else is used as it is
+function defaultCacheKeyFn(key: any) {
+  return _.isObject(key) ? stringify(key) : key
 }
 
 function getErrorMessage(error: unknown) {
@@ -24,242 +259,1481 @@ function getErrorMessage(error: unknown) {
   return String(error)
 }
 
-export interface IRedisDataLoader {
-  options?: RedisDataLoaderOptions
+// escapes the characters SCAN's MATCH treats as a glob
+function escapeGlob(str: string) {
+  return str.replace(/[*?[\]\\]/g, (c) => `\\${c}`)
+}
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// resolves with what `fn` resolves with, reporting how many milliseconds it took
+async function timed<T>(fn: () => Promise<T>, report: (duration: number) => void) {
+  const start = Date.now()
+  try {
+    return await fn()
+  } finally {
+    report(Date.now() - start)
+  }
+}
+
+function toError(error: unknown) {
+  return error instanceof Error ? error : new Error(getErrorMessage(error))
+}
+
+function isErrorEntry(val: RedisValue) {
+  return typeof val === 'string'
+    ? val.startsWith(ERROR_PREFIX)
+    : val.subarray(0, ERROR_PREFIX_BUFFER.length).equals(ERROR_PREFIX_BUFFER)
+}
+
+// shortens `ttl` by a random amount of up to `jitter` of it
+function withJitter(ttl: number | undefined, jitter?: number) {
+  return ttl && jitter ? Math.max(1, Math.round(ttl * (1 - Math.random() * jitter))) : ttl
+}
+
+function addHeader(prefix: string, n: number, val: RedisValue) {
+  const header = `${prefix}${n}:`
+  return typeof val === 'string' ? header + val : Buffer.concat([Buffer.from(header), val])
+}
+
+// splits the number in a header written by addHeader off `val`, or null when
+// `val` doesn't have that header
+function splitHeader(prefix: string, val: RedisValue): { n: number; rest: RedisValue } | null {
+  if (typeof val === 'string') {
+    if (!val.startsWith(prefix)) {
+      return null
+    }
+    const end = val.indexOf(':', prefix.length)
+    return { n: Number(val.slice(prefix.length, end)), rest: val.slice(end + 1) }
+  }
+
+  if (val.subarray(0, prefix.length).toString('latin1') !== prefix) {
+    return null
+  }
+  const end = val.indexOf(':', prefix.length)
+  return { n: Number(val.subarray(prefix.length, end).toString()), rest: val.subarray(end + 1) }
+}
+
+function addTimestamp(val: RedisValue) {
+  return addHeader(TIMESTAMP_PREFIX, Date.now(), val)
+}
+
+function splitTimestamp(val: RedisValue) {
+  const split = splitHeader(TIMESTAMP_PREFIX, val)
+  return split && { storedAt: split.n, rest: split.rest }
+}
+
+function splitVersion(val: RedisValue) {
+  return splitHeader(VERSION_PREFIX, val) || { n: 0, rest: val }
+}
+
+export interface IRedisDataLoader<K = any, V = any, C = K> {
+  options?: RedisDataLoaderOptions<K, V, C>
   keySpace: string
-  loader: DataLoader<any, any>
+  loader: DataLoader<K, V, C>
+
+  load(key: K): Promise<V>
+  load<F extends FieldOf<V>>(key: K, options: LoadOptions<F>): Promise<Pick<NonNullable<V>, F> | null>
+
+  loadMany(keys: readonly K[]): Promise<V[]>
+  loadMany<F extends FieldOf<V>>(keys: readonly K[], options: LoadOptions<F>): Promise<(Pick<NonNullable<V>, F> | null)[]>
 
-  load<T>(key: string): Promise<T>
+  prime(key: K, val: V | null): Promise<void>
 
-  loadMany<T>(keys: string[]): Promise<T[]>
+  primeMany(entries: CacheEntry<K, V>[]): Promise<void>
 
-  prime(key: string, val: object | null | undefined): Promise<void>
+  update(key: K, mutator: (value: V | null) => V | null | Promise<V | null>): Promise<V | null>
 
-  clear(key: string): Promise<DataLoader<any, any, any>>
+  warm(keys: Iterable<K> | AsyncIterable<K>, options?: WarmOptions): Promise<number>
 
-  clearAllLocal(): Promise<DataLoader<any, any, any>>;
+  dump(): AsyncIterable<string>
 
-  clearLocal(key: string): Promise<DataLoader<any, any, any>>;
+  restore(source: Iterable<string | Buffer> | AsyncIterable<string | Buffer>): Promise<number>
+
+  patch(key: K, values: Partial<NonNullable<V>>): Promise<void>
+
+  invalidateTag(tag: string): Promise<number>
+
+  clear(key: K): Promise<DataLoader<K, V, C>>
+
+  clearAll(): Promise<DataLoader<K, V, C>>
+
+  clearMatching(pattern: string): Promise<DataLoader<K, V, C>>
+
+  clearAllLocal(): Promise<DataLoader<K, V, C>>;
+
+  clearLocal(key: K): Promise<DataLoader<K, V, C>>;
+
+  dispose(): void
 }
 
 export function createRedisDataLoader(config: RedisDataLoaderConfig) {
-  const redisRW = config.redisRW
-  const redisRO = config.redisRO
+  const redisRW = toAdapter(config.redisRW)
+  const replicaPool = new ReplicaPool(_.castArray(config.redisRO).map(toAdapter), config.replicas)
+
+  const instrumentation = new Instrumentation(config.metrics, config.tracer)
+
+  const bus = config.invalidation ? new InvalidationBus(redisRW, config.invalidation) : null
+
+  let loaderCount = 0
+
+  // the key prefixes of the loaders made from this config. keys are matched by
+  // prefix to clear or dump a keySpace, which would also reach the keys of any
+  // keySpace nested in it
+  const prefixes = new Set<string>()
+
+  function checkPrefix(prefix: string) {
+    const others = [NAMESPACE, ...Array.from(prefixes).filter((p) => p !== prefix)]
+    const other = others.find((p) => prefix.startsWith(p) || p.startsWith(prefix))
+    if (other) {
+      throw new TypeError(`the keys of keySpace prefix ${prefix} overlap those of ${other}`)
+    }
+  }
+
+  // tells every other loader on this keySpace to drop `key` (or everything
+  // when no key is given) from its local cache
+  function announce(keySpace: string, loaderId: number, key?: any) {
+    if (!bus) {
+      return
+    }
+    bus
+      .publish({ keySpace, loader: loaderId, key: key === undefined ? undefined : stringify(key) })
+      .catch((reason) => d('publishing invalidation failed', reason))
+  }
+
+  const breaker = config.circuitBreaker
+    ? new CircuitBreaker(config.circuitBreaker, (state) => {
+      d('redis circuit breaker', state)
+      if (config.onCircuitStateChange) {
+        config.onCircuitStateChange(state)
+      }
+    })
+    : null
+
+  function withTimeout<T>(promise: Promise<T>, ms?: number): Promise<T> {
+    if (!ms) {
+      return promise
+    }
+
+    let timer: NodeJS.Timeout
+    const timeout = new Promise<never>((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`redis read timed out after ${ms}ms`)), ms)
+    })
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+  }
+
+  // runs a batch read or write through the circuit breaker and reports failures
+  async function guard<T>(info: RedisErrorInfo, fn: () => Promise<T>): Promise<T> {
+    if (breaker && !breaker.allow()) {
+      throw new Error('redis circuit breaker is open')
+    }
+
+    try {
+      const result = await fn()
+      if (breaker) {
+        breaker.success()
+      }
+      return result
+    } catch (ex) {
+      if (breaker) {
+        breaker.failure()
+      }
+      if (config.onRedisError) {
+        config.onRedisError(toError(ex), info)
+      }
+      throw ex
+    }
+  }
 
   function isReplicaLoadingDataError(exception: unknown) {
     const errorMessage = getErrorMessage(exception)
     return errorMessage.includes('LOADING')
   }
 
-  function parse(resp: RedisCommandRawReply): null | string | object {
-    if (resp === '' || resp === null) {
+  function getCodec(opt: RedisDataLoaderOptions) {
+    return opt.codec || jsonCodec
+  }
+
+  function parse(resp: StoredValue | null, opt: RedisDataLoaderOptions): any {
+    if (isHash(resp)) {
+      return parseHash(resp, opt)
+    }
+
+    const stamped = (typeof resp === 'string' || Buffer.isBuffer(resp)) && splitTimestamp(resp)
+    if (stamped) {
+      resp = stamped.rest
+    }
+
+    if (resp === '' || resp === null || resp === undefined || (Buffer.isBuffer(resp) && resp.length === 0)) {
       return null
-    } else if (Buffer.isBuffer(resp)) {
-      return resp.toString()
-    } else if (typeof resp === 'string') {
-      return JSON.parse(resp)
+    } else if ((typeof resp === 'string' || Buffer.isBuffer(resp)) && isErrorEntry(resp)) {
+      return (opt.errorCodec || jsonErrorCodec).decode(resp.toString().slice(ERROR_PREFIX.length))
+    } else if (typeof resp === 'string' || Buffer.isBuffer(resp)) {
+      const { n: version, rest } = splitVersion(resp)
+      return checkVersion(version, opt, () => decode(rest, opt))
     } else {
       return null
     }
   }
 
-  function toString(val: null | object): RedisCommandArgument {
-    if (_.isObject(val)) {
-      return JSON.stringify(val)
+  function decode(raw: RedisValue, opt: RedisDataLoaderOptions) {
+    const codec = getCodec(opt)
+
+    if (Buffer.isBuffer(raw)) {
+      const buf = isCompressed(raw) ? decompress(raw) : raw
+      return buf.length === 0 ? null : codec.decode(codec.binary ? buf : buf.toString())
+    }
+    return raw === '' ? null : codec.decode(codec.binary ? Buffer.from(raw, 'binary') : raw)
+  }
+
+  // hands back values cached with a different version than the loader's as
+  // MISSING, NEWER_VERSION or migrated. only the current version and values to
+  // migrate are decoded, as a newer version may use a codec this one can't read
+  function checkVersion(version: number, opt: RedisDataLoaderOptions, decodeValue: () => any) {
+    const current = opt.version || 0
+
+    if (version === current) {
+      return decodeValue()
+    } else if (version > current) {
+      return NEWER_VERSION
+    } else if (!opt.migrate) {
+      return MISSING
+    }
+
+    try {
+      return opt.migrate(decodeValue(), version)
+    } catch (ex) {
+      d('migrating cached value failed', ex)
+      return MISSING
+    }
+  }
+
+  // the version, and the rest of the marker field, of a value in hash storage
+  function splitMarker(marker: RedisValue) {
+    const stamped = splitTimestamp(marker)
+    return splitVersion(stamped ? stamped.rest : marker)
+  }
+
+  function parseHash(hash: RedisHash, opt: RedisDataLoaderOptions) {
+    const { n: version, rest } = splitMarker(hash[HASH_MARKER])
+
+    if (rest.toString() !== ENTITY_MARKER) {
+      // a cached null or error
+      return parse(rest, opt)
+    }
+    return checkVersion(version, opt, () => _.mapValues(_.omit(hash, HASH_MARKER), (val) => decode(val, opt)))
+  }
+
+  function addVersion(val: RedisValue, opt: RedisDataLoaderOptions) {
+    return opt.version ? addHeader(VERSION_PREFIX, opt.version, val) : val
+  }
+
+  function toStored(val: any, opt: RedisDataLoaderOptions): StoredValue {
+    if (val === null || val === undefined) {
+      return ''
+    } else if (opt.storage === 'hash') {
+      return toHash(val, opt)
+    }
+    const encoded = addVersion(encode(val, opt), opt)
+    return opt.softExpire ? addTimestamp(encoded) : encoded
+  }
+
+  function toHash(val: any, opt: RedisDataLoaderOptions): RedisHash {
+    if (!_.isObject(val) || Array.isArray(val)) {
+      throw new TypeError('hash storage can only hold objects')
+    }
+    const hash = encodeFields(val, opt)
+    const marker = addVersion(ENTITY_MARKER, opt)
+    hash[HASH_MARKER] = opt.softExpire ? addTimestamp(marker) : marker
+    return hash
+  }
+
+  function encodeFields(values: object, opt: RedisDataLoaderOptions) {
+    const hash: RedisHash = {}
+    _.forEach(values, (val, field) => {
+      if (val !== undefined) {
+        hash[field] = val === null ? '' : encode(val, opt)
+      }
+    })
+    return hash
+  }
+
+  function encode(val: any, opt: RedisDataLoaderOptions) {
+    const encoded = getCodec(opt).encode(val)
+    return opt.compression ? compress(encoded, compressionOptions(opt.compression)) : encoded
+  }
+
+  // like parse, but flags values that are past their soft ttl
+  function parseEntry(resp: StoredValue | null, opt: RedisDataLoaderOptions) {
+    const value = parse(resp, opt)
+    const stamp = isHash(resp) ? resp[HASH_MARKER] : resp
+
+    if (typeof value === 'symbol') {
+      return value
+    } else if (opt.softExpire && (typeof stamp === 'string' || Buffer.isBuffer(stamp))) {
+      const stamped = splitTimestamp(stamp)
+      if (stamped && Date.now() - stamped.storedAt >= opt.softExpire * 1000) {
+        return new StaleValue(value)
+      }
+    }
+
+    return value
+  }
+
+  function toErrorEntry(err: Error, opt: RedisDataLoaderOptions) {
+    return ERROR_PREFIX + (opt.errorCodec || jsonErrorCodec).encode(err)
+  }
+
+  // seconds `key` is kept in redis while it holds `value`, as parse returns it
+  function ttlFor(key: unknown, value: any, opt: RedisDataLoaderOptions) {
+    let ttl: number | undefined
+    if (value === null && opt.negativeExpire) {
+      ttl = opt.negativeExpire
+    } else if (value instanceof Error && opt.errorExpire) {
+      ttl = opt.errorExpire
     } else {
+      ttl = typeof opt.expire === 'function' ? opt.expire(key, value) : opt.expire
+    }
+    return withJitter(ttl, opt.jitter)
+  }
+
+  // ttlFor a value about to be written, only decoding it when the ttl depends on it
+  function expireFor(key: unknown, stored: StoredValue, opt: RedisDataLoaderOptions) {
+    const val = isHash(stored) ? stored[HASH_MARKER] : stored
+    if (val === '') {
+      return ttlFor(key, null, opt)
+    } else if (typeof opt.expire === 'function' || isErrorEntry(val)) {
+      return ttlFor(key, parse(stored, opt), opt)
+    }
+    return withJitter(opt.expire, opt.jitter)
+  }
+
+  // ask the client for Buffers when the codec needs raw bytes, or values may be
+  // compressed
+  function readOptions(opt: RedisDataLoaderOptions) {
+    return { buffers: !!getCodec(opt).binary || !!opt.compression }
+  }
+
+  function keyPrefix(keySpace: string, opt: RedisDataLoaderOptions) {
+    if (!keySpace) {
       return ''
     }
+    return opt.hashTag ? `{${keySpace}}:` : `${keySpace}:`
+  }
+
+  function makeKey(keySpace: string, key: unknown, opt: RedisDataLoaderOptions) {
+    const cacheKeyFn = opt.cacheKeyFn || defaultCacheKeyFn
+    return `${keyPrefix(keySpace, opt)}${cacheKeyFn(key)}`
+  }
+
+  async function rSetAndGet(keySpace: string, key: unknown, rawVal: any, opt: RedisDataLoaderOptions) {
+    const val = toStored(rawVal, opt)
+
+    await rPipelineSet(keySpace, [{ key, val }], opt)
+
+    const [reply] = await rRead(keySpace, [key], opt, !!opt.readYourWrites)
+    const parsed = parse(reply, opt)
+    // overwritten by another version of the loader in the meantime
+    return typeof parsed === 'symbol' ? parse(val, opt) : parsed
+  }
+
+  async function rPipelineSet(keySpace: string, data: {
+    key: unknown,
+    val: StoredValue
+  }[], opt: RedisDataLoaderOptions) {
+    const entries = data.map(({ key, val }) => {
+      const fullKey = makeKey(keySpace, key, opt)
+
+      const expire = expireFor(key, val, opt)
+
+      if (expire) {
+        d('setting redis data', fullKey, `for ${expire}s`)
+      } else {
+        d('setting redis data', fullKey)
+      }
+
+      return { key: fullKey, val, expire }
+    })
+
+    if (opt.tags) {
+      await rTag(keySpace, data.map(({ key, val }, i) => ({ key, fullKey: entries[i].key, val, expire: entries[i].expire })), opt)
+    }
+
+    if (opt.storage === 'hash') {
+      // nulls and errors are stored as a hash holding just the marker field
+      await redisRW.hset(entries.map(({ key, val, expire }) => ({
+        key,
+        values: isHash(val) ? val : { [HASH_MARKER]: val },
+        expire,
+        replace: true,
+      })))
+    } else {
+      await redisRW.set(entries.map(({ key, val, expire }) => ({ key, value: val as RedisValue, expire })))
+    }
   }
 
-  function makeKey(
+  // adds the full key of each value to the sets of the tags `opt.tags` gives it.
+  // members carry the keySpace and key too, for invalidating local caches
+  async function rTag(
     keySpace: string,
-    key: string,
-    cacheKeyFn = (k: string | object) => (_.isObject(k) ? stringify(k) : k),
+    entries: { key: unknown; fullKey: string; val: StoredValue; expire?: number }[],
+    opt: RedisDataLoaderOptions,
   ) {
-    return `${keySpace ? keySpace + ':' : ''}${cacheKeyFn(key)}`
-  }
+    const adds = new Map<string, SetAdd>()
 
-  async function rSetAndGet(keySpace: string, key: string, rawVal: null | object, opt: RedisDataLoaderOptions) {
-    const val = toString(rawVal)
+    entries.forEach(({ key, fullKey, val, expire }) => {
+      const value = parse(val, opt)
+      if (value === null || value instanceof Error) {
+        return
+      }
+      const member = stringify([keySpace, key, fullKey])
+      for (const tag of opt.tags!(key, value)) {
+        const add = adds.get(tag)
+        if (add) {
+          add.members.push(member)
+          // the set lives as long as its longest lived member
+          add.expire = add.expire && expire && Math.max(add.expire, expire)
+        } else {
+          adds.set(tag, { key: `${TAG_PREFIX}${tag}`, members: [member], expire })
+        }
+      }
+    })
 
-    const fullKey = makeKey(keySpace, key, opt.cacheKeyFn)
+    if (adds.size > 0) {
+      await redisRW.sadd(Array.from(adds.values()))
+    }
+  }
 
-    const multiRW = redisRW.multi()
+  // removes every key tagged with `tag`, resolving with their keySpaces and
+  // keys, and how many of them still existed. members aren't removed when a key
+  // is cleared, overwritten or expires, so some may be long gone
+  async function rInvalidateTag(tag: string) {
+    const members = await redisRW.takeSet(`${TAG_PREFIX}${tag}`)
+    const tagged = members.map((member) => {
+      const [keySpace, key, fullKey] = JSON.parse(member)
+      return { keySpace: keySpace as string, key, fullKey: fullKey as string }
+    })
 
-    multiRW.set(fullKey, val)
+    let removed = 0
+    for (const batch of _.chunk(_.uniq(tagged.map(({ fullKey }) => fullKey)), 500)) {
+      const ttls = await redisRW.pttl(batch)
+      removed += ttls.filter((ttl) => ttl !== -2).length
+      await redisRW.del(batch)
+    }
+    return { tagged, removed }
+  }
 
-    if (opt.expire) {
-      multiRW.expire(fullKey, opt.expire)
+  // writes single fields of a value in hash storage, leaving the rest alone
+  async function rPatch(keySpace: string, key: unknown, values: object, opt: RedisDataLoaderOptions) {
+    const fields = encodeFields(values, opt)
+    if (_.isEmpty(fields)) {
+      return
     }
+    // a ttl that depends on the whole value is left as it is
+    const expire = typeof opt.expire === 'function' ? undefined : withJitter(opt.expire, opt.jitter)
+    await redisRW.hset([{ key: makeKey(keySpace, key, opt), values: fields, expire }])
+  }
 
-    await multiRW.exec()
+  // runs a read on a replica from the pool, or on the primary when `fromPrimary`
+  // is set, no replica is healthy or the replica read fails. each attempt gets
+  // its own readTimeout, so a replica that hangs counts as failing too
+  async function read<T>(
+    keySpace: string,
+    fn: (client: RedisAdapter) => Promise<T>,
+    fromPrimary = false,
+  ): Promise<T> {
+    const attempt = (client: RedisAdapter) => withTimeout(fn(client), config.readTimeout)
+    const replica = fromPrimary ? null : replicaPool.pick()
 
+    if (!replica) {
+      return attempt(redisRW)
+    }
+
+    const start = Date.now()
     try {
-      const multiRO = redisRO.multi()
-      multiRO.get(fullKey)
-      const replies = await multiRO.exec()
-      const lastReply: string | number | Buffer | Array<RedisCommandRawReply> | undefined | null = _.last(replies)
-      return parse(lastReply)
+      const result = await attempt(replica)
+      replicaPool.success(replica, Date.now() - start)
+      return result
     } catch (ex) {
+      replicaPool.failure(replica)
       if (isReplicaLoadingDataError(ex)) {
-        // this replica is reloading from disc and not ready for work. retry
-        // loading these keys from the primary instead.
-        multiRW.get(fullKey)
-        const replies = await multiRW.exec()
-        const lastReply: string | number | Buffer | Array<RedisCommandRawReply> | undefined | null = _.last(replies)
-        return parse(lastReply)
+        // this replica is reloading from disc and not ready for work.
+        d('replica is loading, reading from the primary instead')
+      } else {
+        d('replica read failed, reading from the primary instead', ex)
       }
-      throw ex
+      instrumentation.emit('replicaFallback', { keySpace })
+      return attempt(redisRW)
     }
   }
 
-  function rPipelineSet(keySpace: string, data: {
-    key: string,
-    rawVal: null | object
-  }[], opt: RedisDataLoaderOptions) {
-    const multiRW = redisRW.multi()
+  // what each key holds in redis, or null when it holds nothing
+  function rRead(
+    keySpace: string,
+    keys: readonly unknown[],
+    opt: RedisDataLoaderOptions,
+    fromPrimary = false,
+  ): Promise<(StoredValue | null)[]> {
+    const cacheKeys = _.map(keys, (k) => makeKey(keySpace, k, opt))
+
+    if (opt.storage === 'hash') {
+      return read(keySpace, (client) => client.hgetall(cacheKeys, readOptions(opt)), fromPrimary)
+        .then((hashes) => hashes.map((hash) => (HASH_MARKER in hash ? hash : null)))
+    }
+    if (opt.shareReads) {
+      return sharedMGet(cacheKeys, readOptions(opt).buffers, fromPrimary)
+    }
+    return read(keySpace, (client) => client.mget(cacheKeys, readOptions(opt)), fromPrimary)
+  }
 
-    for (let i = 0; i < data.length; i++) {
-      const item = data[i]
+  // a DataLoader of full keys for each kind of read, batching the reads of every
+  // loader using shareReads
+  const sharedReaders = new Map<string, DataLoader<string, RedisValue | null>>()
 
-      const val = toString(item.rawVal)
+  function sharedMGet(keys: string[], buffers: boolean, fromPrimary: boolean) {
+    const kind = `${buffers}:${fromPrimary}`
+    let reader = sharedReaders.get(kind)
+    if (!reader) {
+      // a batch spans keySpaces, so replica fallbacks are reported without one
+      reader = new DataLoader(
+        (batch: readonly string[]) => read('', (client) => client.mget([...batch], { buffers }), fromPrimary),
+        { cacheMap: new InFlightMap() },
+      )
+      sharedReaders.set(kind, reader)
+    }
+    return Promise.all(keys.map((key) => reader!.load(key)))
+  }
 
-      const fullKey = makeKey(keySpace, item.key, opt.cacheKeyFn)
+  // what each key holds, parsed. a value that can't be decoded is a miss for
+  // that key alone, so it is loaded again and overwritten
+  async function rMGet(keySpace: string, keys: readonly unknown[], opt: RedisDataLoaderOptions, fromPrimary = false) {
+    const results = await rRead(keySpace, keys, opt, fromPrimary)
+    return results.map((result, i) => {
+      if (result === null) {
+        return MISSING
+      }
+      try {
+        return parseEntry(result, opt)
+      } catch (ex) {
+        d('decoding a cached value failed, treating it as a miss', keys[i], ex)
+        return MISSING
+      }
+    })
+  }
 
+  function lockKey(keySpace: string, key: unknown, opt: RedisDataLoaderOptions) {
+    return `${LOCK_PREFIX}${makeKey(keySpace, key, opt)}`
+  }
 
-      if (opt.expire) {
-        d('setting redis data', fullKey, `for ${opt.expire}ms`)
-        multiRW.set(fullKey, val, { EX: opt.expire })
-      } else {
-        d('setting redis data', fullKey)
-        multiRW.set(fullKey, val)
+  // tries to take the stampede lock for each key. `held` is false for keys
+  // another caller is already loading
+  async function acquireLocks(keySpace: string, keys: unknown[], opt: RedisDataLoaderOptions) {
+    const token = randomBytes(16).toString('hex')
+    const lockKeys = keys.map((key) => lockKey(keySpace, key, opt))
+
+    const held = await redisRW.set(lockKeys.map((key) => ({
+      key,
+      value: token,
+      expireMs: opt.stampedeLock!.lease,
+      onlyIfMissing: true,
+    })))
+    return { token, held }
+  }
+
+  function releaseLocks(keySpace: string, keys: unknown[], token: string, opt: RedisDataLoaderOptions) {
+    return Promise.all(keys.map((key) => redisRW.delIfEquals(lockKey(keySpace, key, opt), token))).catch((reason) => {
+      // the locks will still lapse when their lease runs out
+      d('releasing stampede locks failed', reason)
+    })
+  }
+
+  // polls redis for the values of keys locked by another caller. keys that are
+  // still MISSING when the lock is released or lapses are left for the caller
+  // to load itself
+  async function waitForValues(keySpace: string, keys: unknown[], opt: RedisDataLoaderOptions) {
+    const { lease, pollInterval = 50 } = opt.stampedeLock!
+    const deadline = Date.now() + lease
+    const found: any[] = keys.map(() => MISSING)
+
+    let pending = keys.map((k, i) => i)
+
+    while (pending.length > 0 && Date.now() < deadline) {
+      await sleep(pollInterval)
+
+      try {
+        const values = await rMGet(keySpace, pending.map((i) => keys[i]), opt)
+        const lockKeys = pending.map((i) => lockKey(keySpace, keys[i], opt))
+        const locks = await redisRW.mget(lockKeys)
+
+        pending = pending.filter((i, n) => {
+          const value = values[n]
+          if (value !== MISSING) {
+            found[i] = value instanceof StaleValue ? value.value : value
+            return false
+          }
+          // a released lock without a value means the holder had nothing to store
+          return locks[n] !== null
+        })
+      } catch (ex) {
+        d('waiting for stampede lock failed', ex)
+        break
+      }
+    }
+
+    return found
+  }
+
+  // keys with a background refresh in flight, shared by every loader on this config
+  const refreshing = new Set<string>()
+
+  // reloads a stale key from the user loader in the background. concurrent
+  // refreshes of the same key are collapsed into one
+  function refreshInBackground(
+    keySpace: string,
+    key: unknown,
+    userLoader: DataLoader<any, any>,
+    opt: RedisDataLoaderOptions,
+    onRefreshed: (val: any) => void,
+  ) {
+    const fullKey = makeKey(keySpace, key, opt)
+
+    if (refreshing.has(fullKey)) {
+      return
+    }
+    refreshing.add(fullKey)
+
+    userLoader
+      .load(key)
+      .then((resp) => {
+        const val = toStored(resp, opt)
+        return guard(
+          { operation: 'write', keySpace },
+          () => rPipelineSet(keySpace, [{ key, val }], opt),
+        ).then(() => onRefreshed(parse(val, opt)))
+      })
+      .catch((reason) => {
+        // the stale value stays in place until the next attempt
+        d('background refresh failed', key, reason)
+      })
+      .finally(() => refreshing.delete(fullKey))
+  }
+
+  async function rExpire(keySpace: string, entries: { key: unknown; value: any }[], opt: RedisDataLoaderOptions) {
+    const expires = entries
+      .map(({ key, value }) => ({ key: makeKey(keySpace, key, opt), expire: ttlFor(key, value, opt)! }))
+      .filter(({ expire }) => expire)
+    if (expires.length > 0) {
+      await redisRW.expire(expires)
+    }
+  }
+
+  async function rDel(keySpace: string, key: unknown, opt: RedisDataLoaderOptions) {
+    await redisRW.del([makeKey(keySpace, key, opt)])
+  }
+
+  // a local cache never keeps values longer than a fixed `expire` keeps them in redis
+  function createLocalCache(opt: RedisDataLoaderOptions) {
+    const { localCache = {} } = opt
+    const expire = typeof opt.expire === 'function' ? undefined : opt.expire
+    const ttl = expire && localCache.ttl ? Math.min(expire, localCache.ttl) : expire || localCache.ttl
+    return new LocalCache<any, Promise<any>>({ ...localCache, ttl })
+  }
+
+  // the built in local cache of each loader, when it has one
+  const localCaches = new WeakMap<IRedisDataLoader, LocalCache<any, Promise<any>>>()
+
+  // caches `value` locally, to expire no later than a key written to redis
+  // with it would. the ttl can depend on the key and value, and on jitter
+  function primeLocal(loader: IRedisDataLoader, key: unknown, value: any) {
+    loader.loader.clear(key).prime(key, value)
+    expireLocal(loader, key, value)
+  }
+
+  function expireLocal(loader: IRedisDataLoader, key: unknown, value: any) {
+    const cache = localCaches.get(loader)
+    const opt = loader.options!
+    const ttl = cache && ttlFor(key, value, opt)
+    if (cache && ttl) {
+      cache.expire(opt.cacheKeyFn!(key), ttl)
+    }
+  }
+
+  // reports a localHit for every load the cacheMap answers
+  function countLocalHits(keySpace: string, cacheMap: DataLoader.CacheMap<any, Promise<any>>): DataLoader.CacheMap<any, Promise<any>> {
+    if (!instrumentation.enabled) {
+      return cacheMap
+    }
+    return {
+      get: (key) => {
+        const value = cacheMap.get(key)
+        if (value !== undefined) {
+          instrumentation.emit('localHit', { keySpace })
+        }
+        return value
+      },
+      set: (key, value) => cacheMap.set(key, value),
+      delete: (key) => cacheMap.delete(key),
+      clear: () => cacheMap.clear(),
+    }
+  }
+
+  // for each loader, the full keys it wrote mapped to when reads of them may go
+  // back to the replicas
+  const recentWrites = new WeakMap<IRedisDataLoader, Map<string, number>>()
+
+  function noteWrite(loader: IRedisDataLoader, key: unknown) {
+    const opt = loader.options!
+    if (!opt.readYourWrites) {
+      return
+    }
+
+    let writes = recentWrites.get(loader)
+    if (!writes) {
+      writes = new Map()
+      recentWrites.set(loader, writes)
+    }
+    writes.set(makeKey(loader.keySpace, key, opt), Date.now() + opt.readYourWrites)
+  }
+
+  function wroteRecently(loader: IRedisDataLoader, keys: readonly unknown[]) {
+    const writes = recentWrites.get(loader)
+    if (!writes || writes.size === 0) {
+      return false
+    }
+
+    const now = Date.now()
+    writes.forEach((until, fullKey) => until <= now && writes.delete(fullKey))
+
+    return keys.some((key) => writes.has(makeKey(loader.keySpace, key, loader.options!)))
+  }
+
+  // walks the keys matching `pattern` with SCAN and removes them in batches with
+  // UNLINK, so neither blocks redis the way KEYS or a large DEL would
+  async function rDelMatching(keySpace: string, pattern: string, opt: RedisDataLoaderOptions) {
+    const match = `${escapeGlob(keyPrefix(keySpace, opt))}${pattern}`
+
+    let batch: string[] = []
+    for await (const key of redisRW.scan(match)) {
+      batch.push(key)
+      if (batch.length >= 500) {
+        await redisRW.del(batch)
+        batch = []
+      }
+    }
+
+    await redisRW.del(batch)
+  }
+
+  async function writeThrough(entries: CacheEntry[], opt: RedisDataLoaderOptions) {
+    if (opt.writeThrough) {
+      await opt.writeThrough(entries)
+    }
+  }
+
+  function writeBehind(entries: CacheEntry[], opt: RedisDataLoaderOptions) {
+    if (opt.writeBehind) {
+      Promise.resolve()
+        .then(() => opt.writeBehind!(entries))
+        .catch((reason) => d('writeBehind failed', reason))
+    }
+  }
+
+  // writes every entry in one round trip. resolves with the values as a read
+  // from redis would produce them
+  async function rPrimeMany(keySpace: string, entries: CacheEntry[], opt: RedisDataLoaderOptions) {
+    await writeThrough(entries, opt)
+    const data = entries.map(({ key, value }) => ({ key, val: toStored(value, opt) }))
+    await rPipelineSet(keySpace, data, opt)
+    writeBehind(entries, opt)
+    return data.map(({ val }) => parse(val, opt))
+  }
+
+  // the user loader behind each loader, for update to fill keys redis doesn't have
+  const userLoaders = new WeakMap<IRedisDataLoader, DataLoader<any, any>>()
+
+  // reads the value of `key` from the primary, or the user loader when it isn't
+  // cached, and writes back what `mutator` makes of it. the write only lands if
+  // the key hasn't changed since the read, otherwise it is all tried again.
+  // writeThrough only sees the value that landed, and when it rejects the key
+  // is removed so the cache doesn't keep a value the datastore never got
+  async function rUpdate(loader: IRedisDataLoader, key: unknown, mutator: (value: any) => any) {
+    const { keySpace } = loader
+    const opt = loader.options!
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const [current] = await rRead(keySpace, [key], opt, true) as (RedisValue | null)[]
+      let value = current === null ? MISSING : parse(current, opt)
+
+      if (value === NEWER_VERSION) {
+        throw new Error(`${key} is cached by a newer version of the loader`)
+      } else if (value instanceof Error) {
+        throw value
+      } else if (value === MISSING) {
+        value = await userLoaders.get(loader)!.load(key)
+      }
+
+      const next = await mutator(value === '' || value === undefined ? null : value)
+      const val = toStored(next, opt) as RedisValue
+      // runs again with the new value when the key changed in the meantime
+      await writeThrough([{ key, value: next }], opt)
+
+      const fullKey = makeKey(keySpace, key, opt)
+      const expire = expireFor(key, val, opt)
+      const written = await redisRW.setIfEquals({ key: fullKey, value: val, expire }, current)
+      if (written) {
+        if (opt.tags) {
+          await rTag(keySpace, [{ key, fullKey, val, expire }], opt)
+        }
+        writeBehind([{ key, value: next }], opt)
+        return parse(val, opt)
+      }
+      d('key changed during update, trying again', key)
+    }
+
+    throw new Error(`${key} kept changing during update`)
+  }
+
+  // loads `keys` from the user loader in batches and writes them to redis,
+  // with up to `concurrency` batches in flight. resolves with how many keys
+  // were written. keys the user loader fails are skipped
+  async function rWarm(
+    keySpace: string,
+    userLoader: DataLoader<any, any>,
+    keys: Iterable<unknown> | AsyncIterable<unknown>,
+    options: WarmOptions,
+    opt: RedisDataLoaderOptions,
+  ): Promise<number> {
+    const { concurrency = 4, batchSize = 100 } = options
+    const inFlight = new Set<Promise<void>>()
+    let written = 0
+    let failure: unknown = null
+
+    const warmBatch = async (batch: unknown[]) => {
+      const values = await userLoader.loadMany(batch)
+      const data: { key: unknown; val: StoredValue }[] = []
+      values.forEach((value, i) => {
+        if (value instanceof Error) {
+          d('warming failed', batch[i], value)
+        } else if ((value !== null && value !== undefined && value !== '') || opt.negativeCache) {
+          data.push({ key: batch[i], val: toStored(value, opt) })
+        }
+      })
+      await rPipelineSet(keySpace, data, opt)
+      written += data.length
+    }
+
+    const start = (batch: unknown[]) => {
+      const warming: Promise<void> = warmBatch(batch)
+        .catch((ex) => {
+          failure = failure || ex
+        })
+        .finally(() => inFlight.delete(warming))
+      inFlight.add(warming)
+    }
+
+    let batch: unknown[] = []
+    for await (const key of keys) {
+      batch.push(key)
+      if (batch.length >= batchSize) {
+        start(batch)
+        batch = []
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight)
+        }
+      }
+      if (failure) {
+        break
       }
     }
+    if (batch.length > 0 && !failure) {
+      start(batch)
+    }
+
+    await Promise.all(inFlight)
+    if (failure) {
+      throw failure
+    }
+    return written
+  }
+
+  // every key in the keySpace as an NDJSON line, with its ttl
+  async function* rDump(keySpace: string, opt: RedisDataLoaderOptions): AsyncGenerator<string, void, undefined> {
+    const prefix = keyPrefix(keySpace, opt)
+
+    const dumpBatch = async (keys: string[]) => {
+      const [values, ttls] = await Promise.all([
+        opt.storage === 'hash'
+          ? redisRW.hgetall(keys, { buffers: true }).then((hashes) => hashes.map((hash) => (_.isEmpty(hash) ? null : hash)))
+          : redisRW.mget(keys, { buffers: true }),
+        redisRW.pttl(keys),
+      ])
+      // keys can expire or be removed between the scan and the read
+      return keys
+        .map((key, i) => (values[i] === null || ttls[i] === -2 ? '' : toSnapshotLine(key.slice(prefix.length), values[i]!, ttls[i])))
+        .filter((line) => line)
+    }
 
-    return multiRW.execAsPipeline()
+    let batch: string[] = []
+    for await (const key of redisRW.scan(`${escapeGlob(prefix)}*`)) {
+      batch.push(key)
+      if (batch.length >= 500) {
+        yield* await dumpBatch(batch)
+        batch = []
+      }
+    }
+    if (batch.length > 0) {
+      yield* await dumpBatch(batch)
+    }
   }
 
-  // const rGet = async (keySpace: string, key: string, opt: RedisDataLoaderOptions) => {
-  //   const result = await redisRO.get(makeKey(keySpace, key, opt.cacheKeyFn))
-  //   return parse(result)
-  // }
+  // writes the entries of a dump to the keySpace, 500 at a time. resolves with
+  // how many were written
+  async function rRestore(
+    keySpace: string,
+    source: Iterable<string | Buffer> | AsyncIterable<string | Buffer>,
+    opt: RedisDataLoaderOptions,
+  ) {
+    let restored = 0
+    const prefix = keyPrefix(keySpace, opt)
 
-  async function rMGet(keySpace: string, keys: readonly string[], opt: RedisDataLoaderOptions) {
-    const cacheKeys = _.map(keys, (k) => makeKey(keySpace, k, opt.cacheKeyFn)) as any
+    const restoreBatch = async (entries: SnapshotEntry[]) => {
+      const sets: SetEntry[] = []
+      const hsets: HashWrite[] = []
+      entries.forEach((entry) => {
+        // dumped keys have been through cacheKeyFn already
+        const key = `${prefix}${entry.key}`
+        const value = fromSnapshotValue(entry)
+        if (isHash(value)) {
+          hsets.push({ key, values: value, expire: entry.ttl && Math.ceil(entry.ttl / 1000), replace: true })
+        } else {
+          sets.push({ key, value, expireMs: entry.ttl })
+        }
+      })
+      if (sets.length > 0) {
+        await redisRW.set(sets)
+      }
+      if (hsets.length > 0) {
+        await redisRW.hset(hsets)
+      }
+      restored += entries.length
+    }
+
+    let batch: SnapshotEntry[] = []
+    for await (const entry of readSnapshot(source)) {
+      batch.push(entry)
+      if (batch.length >= 500) {
+        await restoreBatch(batch)
+        batch = []
+      }
+    }
+    await restoreBatch(batch)
+
+    return restored
+  }
+
+  // for each loader in hash storage, a DataLoader batching its field loads.
+  // these skip the local cache, which only holds whole values
+  const fieldLoaders = new WeakMap<IRedisDataLoader, DataLoader<{ key: unknown; fields: string[] }, any>>()
+
+  function loadFields(loader: IRedisDataLoader, key: unknown, fields: string[]) {
+    let fieldLoader = fieldLoaders.get(loader)
+    if (!fieldLoader) {
+      fieldLoader = new DataLoader((reads) => batchLoadFields(loader, reads), { cache: false })
+      fieldLoaders.set(loader, fieldLoader)
+    }
+    return fieldLoader.load({ key, fields })
+  }
+
+  // just `fields` of the value of `key`
+  function loadPicked(loader: IRedisDataLoader, key: unknown, fields: string[]) {
+    if (loader.options!.storage === 'hash') {
+      return loadFields(loader, key, fields)
+    }
+    return Promise.resolve(loader.loader.load(key)).then((val) => (val === null ? val : _.pick(val, fields)))
+  }
+
+  async function batchLoadFields(loader: IRedisDataLoader, reads: readonly { key: unknown; fields: string[] }[]) {
+    const { keySpace } = loader
+    const opt = loader.options!
+    let replies: (RedisValue | null)[][]
 
     try {
-      const results = await redisRO.mGet(cacheKeys)
-      return results.map((result) => parse(result))
+      const hashReads = reads.map(({ key, fields }) => ({ key: makeKey(keySpace, key, opt), fields: [HASH_MARKER, ...fields] }))
+      replies = await guard(
+        { operation: 'read', keySpace },
+        () => read(keySpace, (client) => client.hmget(hashReads, readOptions(opt)), wroteRecently(loader, reads.map((r) => r.key))),
+      )
     } catch (ex) {
-      if (isReplicaLoadingDataError(ex)) {
-        // this replica is reloading from disc and not ready for work. retry
-        // loading these keys from the primary instead.
-        const results = await redisRW.mGet(cacheKeys)
-        return results.map((result) => parse(result))
+      if (opt.failOpen === false) {
+        const err = toError(ex)
+        return reads.map(() => err)
       }
-      throw ex
+      d('redis read failed, loading whole values instead', ex)
+      replies = reads.map(() => [null])
     }
-  }
 
-  async function rDel(keySpace: string, key: string, opt: RedisDataLoaderOptions) {
-    const cacheKey = makeKey(keySpace, key, opt.cacheKeyFn) as any
-    await redisRW.del(cacheKey)
+    return Promise.all(reads.map(({ key, fields }, i) => {
+      const [marker, ...values] = replies[i]
+
+      if (marker === null || splitMarker(marker).n !== (opt.version || 0)) {
+        // not in redis yet, or cached by another version. loading the whole
+        // value stores or migrates it
+        return loader.loader
+          .load(key)
+          .then((val) => (val === null ? null : _.pick(val, fields)), toError)
+      }
+
+      const hash: RedisHash = { [HASH_MARKER]: marker }
+      fields.forEach((field, n) => {
+        const val = values[n]
+        if (val !== null) {
+          hash[field] = val
+        }
+      })
+      return parseHash(hash, opt)
+    }))
   }
 
-  return class RedisDataLoader implements IRedisDataLoader {
-    options: RedisDataLoaderOptions
+  return class RedisDataLoader<K = any, V = any, C = K> implements IRedisDataLoader<K, V, C>, InvalidationListener {
+    options: RedisDataLoaderOptions<K, V, C>
     keySpace: string
-    loader: DataLoader<any, any>
+    loader: DataLoader<K, V, C>
+    id = ++loaderCount
 
-    constructor(ks: string, userLoader: DataLoader<any, any>, opt?: RedisDataLoaderOptions) {
-      this.options = opt || {} as RedisDataLoaderOptions
+    constructor(ks: string, userLoader: DataLoader<K, V, C>, opt?: RedisDataLoaderOptions<K, V, C>) {
+      this.options = opt || {} as RedisDataLoaderOptions<K, V, C>
 
-      this.options.cacheKeyFn = this.options.cacheKeyFn || ((k) => (_.isObject(k) ? stringify(k) : k))
+      this.options.cacheKeyFn = this.options.cacheKeyFn || (defaultCacheKeyFn as (key: K) => C)
+
+      if (!this.options.codec && (this.options.serialize || this.options.deserialize)) {
+        this.options.codec = codecFromSerializers(this.options)
+      }
 
       this.keySpace = ks
+      if (ks) {
+        prefixes.add(keyPrefix(ks, this.options))
+      }
+      userLoaders.set(this, userLoader)
+
+      const batchLoad = async (keys: readonly K[], span: Span) => {
+        let results: any[]
+        let readFailed = false
+
+        try {
+          results = await guard(
+            { operation: 'read', keySpace: this.keySpace },
+            () => timed(
+              () => rMGet(this.keySpace, keys, this.options, wroteRecently(this, keys)),
+              (duration) => instrumentation.emit('redisLatency', { keySpace: this.keySpace, operation: 'read', duration }),
+            ),
+          )
+        } catch (ex) {
+          if (this.options.failOpen === false) {
+            const err = toError(ex)
+            return keys.map(() => err)
+          }
+          // the user loader can still serve every key, so treat them all as
+          // cache misses rather than failing the batch
+          d('redis read failed, falling back to user loader', ex)
+          results = keys.map(() => MISSING)
+          readFailed = true
+        }
+
+        const dataToStore: { key: K; val: StoredValue }[] = []
+
+        // values cached by a newer version of the loader are loaded without
+        // being stored, so they aren't overwritten with an older format
+        const fromUserLoader = (index: number, store = true) => timed(
+          () => userLoader.load(keys[index]),
+          (duration) => instrumentation.emit('loaderLatency', { keySpace: this.keySpace, duration }),
+        )
+          .then((resp) => {
+            d('found in user loader', keys[index])
+            if (resp !== '' && !_.isUndefined(resp) && !_.isNull(resp)) {
+              const val = toStored(resp, this.options)
+              if (store) {
+                dataToStore.push({ key: keys[index], val })
+              }
+              // hand back what a later read from redis would produce so
+              // the first load looks the same as every one after it
+              return parse(val, this.options)
+            } else if (this.options.negativeCache && store) {
+              dataToStore.push({ key: keys[index], val: '' })
+            }
+            return resp
+          })
+          .then((r) => {
+            return Promise.resolve(r === '' || _.isUndefined(r) ? null : r)
+          })
+          .catch((ex) => {
+            // resolving with an Error rejects this key only, the rest of
+            // the batch is unaffected
+            const err = toError(ex)
+            d('user loader failed', keys[index], err)
+            if (this.options.errorExpire && store) {
+              dataToStore.push({ key: keys[index], val: toErrorEntry(err, this.options) })
+            }
+            return err
+          })
+
+        const missing: number[] = []
+        results.forEach((result, index) => result === MISSING && missing.push(index))
 
-      this.loader = new DataLoader(async (keys: readonly string[]) => {
-        const results = await rMGet(this.keySpace, keys, this.options)
+        // indexes of missing keys that another caller holds the lock for
+        const waiting: number[] = []
+        const lockedKeys: K[] = []
+        let lockToken: string | null = null
+
+        if (this.options.stampedeLock && missing.length > 0 && !readFailed) {
+          try {
+            const locks = await acquireLocks(this.keySpace, missing.map((i) => keys[i]), this.options)
+            lockToken = locks.token
+            missing.forEach((index, n) => (locks.held[n] ? lockedKeys.push(keys[index]) : waiting.push(index)))
+          } catch (ex) {
+            d('acquiring stampede locks failed', ex)
+          }
+        }
 
-        const dataToStore: { key: string; rawVal: null | object }[] = []
+        const waited = waiting.length > 0
+          ? waitForValues(this.keySpace, waiting.map((i) => keys[i]), this.options)
+          : Promise.resolve([])
 
         const fetches: Promise<any>[] = []
 
+        const counts = { redisHit: 0, negativeHit: 0, errorHit: 0, staleHit: 0, miss: 0 }
+
+        // keys found holding values in redis, to reset the ttl of with
+        // slidingExpire. cached nulls and errors keep their short ttls
+        const hits: { key: K; value: any }[] = []
+
         for (let index = 0; index < results.length; index++) {
-          const result = results[index]
+          let result = results[index]
+
+          if (result instanceof StaleValue) {
+            d('found stale in redis', keys[index])
+            counts.staleHit++
+            refreshInBackground(this.keySpace, keys[index], userLoader, this.options, (val) => {
+              primeLocal(this, keys[index], val)
+            })
+            result = result.value
+          }
 
-          if (result === '') {
+          if (result === null) {
             d('found -NULL- in redis', keys[index])
+            counts.negativeHit++
             fetches.push(Promise.resolve(null))
-          } else if (result === null) {
-            fetches.push(userLoader
-              .load(keys[index])
-              .then((resp) => {
-                d('found in user loader', keys[index])
-                if (resp !== '' && !_.isUndefined(resp) && !_.isNull(resp)) {
-                  dataToStore.push({ key: keys[index], rawVal: resp })
-                }
-                return resp
-              })
-              .then((r) => {
-                return Promise.resolve(r === '' || _.isUndefined(r) ? null : r)
-              }))
+          } else if (result instanceof Error) {
+            d('found error in redis', keys[index])
+            counts.errorHit++
+            fetches.push(Promise.resolve(result))
+          } else if (result === MISSING && waiting.includes(index)) {
+            counts.miss++
+            const n = waiting.indexOf(index)
+            fetches.push(waited.then((found) => {
+              if (found[n] === MISSING || found[n] === NEWER_VERSION) {
+                return fromUserLoader(index, found[n] === MISSING)
+              }
+              d('found in redis after waiting for lock', keys[index])
+              return found[n]
+            }))
+          } else if (result === MISSING) {
+            counts.miss++
+            fetches.push(fromUserLoader(index))
+          } else if (result === NEWER_VERSION) {
+            d('found newer version in redis', keys[index])
+            counts.miss++
+            fetches.push(fromUserLoader(index, false))
           } else {
             d('found in redis', keys[index])
+            counts.redisHit++
+            hits.push({ key: keys[index], value: result })
             fetches.push(Promise.resolve(result))
           }
         }
 
+        _.forEach(counts, (count, name) => {
+          instrumentation.count(name as keyof typeof counts, this.keySpace, count)
+          span.setAttribute(`redis_dataloader.${_.snakeCase(name)}`, count)
+        })
+
         const response = await Promise.all(fetches)
+        response.forEach((value, i) => expireLocal(this, keys[i], value))
+
+        let written: Promise<unknown> = Promise.resolve()
 
         if (dataToStore.length > 0) {
           // set all data in redis at once without waiting for response from redis
-          rPipelineSet(this.keySpace, dataToStore, this.options).catch((reason) => {
+          written = guard(
+            { operation: 'write', keySpace: this.keySpace },
+            () => timed(
+              () => rPipelineSet(this.keySpace, dataToStore, this.options),
+              (duration) => instrumentation.emit('redisLatency', { keySpace: this.keySpace, operation: 'write', duration }),
+            ),
+          ).catch((reason) => {
             // we are catching and not throwing the failure
             // because we don't want downstream services to
             // fail if redis does
             d('redis pipeline setting failed', reason)
+            instrumentation.emit('writeError', { keySpace: this.keySpace, error: toError(reason) })
           })
         }
 
+        if (this.options.slidingExpire && hits.length > 0) {
+          guard(
+            { operation: 'write', keySpace: this.keySpace },
+            () => rExpire(this.keySpace, hits, this.options),
+          ).catch((reason) => d('resetting ttls failed', reason))
+        }
+
+        if (lockToken && lockedKeys.length > 0) {
+          // release once the values are in redis so waiting callers find them
+          const token = lockToken
+          written.then(() => releaseLocks(this.keySpace, lockedKeys, token, this.options))
+        }
+
         return response
-      }, _.omit(this.options, ['expire', 'buffer']))
+      }
+
+      let cacheMap = this.options.cacheMap
+      if (!cacheMap) {
+        const localCache = createLocalCache(this.options)
+        localCaches.set(this, localCache)
+        cacheMap = localCache
+      }
+
+      this.loader = new DataLoader(
+        (keys: readonly K[]) => instrumentation.span(
+          'redis-dataloader batch',
+          { 'redis_dataloader.key_space': this.keySpace || '', 'redis_dataloader.batch_size': keys.length },
+          (span) => batchLoad(keys, span),
+        ),
+        {
+          ..._.omit(this.options, LOADER_ONLY_OPTIONS),
+          cacheMap: countLocalHits(this.keySpace, cacheMap),
+        },
+      )
+
+      // without a local cache there is nothing to invalidate
+      if (bus && this.options.cache !== false) {
+        bus.listen(this)
+      }
     }
 
-    load<T>(key: string): Promise<T> {
-      return key ? Promise.resolve(this.loader.load(key)) : Promise.reject(new TypeError('key parameter is required'))
+    onInvalidate(message: InvalidationMessage) {
+      if (bus && message.source === bus.source && message.loader === this.id) {
+        return
+      }
+      if (message.key === undefined) {
+        this.loader.clearAll()
+      } else {
+        this.loader.clear(JSON.parse(message.key))
+      }
     }
 
-    loadMany<T>(keys: string[]): Promise<T[]> {
-      return keys
-        ? Promise.resolve(Promise.all(keys.map((k) => this.loader.load(k))))
-        : Promise.reject(new TypeError('keys parameter is required'))
+    load(key: K): Promise<V>
+    load<F extends FieldOf<V>>(key: K, options: LoadOptions<F>): Promise<Pick<NonNullable<V>, F> | null>
+    load(key: K, options: LoadOptions = {}): Promise<any> {
+      if (!key) {
+        return Promise.reject(new TypeError('key parameter is required'))
+      } else if (!options.fields) {
+        return Promise.resolve(this.loader.load(key))
+      }
+      return loadPicked(this, key, options.fields)
     }
 
-    prime(key: string, val: object | null | undefined) {
+    loadMany(keys: readonly K[]): Promise<V[]>
+    loadMany<F extends FieldOf<V>>(keys: readonly K[], options: LoadOptions<F>): Promise<(Pick<NonNullable<V>, F> | null)[]>
+    loadMany(keys: readonly K[], options?: LoadOptions): Promise<any[]> {
+      if (!keys) {
+        return Promise.reject(new TypeError('keys parameter is required'))
+      }
+      return Promise.all(keys.map((k) => (options && options.fields ? loadPicked(this, k, options.fields) : this.loader.load(k))))
+    }
+
+    prime(key: K, val: V | null) {
       if (!key) {
         return Promise.reject(new TypeError('key parameter is required'))
       } else if (val === undefined) {
         return Promise.reject(new TypeError('value parameter is required'))
       } else {
-        return rSetAndGet(this.keySpace, key, val, this.options).then((r) => {
-          this.loader.clear(key).prime(key, r === '' ? null : r)
+        return writeThrough([{ key, value: val }], this.options)
+          .then(() => rSetAndGet(this.keySpace, key, val, this.options))
+          .then((r) => {
+            primeLocal(this, key, r === '' ? null : r)
+            noteWrite(this, key)
+            announce(this.keySpace, this.id, key)
+            writeBehind([{ key, value: val }], this.options)
+          })
+      }
+    }
+
+    // like prime for many keys at once, written to redis in one round trip
+    primeMany(entries: CacheEntry<K, V>[]) {
+      if (!Array.isArray(entries)) {
+        return Promise.reject(new TypeError('entries parameter is required'))
+      } else if (entries.some(({ key, value }) => !key || value === undefined)) {
+        return Promise.reject(new TypeError('every entry needs a key and a value'))
+      }
+      return rPrimeMany(this.keySpace, entries, this.options).then((values) => {
+        entries.forEach(({ key }, i) => {
+          primeLocal(this, key, values[i])
+          noteWrite(this, key)
+          announce(this.keySpace, this.id, key)
         })
+      })
+    }
+
+    // replaces the value of `key` with what `mutator` returns for it, without
+    // losing writes made to the key at the same time. resolves with the new value
+    update(key: K, mutator: (value: V | null) => V | null | Promise<V | null>): Promise<V | null> {
+      if (!key) {
+        return Promise.reject(new TypeError('key parameter is required'))
+      } else if (typeof mutator !== 'function') {
+        return Promise.reject(new TypeError('mutator parameter is required'))
+      } else if (this.options.storage === 'hash') {
+        return Promise.reject(new TypeError('update needs string storage, use patch with hash storage'))
+      }
+      return rUpdate(this, key, mutator).then((r) => {
+        primeLocal(this, key, r)
+        noteWrite(this, key)
+        announce(this.keySpace, this.id, key)
+        return r
+      })
+    }
+
+    // writes just the given properties of a value kept in hash storage. a key
+    // that isn't cached yet stays a miss until the whole value is loaded
+    patch(key: K, values: Partial<NonNullable<V>>) {
+      if (!key) {
+        return Promise.reject(new TypeError('key parameter is required'))
+      } else if (!_.isObject(values)) {
+        return Promise.reject(new TypeError('values parameter is required'))
+      } else if (this.options.storage !== 'hash') {
+        return Promise.reject(new TypeError('patch needs hash storage'))
+      }
+      return rPatch(this.keySpace, key, values, this.options).then(() => {
+        // the local cache only holds whole values, so this one has to go
+        this.loader.clear(key)
+        noteWrite(this, key)
+        announce(this.keySpace, this.id, key)
+      })
+    }
+
+    // loads `keys` from the user loader and writes them to redis, such as to
+    // fill a cold cache before traffic reaches it
+    warm(keys: Iterable<K> | AsyncIterable<K>, options: WarmOptions = {}): Promise<number> {
+      if (!keys) {
+        return Promise.reject(new TypeError('keys parameter is required'))
       }
+      return rWarm(this.keySpace, userLoaders.get(this)!, keys, options, this.options).then((written) => {
+        announce(this.keySpace, this.id)
+        this.loader.clearAll()
+        return written
+      })
     }
 
-    clear(key: string) {
+    // the keySpace's entries as NDJSON lines, to be passed to restore later
+    dump(): AsyncIterable<string> {
+      if (!this.keySpace) {
+        throw new TypeError('a keySpace is required to dump')
+      }
+      checkPrefix(keyPrefix(this.keySpace, this.options))
+      return rDump(this.keySpace, this.options)
+    }
+
+    // writes the entries from a dump, as lines or as chunks of NDJSON text such
+    // as a file stream, to this keySpace. resolves with how many were written
+    restore(source: Iterable<string | Buffer> | AsyncIterable<string | Buffer>) {
+      if (!source) {
+        return Promise.reject(new TypeError('source parameter is required'))
+      }
+      return rRestore(this.keySpace, source, this.options).then((restored) => {
+        announce(this.keySpace, this.id)
+        this.loader.clearAll()
+        return restored
+      })
+    }
+
+    // removes every key tagged with `tag` by the `tags` option of any loader
+    // sharing this config. resolves with how many keys were removed
+    invalidateTag(tag: string) {
+      if (!tag) {
+        return Promise.reject(new TypeError('tag parameter is required'))
+      }
+      return rInvalidateTag(tag).then(({ tagged, removed }) => {
+        tagged.forEach(({ keySpace, key }) => {
+          announce(keySpace, this.id, key)
+          if (keySpace === this.keySpace) {
+            this.loader.clear(key)
+          }
+        })
+        return removed
+      })
+    }
+
+    clear(key: K) {
       return key
-        ? rDel(this.keySpace, key, this.options).then(() => this.loader.clear(key))
+        ? rDel(this.keySpace, key, this.options).then(() => {
+          noteWrite(this, key)
+          announce(this.keySpace, this.id, key)
+          return this.loader.clear(key)
+        })
         : Promise.reject(new TypeError('key parameter is required'))
     }
 
+    clearAll() {
+      return this.clearMatching('*')
+    }
+
+    // `pattern` is a redis glob matched against keys within this keySpace
+    clearMatching(pattern: string) {
+      if (!this.keySpace) {
+        return Promise.reject(new TypeError('a keySpace is required to clear more than one key'))
+      } else if (!pattern) {
+        return Promise.reject(new TypeError('pattern parameter is required'))
+      }
+      try {
+        checkPrefix(keyPrefix(this.keySpace, this.options))
+      } catch (ex) {
+        return Promise.reject(ex)
+      }
+      // the local cache can't be searched, so all of it goes
+      return rDelMatching(this.keySpace, pattern, this.options).then(() => {
+        announce(this.keySpace, this.id)
+        return this.loader.clearAll()
+      })
+    }
+
     clearAllLocal() {
       return Promise.resolve(this.loader.clearAll())
     }
 
-    clearLocal(key: string) {
+    clearLocal(key: K) {
       return Promise.resolve(this.loader.clear(key))
     }
+
+    // stops listening for invalidations and drops the local cache. call this
+    // when a loader built with `invalidation` enabled is no longer needed
+    dispose() {
+      if (bus) {
+        bus.unlisten(this)
+      }
+      this.loader.clearAll()
+    }
+
+    // stops the replica health checks and closes the connection this config
+    // opened to listen for invalidations. the clients passed in are left open.
+    // loaders no longer hear of changes made elsewhere until a new one is created
+    static async close() {
+      replicaPool.stop()
+      if (bus) {
+        await bus.close()
+      }
+    }
   }
 }
+
+export type RedisDataLoaderClass = ReturnType<typeof createRedisDataLoader>
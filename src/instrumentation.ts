@@ -0,0 +1,109 @@
+import debug from 'debug'
+
+const d = debug('redis-dataloader')
+
+export interface KeySpaceEvent {
+  keySpace: string
+}
+
+export interface CountEvent extends KeySpaceEvent {
+  count: number
+}
+
+export interface RedisLatencyEvent extends KeySpaceEvent {
+  operation: 'read' | 'write'
+  // milliseconds
+  duration: number
+}
+
+export interface LoaderLatencyEvent extends KeySpaceEvent {
+  // milliseconds
+  duration: number
+}
+
+export interface WriteErrorEvent extends KeySpaceEvent {
+  error: Error
+}
+
+// every hook is optional. hooks are called synchronously, and anything they
+// throw is logged and otherwise ignored
+export interface RedisDataLoaderMetrics {
+  // served from the local in memory cache
+  localHit?(event: KeySpaceEvent): void
+  // per batch counts of how each key was served
+  redisHit?(event: CountEvent): void
+  negativeHit?(event: CountEvent): void
+  errorHit?(event: CountEvent): void
+  staleHit?(event: CountEvent): void
+  miss?(event: CountEvent): void
+  writeError?(event: WriteErrorEvent): void
+  // a read from a replica failed so the primary was read instead
+  replicaFallback?(event: KeySpaceEvent): void
+  redisLatency?(event: RedisLatencyEvent): void
+  loaderLatency?(event: LoaderLatencyEvent): void
+}
+
+// the subset of the OpenTelemetry Span and Tracer apis used here, so a tracer
+// from @opentelemetry/api can be passed in without this package depending on it
+export interface Span {
+  setAttribute(key: string, value: string | number | boolean): unknown
+  recordException(exception: Error): unknown
+  setStatus(status: { code: number; message?: string }): unknown
+  end(): void
+}
+
+export interface Tracer {
+  startSpan(name: string, options?: { attributes?: { [key: string]: string | number | boolean } }): Span
+}
+
+// matches SpanStatusCode.ERROR
+const SPAN_STATUS_ERROR = 2
+
+const noopSpan: Span = {
+  setAttribute: () => noopSpan,
+  recordException: () => undefined,
+  setStatus: () => noopSpan,
+  end: () => undefined,
+}
+
+export class Instrumentation {
+  constructor(private metrics: RedisDataLoaderMetrics = {}, private tracer?: Tracer) {}
+
+  get enabled() {
+    return Object.keys(this.metrics).length > 0
+  }
+
+  emit<K extends keyof RedisDataLoaderMetrics>(name: K, event: Parameters<NonNullable<RedisDataLoaderMetrics[K]>>[0]) {
+    const hook = this.metrics[name] as ((e: typeof event) => void) | undefined
+    if (!hook) {
+      return
+    }
+    try {
+      hook.call(this.metrics, event)
+    } catch (ex) {
+      d(`metrics hook ${name} failed`, ex)
+    }
+  }
+
+  count(name: 'redisHit' | 'negativeHit' | 'errorHit' | 'staleHit' | 'miss', keySpace: string, count: number) {
+    if (count > 0) {
+      this.emit(name, { keySpace, count })
+    }
+  }
+
+  // runs `fn` inside a span, recording how it went
+  async span<T>(name: string, attributes: { [key: string]: string | number | boolean }, fn: (span: Span) => Promise<T>) {
+    const span = this.tracer ? this.tracer.startSpan(name, { attributes }) : noopSpan
+    try {
+      return await fn(span)
+    } catch (ex) {
+      if (ex instanceof Error) {
+        span.recordException(ex)
+      }
+      span.setStatus({ code: SPAN_STATUS_ERROR, message: ex instanceof Error ? ex.message : String(ex) })
+      throw ex
+    } finally {
+      span.end()
+    }
+  }
+}
@@ -0,0 +1,127 @@
+import { randomBytes } from 'crypto'
+
+import debug from 'debug'
+
+import { RedisAdapter, RedisClient, toAdapter } from './adapters'
+
+const d = debug('redis-dataloader')
+
+export interface InvalidationOptions {
+  // pub/sub channel shared by every process using this config
+  channel?: string
+  // connection to subscribe with. a subscribed connection can't run other
+  // commands, so by default a duplicate of `redisRW` is opened
+  subscriber?: RedisClient
+}
+
+export interface InvalidationMessage {
+  keySpace: string
+  // json-stable-stringify'd key, omitted when the whole keySpace was cleared
+  key?: string
+  // the process and loader that sent the message
+  source: string
+  loader: number
+}
+
+export interface InvalidationListener {
+  keySpace: string
+  onInvalidate(message: InvalidationMessage): void
+}
+
+export const DEFAULT_INVALIDATION_CHANNEL = 'redis-dataloader:invalidate'
+
+// fans invalidation messages from other loaders, in this process or any other,
+// out to the local caches of the loaders listening here
+export class InvalidationBus {
+  readonly source = randomBytes(8).toString('hex')
+  private listeners = new Map<string, Set<InvalidationListener>>()
+  // resolves with the subscribed connection, or null when subscribing failed
+  private subscribing: Promise<RedisAdapter | null> | null = null
+  private channel: string
+
+  constructor(private publisher: RedisAdapter, private options: InvalidationOptions) {
+    this.channel = options.channel || DEFAULT_INVALIDATION_CHANNEL
+  }
+
+  listen(listener: InvalidationListener) {
+    let set = this.listeners.get(listener.keySpace)
+    if (!set) {
+      set = new Set()
+      this.listeners.set(listener.keySpace, set)
+    }
+    set.add(listener)
+
+    if (!this.subscribing) {
+      const subscribing = this.subscribe().catch((reason) => {
+        d('subscribing to invalidations failed', reason)
+        if (this.subscribing === subscribing) {
+          this.subscribing = null
+        }
+        return null
+      })
+      this.subscribing = subscribing
+    }
+  }
+
+  unlisten(listener: InvalidationListener) {
+    const set = this.listeners.get(listener.keySpace)
+    if (set) {
+      set.delete(listener)
+      if (set.size === 0) {
+        this.listeners.delete(listener.keySpace)
+      }
+    }
+  }
+
+  publish(message: Omit<InvalidationMessage, 'source'>) {
+    return this.publisher.publish(this.channel, JSON.stringify({ ...message, source: this.source }))
+  }
+
+  // stops listening for invalidations, and quits the subscriber when it was
+  // opened here rather than passed in. a later `listen` subscribes again
+  async close() {
+    this.listeners.clear()
+    const subscribing = this.subscribing
+    this.subscribing = null
+
+    const subscriber = subscribing && await subscribing
+    if (subscriber) {
+      await subscriber.unsubscribe(this.channel)
+      if (!this.options.subscriber) {
+        await subscriber.quit()
+      }
+    }
+  }
+
+  private async subscribe() {
+    if (this.options.subscriber) {
+      const subscriber = toAdapter(this.options.subscriber)
+      await subscriber.subscribe(this.channel, (raw) => this.receive(raw))
+      return subscriber
+    }
+
+    const subscriber = this.publisher.duplicate()
+    try {
+      await subscriber.subscribe(this.channel, (raw) => this.receive(raw))
+    } catch (ex) {
+      await subscriber.quit().catch((reason) => d('closing the invalidation subscriber failed', reason))
+      throw ex
+    }
+    return subscriber
+  }
+
+  private receive(raw: string) {
+    let message: InvalidationMessage
+    try {
+      message = JSON.parse(raw)
+    } catch (ex) {
+      d('ignoring malformed invalidation message', raw)
+      return
+    }
+
+    const set = this.listeners.get(message.keySpace)
+    if (set) {
+      set.forEach((listener) => listener.onInvalidate(message))
+    }
+  }
+}
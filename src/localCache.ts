@@ -0,0 +1,136 @@
+export interface LocalCacheOptions {
+  // most entries kept before the least recently used ones are evicted
+  maxEntries?: number
+  // rough upper bound on the memory used by cached values
+  maxBytes?: number
+  // seconds an entry is kept for
+  ttl?: number
+}
+
+interface Entry<V> {
+  value: V
+  expiresAt: number
+  size: number
+}
+
+// a rough estimate of how much memory a value holds on to
+export function approximateSize(value: any, seen = new Set<any>()): number {
+  if (value === null || value === undefined) {
+    return 0
+  } else if (typeof value === 'string') {
+    return value.length * 2
+  } else if (typeof value === 'number' || typeof value === 'bigint') {
+    return 8
+  } else if (typeof value === 'boolean') {
+    return 4
+  } else if (Buffer.isBuffer(value)) {
+    return value.length
+  } else if (typeof value !== 'object' || seen.has(value)) {
+    return 0
+  }
+
+  seen.add(value)
+
+  if (value instanceof Map) {
+    let size = 0
+    value.forEach((v, k) => {
+      size += approximateSize(k, seen) + approximateSize(v, seen)
+    })
+    return size
+  } else if (Array.isArray(value) || value instanceof Set) {
+    let size = 0
+    value.forEach((v: any) => {
+      size += approximateSize(v, seen)
+    })
+    return size
+  }
+
+  return Object.keys(value).reduce((size, key) => size + key.length * 2 + approximateSize(value[key], seen), 0)
+}
+
+// a DataLoader cacheMap bounded by entry count and size, with expiring entries.
+// DataLoader caches promises, so an entry's size is only known, and `maxBytes`
+// only enforced, once its promise resolves.
+export class LocalCache<K, V> {
+  private entries = new Map<K, Entry<V>>()
+  private bytes = 0
+
+  constructor(private options: LocalCacheOptions = {}) {}
+
+  get size() {
+    return this.entries.size
+  }
+
+  get(key: K): V | undefined {
+    const entry = this.entries.get(key)
+
+    if (!entry) {
+      return undefined
+    } else if (entry.expiresAt <= Date.now()) {
+      this.delete(key)
+      return undefined
+    }
+
+    // move to the back of the map, which is kept in least recently used order
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  set(key: K, value: V) {
+    this.delete(key)
+
+    const entry: Entry<V> = {
+      value,
+      expiresAt: this.options.ttl ? Date.now() + this.options.ttl * 1000 : Infinity,
+      size: 0,
+    }
+    this.entries.set(key, entry)
+
+    if (this.options.maxBytes) {
+      Promise.resolve(value).then((resolved) => {
+        if (this.entries.get(key) === entry) {
+          entry.size = approximateSize(resolved)
+          this.bytes += entry.size
+          this.evict()
+        }
+      }, () => {})
+    }
+
+    this.evict()
+    return this
+  }
+
+  // brings the expiry of `key` forward to `ttl` seconds from now
+  expire(key: K, ttl: number) {
+    const entry = this.entries.get(key)
+    if (entry) {
+      entry.expiresAt = Math.min(entry.expiresAt, Date.now() + ttl * 1000)
+    }
+  }
+
+  delete(key: K) {
+    const entry = this.entries.get(key)
+    if (entry) {
+      this.bytes -= entry.size
+      this.entries.delete(key)
+    }
+    return !!entry
+  }
+
+  clear() {
+    this.entries.clear()
+    this.bytes = 0
+  }
+
+  private evict() {
+    const { maxEntries = Infinity, maxBytes = Infinity } = this.options
+
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= maxEntries && this.bytes <= maxBytes) {
+        break
+      }
+      this.delete(key)
+    }
+  }
+}
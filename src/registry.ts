@@ -0,0 +1,86 @@
+import _ from 'lodash'
+import DataLoader from 'dataloader'
+
+import { InFlightMap } from './inFlight'
+import { IRedisDataLoader, RedisDataLoaderClass, RedisDataLoaderOptions } from './index'
+
+export interface LoaderDefinition<K = any, V = any, C = K> {
+  keySpace: string
+  // the batch function of the user loader
+  batch: DataLoader.BatchLoadFn<K, V>
+  // options for the user loader, which only ever caches loads in flight
+  loaderOptions?: Omit<DataLoader.Options<K, V, C>, 'cache' | 'cacheMap'>
+  // options for the loader in each context. shareReads defaults to true. a
+  // cacheMap passed here would be shared by every context
+  options?: RedisDataLoaderOptions<K, V, C>
+}
+
+export interface LoaderDefinitions {
+  [name: string]: LoaderDefinition
+}
+
+export type LoaderOf<D> = D extends LoaderDefinition<infer K, infer V, infer C> ? IRedisDataLoader<K, V, C> : never
+
+// the loaders for one request, such as a GraphQL context
+export interface LoaderContext<D extends LoaderDefinitions> {
+  // each is created the first time it is used
+  readonly loaders: { readonly [N in keyof D]: LoaderOf<D[N]> }
+  // drops the local caches of the loaders created so far and stops them
+  // listening for invalidations. the loaders can't be used after this
+  dispose(): void
+}
+
+export interface LoaderRegistry<D extends LoaderDefinitions> {
+  readonly definitions: D
+  context(): LoaderContext<D>
+}
+
+// declares named loaders once, to be created per request with fresh local
+// caches. every context shares one user loader per definition, so concurrent
+// misses for a key from different requests reach the batch function once
+export function createLoaderRegistry<D extends LoaderDefinitions>(
+  RedisDataLoader: RedisDataLoaderClass,
+  definitions: D,
+): LoaderRegistry<D> {
+  const userLoaders = _.mapValues(
+    definitions,
+    (def) => new DataLoader(def.batch, { ...def.loaderOptions, cacheMap: new InFlightMap() }),
+  )
+
+  return {
+    definitions,
+
+    context() {
+      const created = new Map<string, IRedisDataLoader>()
+      let disposed = false
+
+      const loaders = {} as LoaderContext<D>['loaders']
+      Object.keys(definitions).forEach((name) => {
+        Object.defineProperty(loaders, name, {
+          enumerable: true,
+          get: () => {
+            if (disposed) {
+              throw new Error(`the context of loader ${name} was disposed`)
+            }
+            let loader = created.get(name)
+            if (!loader) {
+              const { keySpace, options } = definitions[name]
+              loader = new RedisDataLoader(keySpace, userLoaders[name], { shareReads: true, ...options } as RedisDataLoaderOptions)
+              created.set(name, loader)
+            }
+            return loader
+          },
+        })
+      })
+
+      return {
+        loaders,
+        dispose() {
+          disposed = true
+          created.forEach((loader) => loader.dispose())
+          created.clear()
+        },
+      }
+    },
+  }
+}
@@ -0,0 +1,123 @@
+import _ from 'lodash'
+
+import debug from 'debug'
+
+const d = debug('redis-dataloader')
+
+export type ReplicaStrategy = 'round-robin' | 'least-latency'
+
+export interface ReplicaPoolOptions {
+  // how the replica for each read is chosen. defaults to round-robin
+  strategy?: ReplicaStrategy
+  // consecutive errors before a replica is skipped. defaults to 1
+  failureThreshold?: number
+  // milliseconds a failing replica is skipped for. defaults to 5000
+  cooldown?: number
+  // milliseconds between health checks of every replica. off by default
+  healthCheckInterval?: number
+  // seconds since a replica last heard from its primary before the health
+  // check marks it as lagging and skips it
+  maxLag?: number
+}
+
+// the one command the health check needs
+export interface ReplicaClient {
+  info(section?: string): Promise<string>
+}
+
+interface Replica<C> {
+  client: C
+  failures: number
+  skipUntil: number
+  // moving average of read latency in milliseconds
+  latency: number
+}
+
+// chooses which read replica serves each read, skipping replicas that have
+// been failing or are lagging behind their primary
+export class ReplicaPool<C extends ReplicaClient> {
+  private replicas: Replica<C>[]
+  private next = 0
+  private timer: NodeJS.Timeout | null = null
+
+  constructor(clients: C[], private options: ReplicaPoolOptions = {}) {
+    this.replicas = clients.map((client) => ({ client, failures: 0, skipUntil: 0, latency: 0 }))
+
+    if (options.healthCheckInterval) {
+      this.timer = setInterval(() => this.checkHealth(), options.healthCheckInterval)
+      this.timer.unref()
+    }
+  }
+
+  // a healthy replica, or null when none are
+  pick(): C | null {
+    const now = Date.now()
+    const healthy = this.replicas.filter((replica) => replica.skipUntil <= now)
+
+    if (healthy.length === 0) {
+      return null
+    }
+
+    if (this.options.strategy === 'least-latency') {
+      return _.minBy(healthy, (replica) => replica.latency)!.client
+    }
+
+    this.next = (this.next + 1) % healthy.length
+    return healthy[this.next].client
+  }
+
+  success(client: C, duration: number) {
+    const replica = this.find(client)
+    if (replica) {
+      replica.failures = 0
+      replica.latency = replica.latency ? replica.latency * 0.8 + duration * 0.2 : duration
+    }
+  }
+
+  failure(client: C) {
+    const replica = this.find(client)
+    if (replica && ++replica.failures >= (this.options.failureThreshold || 1)) {
+      this.skip(replica)
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  private find(client: C) {
+    return this.replicas.find((replica) => replica.client === client)
+  }
+
+  private skip(replica: Replica<C>) {
+    replica.skipUntil = Date.now() + (this.options.cooldown || 5000)
+  }
+
+  private checkHealth() {
+    this.replicas.forEach((replica) => {
+      const start = Date.now()
+      replica.client
+        .info('replication')
+        .then((info) => {
+          const lag = /master_last_io_seconds_ago:(-?\d+)/.exec(info)
+          const linkDown = /master_link_status:down/.test(info)
+
+          if (linkDown || (this.options.maxLag !== undefined && lag && Number(lag[1]) > this.options.maxLag)) {
+            d('replica is lagging, skipping it', lag && lag[1])
+            this.skip(replica)
+          } else {
+            replica.skipUntil = 0
+            this.success(replica.client, Date.now() - start)
+          }
+        })
+        .catch((reason) => {
+          d('replica health check failed', reason)
+          this.skip(replica)
+        })
+    })
+  }
+}
+
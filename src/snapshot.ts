@@ -0,0 +1,66 @@
+import { StringDecoder } from 'string_decoder'
+
+import _ from 'lodash'
+
+import { RedisHash, RedisValue } from './adapters'
+
+// one line of a dump. values are base64 encoded exactly as they are stored in
+// redis, so they restore the same whatever codec, compression or version the
+// loader uses
+export interface SnapshotEntry {
+  // the key within the keySpace
+  key: string
+  // a string value
+  value?: string
+  // the fields of a value in hash storage
+  hash?: { [field: string]: string }
+  // milliseconds left until the key expires. missing for keys without a ttl
+  ttl?: number
+}
+
+function base64(value: RedisValue) {
+  return (Buffer.isBuffer(value) ? value : Buffer.from(value)).toString('base64')
+}
+
+export function toSnapshotLine(key: string, value: RedisValue | RedisHash, ttl: number) {
+  const entry: SnapshotEntry = Buffer.isBuffer(value) || typeof value === 'string'
+    ? { key, value: base64(value) }
+    : { key, hash: _.mapValues(value, base64) }
+  if (ttl > 0) {
+    entry.ttl = ttl
+  }
+  return `${JSON.stringify(entry)}\n`
+}
+
+export function fromSnapshotValue(entry: SnapshotEntry): RedisValue | RedisHash {
+  if (entry.hash) {
+    return _.mapValues(entry.hash, (field) => Buffer.from(field, 'base64'))
+  } else if (typeof entry.value === 'string') {
+    return Buffer.from(entry.value, 'base64')
+  }
+  throw new TypeError(`snapshot entry for ${entry.key} has no value`)
+}
+
+// the entries in NDJSON text, which may be split into chunks anywhere, such as
+// the chunks of a file stream
+export async function* readSnapshot(
+  source: AsyncIterable<string | Buffer> | Iterable<string | Buffer>,
+): AsyncGenerator<SnapshotEntry> {
+  const decoder = new StringDecoder('utf8')
+  let rest = ''
+
+  for await (const chunk of source) {
+    const lines = (rest + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split('\n')
+    rest = lines.pop()!
+    for (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line)
+      }
+    }
+  }
+
+  rest += decoder.end()
+  if (rest.trim()) {
+    yield JSON.parse(rest)
+  }
+}
@@ -0,0 +1,96 @@
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const { expect } = chai;
+const DataLoader = require('dataloader');
+const { MemoryAdapter, MemoryStore, createRedisDataLoader, runConformance } = require('../src');
+
+// a primary and replica sharing one in memory store, so no server is needed
+const primary = new MemoryAdapter();
+
+require('./test')({
+  name: 'with the memory adapter',
+  redis: primary,
+  redis_ro: primary.duplicate(),
+});
+
+describe('MemoryAdapter', () => {
+  beforeEach(() => {
+    this.now = 1000;
+    this.store = new MemoryStore({ now: () => this.now });
+    this.redis = new MemoryAdapter(this.store);
+  });
+
+  it('should expire keys by its clock', () =>
+    this.redis
+      .set([{ key: 'a', value: '1', expire: 10 }])
+      .then(() => {
+        this.now += 5000;
+        return this.redis.pttl(['a']);
+      })
+      .then(([ttl]) => {
+        expect(ttl).to.equal(5000);
+        this.store.advance(5000);
+        return this.redis.mget(['a']);
+      })
+      .then(([value]) => {
+        expect(value).to.be.null;
+      }));
+
+  it('should fail commands with injected errors', () => {
+    this.redis.fail('loading', { commands: ['mget'], times: 1 });
+    this.redis.fail(new Error('boom'), { commands: ['set'] });
+
+    return expect(this.redis.mget(['a'])).to.be.rejectedWith(/^LOADING/)
+      .then(() => expect(this.redis.set([{ key: 'a', value: '1' }])).to.be.rejectedWith('boom'))
+      .then(() => this.redis.mget(['a']))
+      .then(([value]) => {
+        expect(value).to.be.null;
+        this.redis.heal();
+        return this.redis.set([{ key: 'a', value: '1' }]);
+      })
+      .then(written => {
+        expect(written).to.deep.equal([true]);
+      });
+  });
+
+  it('should only fail the adapter the fault was added to', () => {
+    this.redis.fail('disconnect');
+
+    return expect(this.redis.mget(['a'])).to.be.rejectedWith('The client is closed')
+      .then(() => this.redis.duplicate().mget(['a']))
+      .then(([value]) => {
+        expect(value).to.be.null;
+      });
+  });
+
+  it('should hold commands until healed with timeouts', () => {
+    this.redis.fail('timeout');
+    const read = this.redis.mget(['a']);
+    setTimeout(() => this.redis.heal(), 10);
+
+    return expect(read).to.be.rejectedWith('command timed out');
+  });
+
+  it('should let loaders read the primary when the replica times out', () => {
+    const replica = this.redis.duplicate();
+    replica.fail('timeout');
+    const RedisDataLoader = createRedisDataLoader({ redisRW: this.redis, redisRO: replica, readTimeout: 10 });
+    const batch = keys => Promise.resolve(keys.map(() => 'from the batch function'));
+    const loader = new RedisDataLoader('timeout', new DataLoader(batch));
+
+    return this.redis
+      .set([{ key: 'timeout:a', value: JSON.stringify('from the primary') }])
+      .then(() => loader.load('a'))
+      .then(value => {
+        expect(value).to.equal('from the primary');
+        replica.heal();
+      });
+  });
+
+  it('should report failing conformance checks', () =>
+    runConformance({ redisRW: new MemoryAdapter(), redisRO: new MemoryAdapter() }, { replicaWait: 50 }).then(results => {
+      const failed = results.filter(result => !result.passed);
+      expect(failed.map(result => result.name)).to.deep.equal(['reads writes from every replica']);
+      expect(failed[0].error.message).to.match(/did not see a write/);
+    }));
+});
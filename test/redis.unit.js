@@ -1,5 +1,16 @@
-require('./test')({
-  name: 'with driver "redis"',
-  redis: require('redis-mock').createClient(),
-  redis_ro: require('redis-mock').createClient(),
-});
+const { createClient } = require('redis');
+
+// needs a redis server, e.g. `docker-compose up -d` and REDIS_URL=redis://localhost:6379
+if (process.env.REDIS_URL) {
+  const redis = createClient({ url: process.env.REDIS_URL });
+  const redis_ro = createClient({ url: process.env.REDIS_URL });
+
+  before(() => Promise.all([redis.connect(), redis_ro.connect()]));
+  after(() => Promise.all([redis.quit(), redis_ro.quit()]));
+
+  require('./test')({
+    name: 'with driver "redis"',
+    redis,
+    redis_ro,
+  });
+}
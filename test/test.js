@@ -4,29 +4,38 @@ chai.use(require('chai-as-promised'));
 const { expect } = chai;
 const sinon = require('sinon');
 const DataLoader = require('dataloader');
-const createRedisDataLoader = require('../src');
+const {
+  createRedisDataLoader,
+  codecs,
+  hashSlot,
+  toAdapter,
+  NodeRedisAdapter,
+  IORedisAdapter,
+  createLoaderRegistry,
+  runConformance,
+} = require('../src');
 
 const mapPromise = (promise, fn) => Promise.all(promise.map(fn));
 
 module.exports = ({ name, redis, redis_ro }) => {
-  const RedisDataLoader = createRedisDataLoader({ redis, redis_ro });
+  const redisRW = toAdapter(redis);
+  const redisRO = toAdapter(redis_ro);
+
+  let RedisDataLoader;
 
   describe(name, () => {
     beforeEach(() => {
-      const rDel = key =>
-        new Promise((resolve, reject) =>
-          redis.del(key, (err, resp) => (err ? reject(err) : resolve(resp)))
-        );
+      // a fresh config for each test, so replicas skipped by one test are
+      // still used by the next
+      RedisDataLoader = createRedisDataLoader({ redisRW, redisRO });
 
-      this.rSet = (k, v) =>
-        new Promise((resolve, reject) =>
-          redis.set(k, v, (err, resp) => (err ? reject(err) : resolve(resp)))
-        );
+      const rDel = key => redisRW.del([key]);
 
-      this.rGet = k =>
-        new Promise((resolve, reject) => {
-          redis_ro.get(k, (err, resp) => (err ? reject(err) : resolve(resp)));
-        });
+      this.rDel = rDel;
+
+      this.rSet = (k, v) => redisRW.set([{ key: k, value: v }]);
+
+      this.rGet = k => redisRO.mget([k]).then(([v]) => v);
 
       this.keySpace = 'key-space';
       this.data = {
@@ -56,7 +65,7 @@ module.exports = ({ name, redis, redis_ro }) => {
         });
 
       return mapPromise(
-        _.keys(this.data).concat(['{"a":1,"b":2}', '[1,2]']),
+        _.keys(this.data).concat(['{"a":1,"b":2}', '[1,2]', 'typed', 'packed', 'string', 'big']),
         k => rDel(`${this.keySpace}:${k}`)
       ).then(() => {
         this.loader = new RedisDataLoader(this.keySpace, this.userLoader());
@@ -115,9 +124,9 @@ module.exports = ({ name, redis, redis_ro }) => {
         expect(this.loader.load()).to.be.rejectedWith(TypeError));
 
       it('should use local cache on second load', () => {
-        this.stubs.redisMGet = sinon.stub(redis, 'mget', (keys, cb) => {
-          cb(null, [JSON.stringify(this.data.json)]);
-        });
+        this.stubs.redisMGet = sinon.stub(redisRO, 'mget', keys =>
+          Promise.resolve([JSON.stringify(this.data.json)])
+        );
 
         return this.loader
           .load('json')
@@ -133,9 +142,9 @@ module.exports = ({ name, redis, redis_ro }) => {
       });
 
       it('should not use in memory cache if option is passed', () => {
-        this.stubs.redisMGet = sinon.stub(redis, 'mget', (keys, cb) => {
-          cb(null, [JSON.stringify(this.data.json)]);
-        });
+        this.stubs.redisMGet = sinon.stub(redisRO, 'mget', keys =>
+          Promise.resolve([JSON.stringify(this.data.json)])
+        );
 
         return this.noCacheLoader
           .load('json')
@@ -150,6 +159,49 @@ module.exports = ({ name, redis, redis_ro }) => {
           });
       });
 
+      it('should expire local cache entries with expire', done => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          expire: 1,
+        });
+
+        loader
+          .load('json')
+          .then(() => {
+            setTimeout(() => {
+              loader
+                .load('json')
+                .then(() => {
+                  expect(this.loadFn.callCount).to.equal(2);
+                  done();
+                })
+                .catch(done);
+            }, 1100);
+          })
+          .catch(done);
+      });
+
+      it('should evict least recently used local entries past maxEntries', () => {
+        this.stubs.redisMGet = sinon.stub(redisRO, 'mget', keys =>
+          Promise.resolve(keys.map(() => JSON.stringify(this.data.json)))
+        );
+
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          localCache: { maxEntries: 1 },
+        });
+
+        return loader
+          .load('a')
+          .then(() => loader.load('b'))
+          .then(() => loader.load('b'))
+          .then(() => {
+            expect(this.stubs.redisMGet.callCount).to.equal(2);
+            return loader.load('a');
+          })
+          .then(() => {
+            expect(this.stubs.redisMGet.callCount).to.equal(3);
+          });
+      });
+
       it('should load null values', () =>
         this.loader
           .load('null')
@@ -172,6 +224,59 @@ module.exports = ({ name, redis, redis_ro }) => {
             expect(data).to.be.null;
           }));
 
+      it('should not cache null results in redis by default', () =>
+        this.noCacheLoader
+          .load('null')
+          .then(() => this.noCacheLoader.load('null'))
+          .then(data => {
+            expect(data).to.be.null;
+            expect(this.loadFn.callCount).to.equal(2);
+          }));
+
+      it('should cache null results in redis with negativeCache', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          negativeCache: true,
+        });
+
+        return loader
+          .load('null')
+          .then(() => this.rGet(`${this.keySpace}:null`))
+          .then(raw => {
+            expect(raw).to.equal('');
+            return loader.load('null');
+          })
+          .then(data => {
+            expect(data).to.be.null;
+            expect(this.loadFn.callCount).to.equal(1);
+          });
+      });
+
+      it('should expire cached nulls after negativeExpire', done => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          expire: 60,
+          negativeCache: true,
+          negativeExpire: 1,
+        });
+
+        loader
+          .load('null')
+          .then(() => {
+            setTimeout(() => {
+              loader
+                .load('null')
+                .then(data => {
+                  expect(data).to.be.null;
+                  expect(this.loadFn.callCount).to.equal(2);
+                  done();
+                })
+                .catch(done);
+            }, 1100);
+          })
+          .catch(done);
+      });
+
       it('should handle redis key expiration if set', done => {
         const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
           cache: false,
@@ -195,6 +300,39 @@ module.exports = ({ name, redis, redis_ro }) => {
           .catch(done);
       });
 
+      it('should serve stale values and refresh them after softExpire', done => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          expire: 60,
+          softExpire: 1,
+        });
+
+        loader
+          .load('json')
+          .then(() => {
+            this.loadFn.withArgs('json').returns(Promise.resolve({ fresh: true }));
+            setTimeout(() => {
+              loader
+                .load('json')
+                .then(data => {
+                  expect(data).to.deep.equal(this.data.json);
+                  setTimeout(() => {
+                    loader
+                      .load('json')
+                      .then(data => {
+                        expect(data).to.deep.equal({ fresh: true });
+                        expect(this.loadFn.callCount).to.equal(2);
+                        done();
+                      })
+                      .catch(done);
+                  }, 50);
+                })
+                .catch(done);
+            }, 1100);
+          })
+          .catch(done);
+      });
+
       it('should handle custom serialize and deserialize method', () => {
         const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
           serialize: v => 100,
@@ -207,11 +345,75 @@ module.exports = ({ name, redis, redis_ro }) => {
         });
       });
 
-      it('should handle optional keySpace', () => {
-        this.stubs.redisMGet = sinon.stub(redis, 'mget', (keys, cb) => {
-          cb(null, [JSON.stringify(this.data.json)]);
+      it('should round trip dates, maps, sets and bigints with the typedJson codec', () => {
+        const value = {
+          at: new Date(100),
+          tags: new Set(['a']),
+          counts: new Map([['a', 1]]),
+          big: BigInt(2) ** BigInt(70),
+        };
+        this.loadFn.withArgs('typed').returns(Promise.resolve(value));
+
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          codec: codecs.typedJson,
+        });
+
+        return loader
+          .load('typed')
+          .then(() => loader.load('typed'))
+          .then(data => {
+            expect(data).to.deep.equal(value);
+            expect(this.loadFn.callCount).to.equal(1);
+          });
+      });
+
+      it('should store binary values with the msgpack codec', () => {
+        const value = { blob: Buffer.from([0, 1, 2]), n: -3, s: 'str' };
+        this.loadFn.withArgs('packed').returns(Promise.resolve(value));
+
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          codec: codecs.msgpack,
         });
 
+        return loader
+          .load('packed')
+          .then(() => loader.load('packed'))
+          .then(data => {
+            expect(Buffer.isBuffer(data.blob)).to.be.true;
+            expect(data).to.deep.equal(value);
+          });
+      });
+
+      it('should cache non object values', () => {
+        this.loadFn.withArgs('string').returns(Promise.resolve('plain'));
+
+        return this.noCacheLoader
+          .load('string')
+          .then(() => this.noCacheLoader.load('string'))
+          .then(data => {
+            expect(data).to.equal('plain');
+            expect(this.loadFn.callCount).to.equal(1);
+          });
+      });
+
+      it('should wrap the keySpace in a hash tag with hashTag', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { hashTag: true });
+
+        return this.rDel(`{${this.keySpace}}:json`)
+          .then(() => loader.load('json'))
+          .then(() => this.rGet(`{${this.keySpace}}:json`))
+          .then(data => {
+            expect(JSON.parse(data)).to.deep.equal(this.data.json);
+          });
+      });
+
+      it('should handle optional keySpace', () => {
+        this.stubs.redisMGet = sinon.stub(redisRO, 'mget', keys =>
+          Promise.resolve([JSON.stringify(this.data.json)])
+        );
+
         const loader = new RedisDataLoader(null, this.userLoader());
 
         return loader
@@ -224,126 +426,1516 @@ module.exports = ({ name, redis, redis_ro }) => {
       });
     });
 
-    describe('loadMany', () => {
-      it('should load multiple keys', () =>
-        Promise.all((['json', 'null']).map((k) => this.loader.load(k))).then(results => {
-          expect(results).to.deep.equal([this.data.json, this.data.null]);
-        }));
+    describe('errors', () => {
+      beforeEach(() => {
+        // resolving with an Error rejects just that key of a DataLoader batch
+        this.loadFn.withArgs('bad').returns(Promise.resolve(new Error('boom')));
+        // fails every read and write, on the replica and the primary
+        this.failRedis = () => {
+          const fail = () => Promise.reject(new Error('connection refused'));
+          this.stubs.redisROMGet = sinon.stub(redisRO, 'mget', fail);
+          this.stubs.redisMGet = sinon.stub(redisRW, 'mget', fail);
+          this.stubs.redisSet = sinon.stub(redisRW, 'set', fail);
+        };
+        return this.rDel(`${this.keySpace}:bad`);
+      });
 
-      it('should handle object key', () =>
-        Promise.all(([{ a: 1, b: 2 }]).map((k) => this.loader.load(k))).then(results => {
-          expect(results).to.deep.equal([{ bar: 'baz' }]);
+      it('should only reject the key that failed', () =>
+        Promise.all(
+          ['json', 'bad'].map(k => this.loader.load(k).catch(err => err))
+        ).then(([json, bad]) => {
+          expect(json).to.deep.equal(this.data.json);
+          expect(bad).to.be.instanceof(Error);
+          expect(bad.message).to.equal('boom');
         }));
 
-      it('should handle empty array', () =>
-        Promise.all(([]).map((k) => this.loader.load(k))).then(results => {
-          expect(results).to.deep.equal([]);
-        }));
+      it('should treat values that fail to decode as misses', () => {
+        const onRedisError = sinon.spy();
+        const Loader = createRedisDataLoader({ redisRW, redisRO, onRedisError });
+        const loader = new Loader(this.keySpace, this.userLoader(), { cache: false });
 
-      it('should require array', () =>
-        expect(this.loader.loadMany()).to.be.rejectedWith(TypeError));
+        return Promise.all([
+          this.rSet(`${this.keySpace}:json`, '{not json'),
+          this.rSet(`${this.keySpace}:string`, JSON.stringify('cached')),
+        ])
+          .then(() => loader.loadMany(['json', 'string']))
+          .then(data => {
+            expect(data).to.deep.equal([this.data.json, 'cached']);
+            expect(this.loadFn.callCount).to.equal(1);
+            expect(this.loadFn.firstCall.args[0]).to.equal('json');
+            expect(onRedisError.callCount).to.equal(0);
+            return this.rGet(`${this.keySpace}:json`);
+          })
+          .then(data => {
+            expect(JSON.parse(data)).to.deep.equal(this.data.json);
+          });
+      });
 
-      it('should handle custom cacheKeyFn', () => {
-        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
-          cacheKeyFn: key => `foo-${key}`,
-        });
+      it('should fall back to the user loader when redis reads fail', () => {
+        this.failRedis();
 
-        loader.loadMany(['json', 'null']).then(results => {
-          expect(results).to.deep.equal([this.data.json, this.data.null]);
+        return this.noCacheLoader.load('json').then(data => {
+          expect(data).to.deep.equal(this.data.json);
+          expect(this.loadFn.callCount).to.equal(1);
         });
       });
 
-      it('should use local cache on second load when using custom cacheKeyFn', () => {
-        this.stubs.redisMGet = sinon.stub(redis, 'mget', (keys, cb) => {
-          cb(null, [JSON.stringify(this.data.json)]);
-        });
+      it('should reject keys when redis reads fail and failOpen is false', () => {
+        this.failRedis();
 
         const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
-          cacheKeyFn: key => `foo-${key}`,
+          failOpen: false,
+        });
+
+        return expect(loader.load('json'))
+          .to.be.rejectedWith('connection refused')
+          .then(() => {
+            expect(this.loadFn.callCount).to.equal(0);
+          });
+      });
+
+      it('should report redis errors and skip redis once the circuit opens', () => {
+        this.failRedis();
+
+        const onRedisError = sinon.spy();
+        const onCircuitStateChange = sinon.spy();
+        const Loader = createRedisDataLoader({
+          redisRW,
+          redisRO,
+          circuitBreaker: { failureThreshold: 2, cooldown: 60000 },
+          onRedisError,
+          onCircuitStateChange,
         });
+        const loader = new Loader(this.keySpace, this.userLoader(), { cache: false });
 
         return loader
-          .loadMany(['json'])
+          .load('json')
+          .then(() => loader.load('json'))
+          .then(() => loader.load('json'))
           .then(data => {
-            expect(this.loadFn.callCount).to.equal(0);
-            expect(this.stubs.redisMGet.args[0][0]).to.deep.equal([
-              'key-space:foo-json',
-            ]);
+            expect(data).to.deep.equal(this.data.json);
+            // the failed read and the failed write open the circuit
             expect(this.stubs.redisMGet.callCount).to.equal(1);
-            return loader.loadMany(['json']);
+            expect(onRedisError.firstCall.args[1]).to.deep.equal({
+              operation: 'read',
+              keySpace: this.keySpace,
+            });
+            expect(onCircuitStateChange.calledWith('open')).to.be.true;
+          });
+      });
+
+      it('should load from the user loader when redis reads time out', () => {
+        const hang = () => new Promise(() => {});
+        this.stubs.redisROMGet = sinon.stub(redisRO, 'mget', hang);
+        this.stubs.redisMGet = sinon.stub(redisRW, 'mget', hang);
+
+        const onRedisError = sinon.spy();
+        const Loader = createRedisDataLoader({ redisRW, redisRO, readTimeout: 20, onRedisError });
+        const loader = new Loader(this.keySpace, this.userLoader(), { cache: false });
+
+        return loader.load('json').then(data => {
+          expect(data).to.deep.equal(this.data.json);
+          expect(this.loadFn.callCount).to.equal(1);
+          expect(onRedisError.firstCall.args[0].message).to.match(/timed out/);
+        });
+      });
+
+      it('should close the circuit again once redis recovers', () => {
+        this.failRedis();
+
+        const onCircuitStateChange = sinon.spy();
+        const Loader = createRedisDataLoader({
+          redisRW,
+          redisRO,
+          circuitBreaker: { failureThreshold: 2, cooldown: 20 },
+          onCircuitStateChange,
+        });
+        const loader = new Loader(this.keySpace, this.userLoader(), { cache: false });
+
+        return loader
+          .load('json')
+          .then(() => {
+            _.each(this.stubs, s => s.restore());
+            this.stubs = {};
+            return new Promise(resolve => setTimeout(resolve, 30));
           })
+          .then(() => loader.load('json'))
           .then(data => {
-            expect(this.loadFn.callCount).to.equal(0);
-            expect(this.stubs.redisMGet.callCount).to.equal(1);
+            expect(data).to.deep.equal(this.data.json);
+            expect(onCircuitStateChange.args.map(([state]) => state)).to.deep.equal(['open', 'half-open', 'closed']);
           });
       });
-    });
 
-    describe('prime', () => {
-      it('should set cache', () =>
-        this.loader
-          .prime('json', { new: 'value' })
-          .then(() => this.loader.load('json'))
-          .then(data => {
-            expect(data).to.deep.equal({ new: 'value' });
-          }));
+      it('should cache errors for errorExpire seconds', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          errorExpire: 5,
+        });
 
-      it('should handle object key', () =>
-        this.loader
-          .prime({ a: 1, b: 2 }, { new: 'val' })
-          .then(() => this.loader.load({ a: 1, b: 2 }))
-          .then(data => {
-            expect(data).to.deep.equal({ new: 'val' });
-          }));
+        return expect(loader.load('bad'))
+          .to.be.rejectedWith('boom')
+          .then(() => expect(loader.load('bad')).to.be.rejectedWith('boom'))
+          .then(() => {
+            expect(this.loadFn.callCount).to.equal(1);
+          });
+      });
 
-      it('should handle primeing without local cache', () =>
-        this.noCacheLoader
-          .prime('json', { new: 'value' })
-          .then(() => this.noCacheLoader.load('json'))
-          .then(data => {
-            expect(data).to.deep.equal({ new: 'value' });
+      it('should not cache errors by default', () =>
+        expect(this.noCacheLoader.load('bad'))
+          .to.be.rejectedWith('boom')
+          .then(() => expect(this.noCacheLoader.load('bad')).to.be.rejectedWith('boom'))
+          .then(() => {
+            expect(this.loadFn.callCount).to.equal(2);
           }));
+    });
 
-      it('should require key', () =>
-        expect(
-          this.loader.prime(undefined, { new: 'value' })
-        ).to.be.rejectedWith(TypeError));
+    describe('stampede lock', () => {
+      beforeEach(() => {
+        this.loadFn
+          .withArgs('slow')
+          .returns(new Promise(resolve => setTimeout(() => resolve({ slow: true }), 100)));
+        return mapPromise([`${this.keySpace}:slow`, `redis-dataloader:lock:${this.keySpace}:slow`], this.rDel);
+      });
 
-      it('should require value', () =>
-        expect(this.loader.prime('json')).to.be.rejectedWith(TypeError));
+      it('should only call one user loader for concurrent misses', () => {
+        const options = { cache: false, stampedeLock: { lease: 1000, pollInterval: 10 } };
+        const first = new RedisDataLoader(this.keySpace, this.userLoader(), options);
+        const second = new RedisDataLoader(this.keySpace, this.userLoader(), options);
 
-      it('should allow null for value', () =>
-        this.loader
-          .prime('json', null)
-          .then(() => this.loader.load('json'))
+        return Promise.all([first.load('slow'), second.load('slow')]).then(results => {
+          expect(results).to.deep.equal([{ slow: true }, { slow: true }]);
+          expect(this.loadFn.withArgs('slow').callCount).to.equal(1);
+        });
+      });
+
+      it('should load directly once the lease runs out', () => {
+        const options = { cache: false, stampedeLock: { lease: 50, pollInterval: 10 } };
+
+        return this.rSet('redis-dataloader:lock:key-space:slow', 'someone-else')
+          .then(() => new RedisDataLoader(this.keySpace, this.userLoader(), options).load('slow'))
           .then(data => {
-            expect(data).to.be.null;
-          }));
+            expect(data).to.deep.equal({ slow: true });
+            expect(this.loadFn.withArgs('slow').callCount).to.equal(1);
+          });
+      });
     });
 
-    describe('clear', () => {
-      it('should clear cache', () =>
-        this.loader
+    describe('metrics', () => {
+      beforeEach(() => {
+        this.metrics = {
+          localHit: sinon.spy(),
+          redisHit: sinon.spy(),
+          miss: sinon.spy(),
+          redisLatency: sinon.spy(),
+          loaderLatency: sinon.spy(),
+        };
+        const Loader = createRedisDataLoader({ redisRW, redisRO, metrics: this.metrics });
+        this.metricsLoader = new Loader(this.keySpace, this.userLoader());
+      });
+
+      it('should report misses, redis hits and local hits', () =>
+        this.metricsLoader
           .load('json')
-          .then(() => this.loader.clear('json'))
-          .then(() => this.loader.load('json'))
-          .then(data => {
-            expect(data).to.deep.equal(this.data.json);
-            expect(this.loadFn.callCount).to.equal(2);
+          .then(() => this.metricsLoader.clearLocal('json'))
+          .then(() => this.metricsLoader.load('json'))
+          .then(() => this.metricsLoader.load('json'))
+          .then(() => {
+            expect(this.metrics.miss.firstCall.args[0]).to.deep.equal({ keySpace: this.keySpace, count: 1 });
+            expect(this.metrics.redisHit.callCount).to.equal(1);
+            expect(this.metrics.localHit.callCount).to.equal(1);
           }));
 
-      it('should handle object key', () =>
-        this.loader
-          .load({ a: 1, b: 2 })
-          .then(() => this.loader.clear({ a: 1, b: 2 }))
-          .then(() => this.loader.load({ a: 1, b: 2 }))
-          .then(data => {
-            expect(data).to.deep.equal({ bar: 'baz' });
-            expect(this.loadFn.callCount).to.equal(2);
-          }));
+      it('should report redis and user loader latency', () =>
+        this.metricsLoader.load('json').then(() => {
+          expect(this.metrics.redisLatency.firstCall.args[0].operation).to.equal('read');
+          expect(this.metrics.redisLatency.firstCall.args[0].duration).to.be.a('number');
+          expect(this.metrics.loaderLatency.callCount).to.equal(1);
+        }));
 
-      it('should require a key', () =>
-        expect(this.loader.clear()).to.be.rejectedWith(TypeError));
+      it('should wrap each batch in a span', () => {
+        const span = {
+          setAttribute: sinon.spy(),
+          recordException: sinon.spy(),
+          setStatus: sinon.spy(),
+          end: sinon.spy(),
+        };
+        const tracer = { startSpan: sinon.stub().returns(span) };
+        const Loader = createRedisDataLoader({ redisRW, redisRO, tracer });
+
+        return new Loader(this.keySpace, this.userLoader()).load('json').then(() => {
+          expect(tracer.startSpan.firstCall.args[0]).to.equal('redis-dataloader batch');
+          expect(span.setAttribute.calledWith('redis_dataloader.miss', 1)).to.be.true;
+          expect(span.end.callCount).to.equal(1);
+        });
+      });
+    });
+
+    describe('replicas', () => {
+      it('should read from the primary when a replica read fails', () => {
+        this.stubs.redisROMGet = sinon.stub(redisRO, 'mget', () =>
+          Promise.reject(new Error('connection refused'))
+        );
+
+        return this.rSet(`${this.keySpace}:json`, JSON.stringify({ from: 'primary' }))
+          .then(() => this.noCacheLoader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ from: 'primary' });
+            expect(this.loadFn.callCount).to.equal(0);
+          });
+      });
+
+      it('should read from the primary and skip a replica that times out', () => {
+        this.stubs.redisROMGet = sinon.stub(redisRO, 'mget', () => new Promise(() => {}));
+        const replicaFallback = sinon.spy();
+        const Loader = createRedisDataLoader({ redisRW, redisRO, readTimeout: 20, metrics: { replicaFallback } });
+        const loader = new Loader(this.keySpace, this.userLoader(), { cache: false });
+
+        return this.rSet(`${this.keySpace}:json`, JSON.stringify({ from: 'primary' }))
+          .then(() => loader.load('json'))
+          .then(() => loader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ from: 'primary' });
+            expect(this.loadFn.callCount).to.equal(0);
+            expect(replicaFallback.callCount).to.equal(1);
+            expect(this.stubs.redisROMGet.callCount).to.equal(1);
+          });
+      });
+
+      describe('pool', () => {
+        beforeEach(() => {
+          // three replicas over the one connection, told apart by identity
+          this.replicas = [1, 2, 3].map(() => Object.create(redisRO));
+          this.reads = this.replicas.map(replica => sinon.spy(replica, 'mget'));
+          this.poolLoader = (replicas, extra) => {
+            this.Loader = createRedisDataLoader({ redisRW, redisRO: this.replicas, replicas, ...extra });
+            return new this.Loader(this.keySpace, this.userLoader(), { cache: false });
+          };
+          return this.rSet(`${this.keySpace}:json`, JSON.stringify(this.data.json));
+        });
+
+        afterEach(() => this.Loader && this.Loader.close());
+
+        it('should spread reads round-robin', () => {
+          const loader = this.poolLoader({ strategy: 'round-robin' });
+
+          return [1, 2, 3, 4, 5, 6]
+            .reduce(promise => promise.then(() => loader.load('json')), Promise.resolve())
+            .then(() => {
+              expect(this.reads.map(read => read.callCount)).to.deep.equal([2, 2, 2]);
+            });
+        });
+
+        it('should prefer the fastest replica with least-latency', () => {
+          this.reads[0].restore();
+          const mget = redisRO.mget.bind(redisRO);
+          this.reads[0] = sinon.stub(this.replicas[0], 'mget', (...args) =>
+            new Promise(resolve => setTimeout(resolve, 20)).then(() => mget(...args)));
+          const loader = this.poolLoader({ strategy: 'least-latency' });
+
+          return [1, 2, 3, 4]
+            .reduce(promise => promise.then(() => loader.load('json')), Promise.resolve())
+            .then(() => {
+              // every replica starts out equal, and the slow one is avoided after its first read
+              expect(this.reads[0].callCount).to.equal(1);
+              expect(this.reads[1].callCount + this.reads[2].callCount).to.equal(3);
+            });
+        });
+
+        it('should skip replicas the health check finds down or lagging', () => {
+          const infos = [
+            'master_link_status:down\r\nmaster_last_io_seconds_ago:-1\r\n',
+            'master_link_status:up\r\nmaster_last_io_seconds_ago:10\r\n',
+            'master_link_status:up\r\nmaster_last_io_seconds_ago:1\r\n',
+          ];
+          this.replicas.forEach((replica, i) => sinon.stub(replica, 'info', () => Promise.resolve(infos[i])));
+          const loader = this.poolLoader({ healthCheckInterval: 10, maxLag: 2, cooldown: 60000 });
+
+          return new Promise(resolve => setTimeout(resolve, 30))
+            .then(() => mapPromise([1, 2, 3], n => loader.load(`key-${n}`)))
+            .then(() => {
+              expect(this.reads.map(read => read.callCount)).to.deep.equal([0, 0, 1]);
+            });
+        });
+
+        it('should stop health checks once closed', () => {
+          const checks = this.replicas.map(replica => sinon.stub(replica, 'info', () => Promise.resolve('master_link_status:up\r\n')));
+          const count = () => _.sumBy(checks, check => check.callCount);
+          this.poolLoader({ healthCheckInterval: 10 });
+          let closedAt;
+
+          return new Promise(resolve => setTimeout(resolve, 30))
+            .then(() => this.Loader.close())
+            .then(() => {
+              closedAt = count();
+              expect(closedAt).to.be.above(0);
+              return new Promise(resolve => setTimeout(resolve, 30));
+            })
+            .then(() => {
+              expect(count()).to.equal(closedAt);
+            });
+        });
+      });
+
+      it('should read recently primed keys from the primary with readYourWrites', () => {
+        this.stubs.redisROMGet = sinon.stub(redisRO, 'mget', keys =>
+          Promise.resolve(keys.map(() => JSON.stringify({ stale: true })))
+        );
+
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          readYourWrites: 1000,
+        });
+
+        return loader
+          .prime('json', { new: 'value' })
+          .then(() => loader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ new: 'value' });
+            expect(this.stubs.redisROMGet.callCount).to.equal(0);
+          });
+      });
+    });
+
+    describe('conformance', () => {
+      it('should pass every check', () =>
+        runConformance({ redisRW, redisRO }).then(results => {
+          expect(results.length).to.be.above(0);
+          expect(results.filter(result => !result.passed)).to.deep.equal([]);
+        }));
+    });
+
+    describe('hashSlot', () => {
+      it('should match the slots redis cluster uses', () => {
+        expect(hashSlot('123456789')).to.equal(12739);
+        expect(hashSlot('foo')).to.equal(12182);
+      });
+
+      it('should only hash the hash tag', () => {
+        expect(hashSlot('{user1000}.following')).to.equal(hashSlot('user1000'));
+      });
+    });
+
+    describe('adapters', () => {
+      it('should wrap node-redis and ioredis clients', () => {
+        const ioredis = { mgetBuffer: () => {}, pipeline: () => {} };
+
+        expect(toAdapter(require('redis').createClient())).to.be.instanceof(NodeRedisAdapter);
+        expect(toAdapter(ioredis)).to.be.instanceof(IORedisAdapter);
+        expect(toAdapter(redisRW)).to.equal(redisRW);
+      });
+
+      it('should reject unknown clients', () => {
+        expect(() => toAdapter({})).to.throw(TypeError);
+      });
+
+      it('should send ioredis set options as arguments', () => {
+        const pipeline = { set: sinon.spy(), exec: () => Promise.resolve([[null, 'OK'], [null, null]]) };
+        const adapter = toAdapter({ mgetBuffer: () => {}, pipeline: () => pipeline });
+
+        return adapter
+          .set([
+            { key: 'a', value: '1', expire: 5 },
+            { key: 'b', value: '2', expireMs: 50, onlyIfMissing: true },
+          ])
+          .then(written => {
+            expect(written).to.deep.equal([true, false]);
+            expect(pipeline.set.firstCall.args).to.deep.equal(['a', '1', 'EX', 5]);
+            expect(pipeline.set.secondCall.args).to.deep.equal(['b', '2', 'PX', 50, 'NX']);
+          });
+      });
+
+      it('should split node-redis cluster commands by hash slot and keep key order', () => {
+        const data = new Map();
+        const sameSlot = keys => {
+          if (new Set(keys.map(hashSlot)).size > 1) {
+            throw new Error('CROSSSLOT Keys in request don\'t hash to the same slot');
+          }
+        };
+        // slots answer after different delays, so replies arrive out of order
+        const reply = (keys, fn) => new Promise((resolve, reject) => {
+          setTimeout(() => {
+            try {
+              sameSlot(keys);
+              resolve(fn());
+            } catch (ex) {
+              reject(ex);
+            }
+          }, hashSlot(keys[0]) % 5);
+        });
+        const cluster = {
+          getSlotMaster: () => {},
+          mGet: sinon.spy((options, keys) => reply(keys, () => keys.map(k => (data.has(k) ? data.get(k) : null)))),
+          unlink: keys => reply(keys, () => keys.forEach(k => data.delete(k))),
+          multi: routingKey => {
+            const sets = [];
+            return {
+              set: (key, value) => sets.push([key, value]),
+              execAsPipeline: () => reply([routingKey, ...sets.map(([key]) => key)], () =>
+                sets.map(([key, value]) => data.set(key, value) && 'OK')),
+            };
+          },
+        };
+        const adapter = toAdapter(cluster);
+        const keys = ['a', 'b', 'c', '{tag}1', 'd', '{tag}2', 'e'];
+
+        expect(adapter).to.be.instanceof(NodeRedisAdapter);
+        return adapter
+          .set(keys.map(key => ({ key, value: `value of ${key}` })))
+          .then(written => {
+            expect(written).to.deep.equal(keys.map(() => true));
+            return adapter.mget(keys.concat('missing'));
+          })
+          .then(values => {
+            expect(values).to.deep.equal(keys.map(key => `value of ${key}`).concat(null));
+            expect(cluster.mGet.callCount).to.equal(new Set(keys.concat('missing').map(hashSlot)).size);
+            return adapter.del(keys);
+          })
+          .then(() => {
+            expect(data.size).to.equal(0);
+          });
+      });
+
+      it('should only set missing keys with onlyIfMissing', () =>
+        mapPromise([`${this.keySpace}:a`, `${this.keySpace}:b`], this.rDel)
+          .then(() => this.rSet(`${this.keySpace}:a`, 'old'))
+          .then(() => redisRW.set([
+            { key: `${this.keySpace}:a`, value: 'new', onlyIfMissing: true },
+            { key: `${this.keySpace}:b`, value: 'new', onlyIfMissing: true },
+          ]))
+          .then(written => {
+            expect(written).to.deep.equal([false, true]);
+            return this.rGet(`${this.keySpace}:a`);
+          })
+          .then(data => {
+            expect(data).to.equal('old');
+          }));
+
+      it('should only delete keys still holding the value with delIfEquals', () =>
+        this.rSet(`${this.keySpace}:a`, 'mine')
+          .then(() => redisRW.delIfEquals(`${this.keySpace}:a`, 'theirs'))
+          .then(deleted => {
+            expect(deleted).to.be.false;
+            return redisRW.delIfEquals(`${this.keySpace}:a`, 'mine');
+          })
+          .then(deleted => {
+            expect(deleted).to.be.true;
+          }));
+
+      it('should only set keys still holding the value with setIfEquals', () =>
+        this.rSet(`${this.keySpace}:a`, 'mine')
+          .then(() => redisRW.setIfEquals({ key: `${this.keySpace}:a`, value: 'new' }, null))
+          .then(written => {
+            expect(written).to.be.false;
+            return redisRW.setIfEquals({ key: `${this.keySpace}:a`, value: 'new' }, 'mine');
+          })
+          .then(written => {
+            expect(written).to.be.true;
+            return this.rGet(`${this.keySpace}:a`);
+          })
+          .then(data => {
+            expect(data).to.equal('new');
+          }));
+
+      it('should add to sets and take them', () =>
+        redisRW
+          .takeSet('tag:test')
+          .then(() => redisRW.sadd([{ key: 'tag:test', members: ['a', 'b'], expire: 60 }]))
+          .then(() => redisRW.sadd([{ key: 'tag:test', members: ['b', 'c'], expire: 5 }]))
+          .then(() => redisRW.pttl(['tag:test']))
+          .then(([ttl]) => {
+            expect(ttl).to.be.within(59000, 60000);
+            return redisRW.takeSet('tag:test');
+          })
+          .then(members => {
+            expect(members.sort()).to.deep.equal(['a', 'b', 'c']);
+            return redisRW.takeSet('tag:test');
+          })
+          .then(members => {
+            expect(members).to.deep.equal([]);
+          }));
+    });
+
+    describe('loadMany', () => {
+      it('should load multiple keys', () =>
+        Promise.all((['json', 'null']).map((k) => this.loader.load(k))).then(results => {
+          expect(results).to.deep.equal([this.data.json, this.data.null]);
+        }));
+
+      it('should handle object key', () =>
+        Promise.all(([{ a: 1, b: 2 }]).map((k) => this.loader.load(k))).then(results => {
+          expect(results).to.deep.equal([{ bar: 'baz' }]);
+        }));
+
+      it('should handle empty array', () =>
+        Promise.all(([]).map((k) => this.loader.load(k))).then(results => {
+          expect(results).to.deep.equal([]);
+        }));
+
+      it('should require array', () =>
+        expect(this.loader.loadMany()).to.be.rejectedWith(TypeError));
+
+      it('should handle custom cacheKeyFn', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cacheKeyFn: key => `foo-${key}`,
+        });
+
+        loader.loadMany(['json', 'null']).then(results => {
+          expect(results).to.deep.equal([this.data.json, this.data.null]);
+        });
+      });
+
+      it('should use local cache on second load when using custom cacheKeyFn', () => {
+        this.stubs.redisMGet = sinon.stub(redisRO, 'mget', keys =>
+          Promise.resolve([JSON.stringify(this.data.json)])
+        );
+
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cacheKeyFn: key => `foo-${key}`,
+        });
+
+        return loader
+          .loadMany(['json'])
+          .then(data => {
+            expect(this.loadFn.callCount).to.equal(0);
+            expect(this.stubs.redisMGet.args[0][0]).to.deep.equal([
+              'key-space:foo-json',
+            ]);
+            expect(this.stubs.redisMGet.callCount).to.equal(1);
+            return loader.loadMany(['json']);
+          })
+          .then(data => {
+            expect(this.loadFn.callCount).to.equal(0);
+            expect(this.stubs.redisMGet.callCount).to.equal(1);
+          });
+      });
+    });
+
+    describe('prime', () => {
+      it('should set cache', () =>
+        this.loader
+          .prime('json', { new: 'value' })
+          .then(() => this.loader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ new: 'value' });
+          }));
+
+      it('should handle object key', () =>
+        this.loader
+          .prime({ a: 1, b: 2 }, { new: 'val' })
+          .then(() => this.loader.load({ a: 1, b: 2 }))
+          .then(data => {
+            expect(data).to.deep.equal({ new: 'val' });
+          }));
+
+      it('should handle primeing without local cache', () =>
+        this.noCacheLoader
+          .prime('json', { new: 'value' })
+          .then(() => this.noCacheLoader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ new: 'value' });
+          }));
+
+      it('should require key', () =>
+        expect(
+          this.loader.prime(undefined, { new: 'value' })
+        ).to.be.rejectedWith(TypeError));
+
+      it('should require value', () =>
+        expect(this.loader.prime('json')).to.be.rejectedWith(TypeError));
+
+      it('should allow null for value', () =>
+        this.loader
+          .prime('json', null)
+          .then(() => this.loader.load('json'))
+          .then(data => {
+            expect(data).to.be.null;
+          }));
+
+      it('should call writeThrough before writing to redis', () => {
+        const writeThrough = sinon.spy(() =>
+          this.rGet(`${this.keySpace}:json`).then(data => {
+            expect(data).to.be.null;
+          })
+        );
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { writeThrough });
+
+        return loader
+          .prime('json', { new: 'value' })
+          .then(() => {
+            expect(writeThrough.firstCall.args).to.deep.equal([[{ key: 'json', value: { new: 'value' } }]]);
+            return this.rGet(`${this.keySpace}:json`);
+          })
+          .then(data => {
+            expect(JSON.parse(data)).to.deep.equal({ new: 'value' });
+          });
+      });
+
+      it('should not cache values writeThrough rejects', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          writeThrough: () => Promise.reject(new Error('db down')),
+        });
+
+        return expect(loader.prime('json', { new: 'value' }))
+          .to.be.rejectedWith('db down')
+          .then(() => loader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+          });
+      });
+
+      it('should call writeBehind after writing to redis', () => {
+        let cached;
+        const written = new Promise(resolve => {
+          const writeBehind = entries =>
+            this.rGet(`${this.keySpace}:json`).then(data => {
+              cached = data;
+              resolve(entries);
+            });
+          new RedisDataLoader(this.keySpace, this.userLoader(), { writeBehind }).prime('json', { new: 'value' });
+        });
+
+        return written.then(entries => {
+          expect(entries).to.deep.equal([{ key: 'json', value: { new: 'value' } }]);
+          expect(JSON.parse(cached)).to.deep.equal({ new: 'value' });
+        });
+      });
+    });
+
+    describe('primeMany', () => {
+      it('should set every key', () =>
+        this.loader
+          .primeMany([
+            { key: 'json', value: { new: 'value' } },
+            { key: 'null', value: { not: 'null' } },
+          ])
+          .then(() => Promise.all([this.rGet(`${this.keySpace}:json`), this.loader.load('null')]))
+          .then(([raw, data]) => {
+            expect(JSON.parse(raw)).to.deep.equal({ new: 'value' });
+            expect(data).to.deep.equal({ not: 'null' });
+            expect(this.loadFn.callCount).to.equal(0);
+          }));
+
+      it('should write in one round trip', () => {
+        const set = sinon.spy(redisRW, 'set');
+        this.stubs.set = set;
+
+        return this.loader
+          .primeMany([{ key: 'json', value: 1 }, { key: 'null', value: 2 }])
+          .then(() => {
+            expect(set.callCount).to.equal(1);
+            expect(set.firstCall.args[0]).to.have.length(2);
+          });
+      });
+
+      it('should require a key and value for every entry', () =>
+        Promise.all([
+          expect(this.loader.primeMany()).to.be.rejectedWith(TypeError),
+          expect(this.loader.primeMany([{ key: 'json' }])).to.be.rejectedWith(TypeError),
+        ]));
+    });
+
+    describe('update', () => {
+      it('should write what the mutator returns', () =>
+        this.loader
+          .prime('json', { count: 1 })
+          .then(() => this.loader.update('json', value => ({ count: value.count + 1 })))
+          .then(data => {
+            expect(data).to.deep.equal({ count: 2 });
+            return Promise.all([this.loader.load('json'), this.rGet(`${this.keySpace}:json`)]);
+          })
+          .then(([data, raw]) => {
+            expect(data).to.deep.equal({ count: 2 });
+            expect(JSON.parse(raw)).to.deep.equal({ count: 2 });
+          }));
+
+      it('should load keys redis does not have from the user loader', () =>
+        this.loader
+          .update('json', value => ({ ...value, updated: true }))
+          .then(data => {
+            expect(data).to.deep.equal({ foo: 'bar', updated: true });
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should not lose concurrent updates', () =>
+        this.loader
+          .prime('json', { count: 0 })
+          .then(() => Promise.all(_.times(3, () =>
+            this.loader.update('json', value => ({ count: value.count + 1 })))))
+          .then(() => this.rGet(`${this.keySpace}:json`))
+          .then(raw => {
+            expect(JSON.parse(raw)).to.deep.equal({ count: 3 });
+          }));
+
+      it('should call writeThrough again with the new value on each retry', () => {
+        const writeThrough = sinon.spy(() => Promise.resolve());
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { writeThrough });
+        let calls = 0;
+
+        return this.rSet(`${this.keySpace}:json`, JSON.stringify({ count: 0 }))
+          .then(() => loader.update('json', value => {
+            // someone else writes the key while the first attempt is running
+            const write = ++calls === 1 ? this.rSet(`${this.keySpace}:json`, JSON.stringify({ count: 10 })) : null;
+            return Promise.resolve(write).then(() => ({ count: value.count + 1 }));
+          }))
+          .then(data => {
+            expect(data).to.deep.equal({ count: 11 });
+            expect(calls).to.equal(2);
+            expect(writeThrough.callCount).to.equal(2);
+            expect(writeThrough.firstCall.args[0]).to.deep.equal([{ key: 'json', value: { count: 1 } }]);
+            expect(writeThrough.secondCall.args[0]).to.deep.equal([{ key: 'json', value: { count: 11 } }]);
+          });
+      });
+
+      it('should leave the cached value when writeThrough rejects', () => {
+        const writeThrough = () => Promise.reject(new Error('db down'));
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { writeThrough });
+
+        return this.rSet(`${this.keySpace}:json`, JSON.stringify({ count: 0 }))
+          .then(() => expect(loader.update('json', value => ({ count: value.count + 1 }))).to.be.rejectedWith('db down'))
+          .then(() => this.rGet(`${this.keySpace}:json`))
+          .then(raw => {
+            expect(JSON.parse(raw)).to.deep.equal({ count: 0 });
+          });
+      });
+
+      it('should reject hash storage', () =>
+        expect(
+          new RedisDataLoader(this.keySpace, this.userLoader(), { storage: 'hash' }).update('json', v => v)
+        ).to.be.rejectedWith(TypeError));
+    });
+
+    describe('expire', () => {
+      beforeEach(() => {
+        this.stubs.set = sinon.spy(redisRW, 'set');
+        this.expires = () => _.fromPairs(
+          _.flatMap(this.stubs.set.args, ([entries]) => entries.map(({ key, expire }) => [key, expire]))
+        );
+      });
+
+      it('should accept a function giving the ttl of each key', () => {
+        const expire = sinon.spy((key, value) => (value === null ? 5 : 10));
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { expire, negativeCache: true });
+
+        return loader.loadMany(['json', 'null']).then(() => {
+          expect(this.expires()).to.deep.equal({ 'key-space:json': 10, 'key-space:null': 5 });
+          expect(expire.firstCall.args).to.deep.equal(['json', { foo: 'bar' }]);
+        });
+      });
+
+      it('should expire local cache entries with the ttl of each key', done => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { expire: () => 1 });
+
+        loader
+          .load('json')
+          .then(() => {
+            setTimeout(() => {
+              loader
+                .load('json')
+                .then(() => {
+                  expect(this.loadFn.callCount).to.equal(2);
+                  done();
+                })
+                .catch(done);
+            }, 1100);
+          })
+          .catch(done);
+      });
+
+      it('should shorten ttls by up to jitter', () => {
+        this.stubs.random = sinon.stub(Math, 'random').returns(0.5);
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { expire: 100, jitter: 0.2 });
+
+        return loader.load('json').then(() => {
+          expect(this.expires()).to.deep.equal({ 'key-space:json': 90 });
+        });
+      });
+
+      it('should reset the ttl of keys found in redis with slidingExpire', () => {
+        this.stubs.expire = sinon.spy(redisRW, 'expire');
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          expire: 30,
+          slidingExpire: true,
+        });
+
+        return loader
+          .load('json')
+          .then(() => {
+            expect(this.stubs.expire.callCount).to.equal(0);
+            return loader.load('json');
+          })
+          .then(() => {
+            expect(this.stubs.expire.callCount).to.equal(1);
+            expect(this.stubs.expire.firstCall.args[0]).to.deep.equal([{ key: 'key-space:json', expire: 30 }]);
+          });
+      });
+
+      it('should not reset the ttl of cached nulls and errors with slidingExpire', () => {
+        this.loadFn.withArgs('bad').returns(Promise.resolve(new Error('boom')));
+        this.stubs.expire = sinon.spy(redisRW, 'expire');
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          expire: 30,
+          negativeCache: true,
+          errorExpire: 5,
+          slidingExpire: true,
+        });
+        const loadBoth = () => Promise.all([loader.load('null'), loader.load('bad').catch(err => err)]);
+
+        return this.rDel(`${this.keySpace}:bad`)
+          .then(loadBoth)
+          .then(loadBoth)
+          .then(([data, err]) => {
+            expect(data).to.be.null;
+            expect(err.message).to.equal('boom');
+            expect(this.loadFn.callCount).to.equal(2);
+            expect(this.stubs.expire.callCount).to.equal(0);
+          });
+      });
+    });
+
+    describe('warm', () => {
+      it('should write keys from the user loader to redis', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), { cache: false });
+
+        return loader
+          .warm(['json', 'null'])
+          .then(written => {
+            expect(written).to.equal(1);
+            expect(this.loadFn.callCount).to.equal(2);
+            return this.rGet(`${this.keySpace}:json`);
+          })
+          .then(data => {
+            expect(JSON.parse(data)).to.deep.equal(this.data.json);
+            return loader.load('json');
+          })
+          .then(() => {
+            expect(this.loadFn.callCount).to.equal(2);
+          });
+      });
+
+      it('should read keys from an async iterable in batches', () => {
+        async function* keys() {
+          yield 'json';
+          yield 'null';
+          yield 'json';
+        }
+        const userLoader = this.userLoader();
+        const loadMany = sinon.spy(userLoader, 'loadMany');
+
+        return new RedisDataLoader(this.keySpace, userLoader, { negativeCache: true })
+          .warm(keys(), { batchSize: 2, concurrency: 1 })
+          .then(written => {
+            expect(written).to.equal(3);
+            expect(loadMany.args).to.deep.equal([[['json', 'null']], [['json']]]);
+          });
+      });
+
+      it('should reject when writing to redis fails', () => {
+        this.stubs.set = sinon.stub(redisRW, 'set').returns(Promise.reject(new Error('down')));
+
+        return expect(this.loader.warm(['json'])).to.be.rejectedWith('down');
+      });
+    });
+
+    describe('dump and restore', () => {
+      beforeEach(() => {
+        this.source = new RedisDataLoader('snapshot', this.userLoader(), { expire: 60 });
+        this.target = new RedisDataLoader('snapshot-copy', this.userLoader());
+        this.dump = async loader => {
+          const lines = [];
+          for await (const line of loader.dump()) {
+            lines.push(line);
+          }
+          return lines;
+        };
+        return Promise.all([this.source.clearAll(), this.target.clearAll()])
+          .then(() => this.source.prime('json', { dumped: true }))
+          .then(() => this.source.prime('null', null));
+      });
+
+      it('should dump every key with its ttl', () =>
+        this.dump(this.source).then(lines => {
+          const entries = _.sortBy(lines.map(line => JSON.parse(line)), 'key');
+          expect(lines.every(line => line.endsWith('\n'))).to.be.true;
+          expect(entries.map(e => e.key)).to.deep.equal(['json', 'null']);
+          expect(Buffer.from(entries[0].value, 'base64').toString()).to.equal('{"dumped":true}');
+          expect(entries[0].ttl).to.be.within(59000, 60000);
+        }));
+
+      it('should restore a dump into another keySpace', () =>
+        this.dump(this.source)
+          .then(lines => this.target.restore(lines))
+          .then(restored => {
+            expect(restored).to.equal(2);
+            return this.target.loadMany(['json', 'null']);
+          })
+          .then(data => {
+            expect(data).to.deep.equal([{ dumped: true }, null]);
+            expect(this.loadFn.callCount).to.equal(0);
+          }));
+
+      it('should restore from chunks split anywhere', () =>
+        this.dump(this.source)
+          .then(lines => {
+            const text = Buffer.from(lines.join(''));
+            return this.target.restore(_.chunk(text, 7).map(bytes => Buffer.from(bytes)));
+          })
+          .then(restored => {
+            expect(restored).to.equal(2);
+            return this.target.load('json');
+          })
+          .then(data => {
+            expect(data).to.deep.equal({ dumped: true });
+          }));
+
+      it('should round trip keys made by a custom cacheKeyFn', () => {
+        const cacheKeyFn = key => `id-${key}`;
+        const source = new RedisDataLoader('snapshot', this.userLoader(), { cacheKeyFn });
+        const target = new RedisDataLoader('snapshot-copy', this.userLoader(), { cacheKeyFn });
+
+        return Promise.all([source.clearAll(), target.clearAll()])
+          .then(() => source.prime('1', { id: 1 }))
+          .then(() => this.dump(source))
+          .then(lines => {
+            expect(lines.map(line => JSON.parse(line).key)).to.deep.equal(['id-1']);
+            return target.restore(lines);
+          })
+          .then(() => Promise.all([target.load('1'), this.rGet('snapshot-copy:id-1')]))
+          .then(([data, raw]) => {
+            expect(data).to.deep.equal({ id: 1 });
+            expect(JSON.parse(raw)).to.deep.equal({ id: 1 });
+            expect(this.loadFn.callCount).to.equal(0);
+          });
+      });
+    });
+
+    describe('tags', () => {
+      beforeEach(() => {
+        this.listFn = sinon.spy(keys => Promise.resolve(keys.map(() => [1, 2])));
+        this.userFn = sinon.spy(keys => Promise.resolve(keys.map(id => ({ id }))));
+        this.lists = new RedisDataLoader('lists', new DataLoader(this.listFn, { cache: false }), {
+          tags: (key, ids) => ids.map(id => `user:${id}`),
+        });
+        this.users = new RedisDataLoader('users', new DataLoader(this.userFn, { cache: false }), {
+          tags: key => [`user:${key}`],
+        });
+        return Promise.all([
+          mapPromise(['lists:all', 'users:1', 'users:3'], k => redisRW.del([k])),
+          mapPromise(['user:1', 'user:2', 'user:3'], tag => redisRW.takeSet(`redis-dataloader:tag:${tag}`)),
+        ]);
+      });
+
+      it('should remove every key carrying the tag', () =>
+        Promise.all([this.lists.load('all'), this.users.load('1'), this.users.load('3')])
+          .then(() => this.users.invalidateTag('user:1'))
+          .then(removed => {
+            expect(removed).to.equal(2);
+            return Promise.all(['lists:all', 'users:1', 'users:3'].map(this.rGet));
+          })
+          .then(([list, user1, user3]) => {
+            expect(list).to.be.null;
+            expect(user1).to.be.null;
+            expect(JSON.parse(user3)).to.deep.equal({ id: '3' });
+          }));
+
+      it('should only count keys that still existed', () =>
+        Promise.all([this.users.load('1'), this.users.load('3')])
+          .then(() => this.users.clear('1'))
+          .then(() => this.users.invalidateTag('user:1'))
+          .then(removed => {
+            expect(removed).to.equal(0);
+          }));
+
+      it('should clear the local cache of the loader', () =>
+        this.users
+          .load('1')
+          .then(() => this.users.invalidateTag('user:1'))
+          .then(() => this.users.load('1'))
+          .then(() => {
+            expect(this.userFn.callCount).to.equal(2);
+          }));
+
+      it('should tag primed values', () =>
+        this.lists
+          .prime('all', [3])
+          .then(() => this.lists.invalidateTag('user:3'))
+          .then(removed => {
+            expect(removed).to.equal(1);
+            return this.rGet('lists:all');
+          })
+          .then(list => {
+            expect(list).to.be.null;
+          }));
+
+      it('should require a tag', () =>
+        expect(this.users.invalidateTag()).to.be.rejectedWith(TypeError));
+    });
+
+    describe('registry', () => {
+      beforeEach(() => {
+        this.userFn = sinon.spy(keys => Promise.resolve(keys.map(id => ({ id }))));
+        this.postFn = sinon.spy(keys => Promise.resolve(keys.map(id => ({ id, title: `post ${id}` }))));
+        this.registry = createLoaderRegistry(RedisDataLoader, {
+          users: { keySpace: 'reg-users', batch: this.userFn },
+          posts: { keySpace: 'reg-posts', batch: this.postFn },
+        });
+        this.stubs.redisMGet = sinon.spy(redisRO, 'mget');
+        return mapPromise(['reg-users:1', 'reg-users:2', 'reg-posts:1'], this.rDel);
+      });
+
+      it('should create loaders lazily for each context', () => {
+        const a = this.registry.context();
+        const b = this.registry.context();
+        expect(a.loaders.users).to.equal(a.loaders.users);
+        expect(a.loaders.users).to.not.equal(b.loaders.users);
+        expect(Object.keys(a.loaders)).to.deep.equal(['users', 'posts']);
+      });
+
+      it('should share batches across contexts', () => {
+        const a = this.registry.context();
+        const b = this.registry.context();
+        return Promise.all([a.loaders.users.load('1'), b.loaders.users.load('1'), b.loaders.users.load('2')])
+          .then(([a1, b1, b2]) => {
+            expect(a1).to.deep.equal({ id: '1' });
+            expect(b1).to.deep.equal({ id: '1' });
+            expect(b2).to.deep.equal({ id: '2' });
+            expect(this.userFn.callCount).to.equal(1);
+            expect(this.userFn.firstCall.args[0]).to.deep.equal(['1', '2']);
+          });
+      });
+
+      it('should read keys of different loaders in one mget', () => {
+        const ctx = this.registry.context();
+        return Promise.all([ctx.loaders.users.load('1'), ctx.loaders.posts.load('1')])
+          .then(() => {
+            expect(this.stubs.redisMGet.callCount).to.equal(1);
+            expect(this.stubs.redisMGet.firstCall.args[0].sort()).to.deep.equal(['reg-posts:1', 'reg-users:1']);
+          });
+      });
+
+      it('should keep local caches to each context', () => {
+        const a = this.registry.context();
+        const b = this.registry.context();
+        return a.loaders.users
+          .load('1')
+          .then(() => b.loaders.users.load('1'))
+          .then(() => a.loaders.users.load('1'))
+          .then(() => {
+            expect(this.userFn.callCount).to.equal(1);
+            expect(this.stubs.redisMGet.callCount).to.equal(2);
+          });
+      });
+
+      it('should drop the loaders on dispose', () => {
+        const ctx = this.registry.context();
+        return ctx.loaders.users.load('1').then(() => {
+          const disposed = sinon.spy(ctx.loaders.users, 'dispose');
+          ctx.dispose();
+          expect(disposed.callCount).to.equal(1);
+          expect(() => ctx.loaders.users).to.throw(/disposed/);
+        });
+      });
+    });
+
+    describe('compression', () => {
+      beforeEach(() => {
+        this.big = { text: 'lorem ipsum '.repeat(500) };
+        this.loadFn.withArgs('big').returns(Promise.resolve(this.big));
+        this.rawGet = k => redisRO.mget([k], { buffers: true }).then(([v]) => v);
+      });
+
+      it('should compress values over the threshold', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          compression: 'gzip',
+        });
+
+        return loader
+          .load('big')
+          .then(() => this.rawGet(`${this.keySpace}:big`))
+          .then(raw => {
+            expect(raw.subarray(0, 3).toString()).to.equal('\u0000zg');
+            expect(raw.length).to.be.below(JSON.stringify(this.big).length);
+            return loader.load('big');
+          })
+          .then(data => {
+            expect(data).to.deep.equal(this.big);
+            expect(this.loadFn.callCount).to.equal(1);
+          });
+      });
+
+      it('should leave values under the threshold alone', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          compression: { algorithm: 'brotli', threshold: 100000 },
+        });
+
+        return loader
+          .load('big')
+          .then(() => this.rGet(`${this.keySpace}:big`))
+          .then(data => {
+            expect(JSON.parse(data)).to.deep.equal(this.big);
+          });
+      });
+
+      it('should read values written before compression was turned on', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          compression: { algorithm: 'deflate', threshold: 0 },
+        });
+
+        return this.rSet(`${this.keySpace}:json`, JSON.stringify({ old: true }))
+          .then(() => loader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ old: true });
+            expect(this.loadFn.callCount).to.equal(0);
+          });
+      });
+    });
+
+    describe('versions', () => {
+      beforeEach(() => {
+        this.versioned = (version, migrate) =>
+          new RedisDataLoader(this.keySpace, this.userLoader(), {
+            cache: false,
+            version,
+            migrate,
+          });
+      });
+
+      it('should store the version with the value', () =>
+        this.versioned(2)
+          .load('json')
+          .then(() => this.rGet(`${this.keySpace}:json`))
+          .then(raw => {
+            expect(raw).to.equal('\u0000v:2:{"foo":"bar"}');
+            return this.versioned(2).load('json');
+          })
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should treat older values as misses without migrate', () =>
+        this.rSet(`${this.keySpace}:json`, '{"old":true}')
+          .then(() => this.versioned(1).load('json'))
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            expect(this.loadFn.callCount).to.equal(1);
+            return this.rGet(`${this.keySpace}:json`);
+          })
+          .then(raw => {
+            expect(raw).to.equal('\u0000v:1:{"foo":"bar"}');
+          }));
+
+      it('should migrate older values', () => {
+        const migrate = sinon.spy(value => ({ ...value, migrated: true }));
+
+        return this.rSet(`${this.keySpace}:json`, '\u0000v:1:{"old":true}')
+          .then(() => this.versioned(3, migrate).load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ old: true, migrated: true });
+            expect(migrate.callCount).to.equal(1);
+            expect(migrate.firstCall.args).to.deep.equal([{ old: true }, 1]);
+            expect(this.loadFn.callCount).to.equal(0);
+          });
+      });
+
+      it('should treat values that fail to migrate as misses', () =>
+        this.rSet(`${this.keySpace}:json`, '{"old":true}')
+          .then(() => this.versioned(1, () => { throw new Error('nope'); }).load('json'))
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should not overwrite newer values', () =>
+        this.rSet(`${this.keySpace}:json`, '\u0000v:5:{"new":true}')
+          .then(() => this.versioned(4).load('json'))
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            return this.rGet(`${this.keySpace}:json`);
+          })
+          .then(raw => {
+            expect(raw).to.equal('\u0000v:5:{"new":true}');
+          }));
+
+      it('should not decode newer values written with another codec', () => {
+        const key = `${this.keySpace}:json`;
+        const readRaw = () => redisRW.mget([key], { buffers: true }).then(([raw]) => raw);
+        const newer = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          version: 2,
+          codec: codecs.msgpack,
+        });
+        let written;
+
+        return newer
+          .prime('json', { newer: true })
+          .then(readRaw)
+          .then(raw => {
+            written = raw;
+            return this.versioned(1).load('json');
+          })
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            expect(this.loadFn.callCount).to.equal(1);
+            return readRaw();
+          })
+          .then(raw => {
+            expect(raw.equals(written)).to.be.true;
+            return newer.load('json');
+          })
+          .then(data => {
+            expect(data).to.deep.equal({ newer: true });
+          });
+      });
+    });
+
+    describe('hash storage', () => {
+      beforeEach(() => {
+        this.user = { name: 'ann', age: 30, tags: ['a'] };
+        this.loadFn.withArgs('user').returns(Promise.resolve(this.user));
+        this.hashLoader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          storage: 'hash',
+        });
+        return this.rDel(`${this.keySpace}:user`);
+      });
+
+      it('should store each property in its own field', () =>
+        this.hashLoader
+          .load('user')
+          .then(data => {
+            expect(data).to.deep.equal(this.user);
+            return redisRW.hgetall([`${this.keySpace}:user`]);
+          })
+          .then(([hash]) => {
+            expect(hash.name).to.equal('"ann"');
+            expect(hash.age).to.equal('30');
+          }));
+
+      it('should only read the requested fields', () =>
+        this.hashLoader
+          .load('user')
+          .then(() => this.hashLoader.load('user', { fields: ['name'] }))
+          .then(data => {
+            expect(data).to.deep.equal({ name: 'ann' });
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should load and store the whole value when fields miss', () =>
+        this.hashLoader
+          .load('user', { fields: ['age'] })
+          .then(data => {
+            expect(data).to.deep.equal({ age: 30 });
+            return this.hashLoader.load('user');
+          })
+          .then(data => {
+            expect(data).to.deep.equal(this.user);
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should patch single fields', () =>
+        this.hashLoader
+          .load('user')
+          .then(() => this.hashLoader.patch('user', { age: 31 }))
+          .then(() => this.hashLoader.load('user'))
+          .then(data => {
+            expect(data).to.deep.equal({ name: 'ann', age: 31, tags: ['a'] });
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should treat a patched key that was never loaded as a miss', () =>
+        this.hashLoader
+          .patch('user', { age: 31 })
+          .then(() => this.hashLoader.load('user'))
+          .then(data => {
+            expect(data).to.deep.equal(this.user);
+            expect(this.loadFn.callCount).to.equal(1);
+          }));
+
+      it('should cache nulls with negativeCache', () => {
+        const loader = new RedisDataLoader(this.keySpace, this.userLoader(), {
+          cache: false,
+          storage: 'hash',
+          negativeCache: true,
+        });
+
+        return loader
+          .load('null')
+          .then(() => loader.load('null', { fields: ['name'] }))
+          .then(data => {
+            expect(data).to.be.null;
+            expect(this.loadFn.callCount).to.equal(1);
+          });
+      });
+
+      it('should require hash storage to patch', () =>
+        expect(this.loader.patch('json', { foo: 'baz' })).to.be.rejectedWith(TypeError));
+    });
+
+    describe('clear', () => {
+      it('should clear cache', () =>
+        this.loader
+          .load('json')
+          .then(() => this.loader.clear('json'))
+          .then(() => this.loader.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            expect(this.loadFn.callCount).to.equal(2);
+          }));
+
+      it('should handle object key', () =>
+        this.loader
+          .load({ a: 1, b: 2 })
+          .then(() => this.loader.clear({ a: 1, b: 2 }))
+          .then(() => this.loader.load({ a: 1, b: 2 }))
+          .then(data => {
+            expect(data).to.deep.equal({ bar: 'baz' });
+            expect(this.loadFn.callCount).to.equal(2);
+          }));
+
+      it('should require a key', () =>
+        expect(this.loader.clear()).to.be.rejectedWith(TypeError));
+    });
+
+    describe('clearAll', () => {
+      it('should clear every key in the keySpace', () =>
+        Promise.all(['json', 'null'].map(k => this.loader.load(k)))
+          .then(() => this.rSet('other-space:json', JSON.stringify({ keep: true })))
+          .then(() => this.loader.clearAll())
+          .then(() => mapPromise([`${this.keySpace}:json`, `${this.keySpace}:null`, 'other-space:json'], this.rGet))
+          .then(data => {
+            expect(data[0]).to.be.null;
+            expect(data[1]).to.be.null;
+            expect(JSON.parse(data[2])).to.deep.equal({ keep: true });
+            return this.loader.load('json');
+          })
+          .then(() => {
+            expect(this.loadFn.withArgs('json').callCount).to.equal(2);
+          }));
+
+      it('should require a keySpace', () =>
+        expect(new RedisDataLoader(null, this.userLoader()).clearAll()).to.be.rejectedWith(TypeError));
+
+      it('should reject clearing keySpaces whose keys overlap', () => {
+        const nested = new RedisDataLoader(`${this.keySpace}:profile`, this.userLoader());
+        const internal = new RedisDataLoader('redis-dataloader', this.userLoader());
+        return this.loader.load('json')
+          .then(() => nested.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal(this.data.json);
+            expect(() => nested.dump()).to.throw(TypeError, /overlap/);
+            return Promise.all([
+              expect(this.loader.clearAll()).to.be.rejectedWith(TypeError, /overlap/),
+              expect(nested.clearMatching('js*')).to.be.rejectedWith(TypeError, /overlap/),
+              expect(internal.clearAll()).to.be.rejectedWith(TypeError, /overlap/),
+              expect(new RedisDataLoader('key', this.userLoader()).clearAll()).to.be.fulfilled,
+            ]);
+          })
+          .then(() => this.rGet(`${this.keySpace}:json`))
+          .then(data => expect(JSON.parse(data)).to.deep.equal(this.data.json));
+      });
+    });
+
+    describe('clearMatching', () => {
+      it('should only clear keys matching the pattern', () =>
+        this.noCacheLoader
+          .load('json')
+          .then(() => this.noCacheLoader.prime('null', null))
+          .then(() => this.noCacheLoader.clearMatching('js*'))
+          .then(() => mapPromise([`${this.keySpace}:json`, `${this.keySpace}:null`], this.rGet))
+          .then(([json, nul]) => {
+            expect(json).to.be.null;
+            expect(nul).to.equal('');
+          }));
+
+      it('should require a pattern', () =>
+        expect(this.loader.clearMatching()).to.be.rejectedWith(TypeError));
+    });
+
+    describe('invalidation', () => {
+      const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+      beforeEach(() => {
+        this.duplicate = sinon.spy(redisRW, 'duplicate');
+        this.Loader = createRedisDataLoader({ redisRW, redisRO, invalidation: {} });
+        this.first = new this.Loader(this.keySpace, this.userLoader());
+        this.second = new this.Loader(this.keySpace, this.userLoader());
+      });
+
+      afterEach(() => {
+        this.duplicate.restore();
+        this.first.dispose();
+        this.second.dispose();
+        return this.Loader.close();
+      });
+
+      it('should evict primed keys from other local caches', () =>
+        this.first
+          .load('json')
+          .then(() => this.second.prime('json', { new: 'value' }))
+          .then(() => wait(50))
+          .then(() => this.first.load('json'))
+          .then(data => {
+            expect(data).to.deep.equal({ new: 'value' });
+          }));
+
+      it('should evict cleared keys from other local caches', () =>
+        this.first
+          .load('json')
+          .then(() => this.second.clear('json'))
+          .then(() => wait(50))
+          .then(() => this.first.load('json'))
+          .then(() => {
+            expect(this.loadFn.withArgs('json').callCount).to.equal(2);
+          }));
+
+      it('should stop evicting once disposed', () =>
+        this.first
+          .load('json')
+          .then(() => this.first.dispose())
+          .then(() => this.first.load('json'))
+          .then(() => this.second.clear('json'))
+          .then(() => wait(50))
+          .then(() => this.first.load('json'))
+          .then(() => {
+            expect(this.loadFn.withArgs('json').callCount).to.equal(1);
+          }));
+
+      it('should stop evicting and quit the subscriber it opened once closed', () => {
+        expect(this.duplicate.callCount).to.equal(1);
+        const subscriber = this.duplicate.firstCall.returnValue;
+        const quit = sinon.spy(subscriber, 'quit');
+
+        return this.first
+          .load('json')
+          .then(() => this.Loader.close())
+          .then(() => {
+            expect(quit.callCount).to.equal(1);
+            return this.second.clear('json');
+          })
+          .then(() => wait(50))
+          .then(() => this.first.load('json'))
+          .then(() => {
+            expect(this.loadFn.withArgs('json').callCount).to.equal(1);
+          });
+      });
+
+      it('should leave a subscriber it was given open', () => {
+        const subscriber = redisRW.duplicate();
+        const quit = sinon.spy(subscriber, 'quit');
+        const Loader = createRedisDataLoader({ redisRW, redisRO, invalidation: { subscriber } });
+        const loader = new Loader(this.keySpace, this.userLoader());
+
+        return loader
+          .load('json')
+          .then(() => Loader.close())
+          .then(() => {
+            expect(quit.callCount).to.equal(0);
+            return subscriber.quit();
+          });
+      });
     });
 
     describe('clearAllLocal', () => {